@@ -0,0 +1,84 @@
+const http = require('http');
+const { formatListenSpec, parseListenSpec } = require('./listen');
+
+// Read-only JSON API over the server registry:
+//   GET /api/servers        fleet list
+//   GET /api/servers/:id    one server, by n... node ID or hex public key
+//   GET /api/alerts         current alert list
+//   GET /api/departed       servers evicted after being AWOL too long
+//   GET /api/consensus      per network: ledger lag of each server and forks
+//   GET /api/coverage       per network: ledger history held by each server,
+//                           the gaps and the ledgers no live server holds
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2) + '\n');
+}
+
+function createRoutes(registry) {
+    return [
+        [/^\/api\/servers\/?$/, () => ({
+            servers: registry.list().filter(state => state.header).map(state => state.summary())
+        })],
+        [/^\/api\/servers\/([^/]+)\/?$/, (id) => {
+            const state = registry.get(decodeURIComponent(id));
+            return state && state.header ? state.details() : null;
+        }],
+        [/^\/api\/alerts\/?$/, () => ({
+            alerts: registry.alerts
+        })],
+        [/^\/api\/departed\/?$/, () => ({
+            departed: registry.departed
+        })],
+        [/^\/api\/consensus\/?$/, () => ({
+            networks: registry.consensusSummary()
+        })],
+        [/^\/api\/coverage\/?$/, () => ({
+            networks: registry.coverageSummary()
+        })]
+    ];
+}
+
+function startApiServer(spec, registry) {
+    const endpoint = parseListenSpec(spec);
+    const routes = createRoutes(registry);
+
+    return new Promise((resolve, reject) => {
+        const server = http.createServer((req, res) => {
+            if (req.method !== 'GET') {
+                sendJson(res, 405, { error: 'Method not allowed' });
+                return;
+            }
+
+            const path = req.url.split('?')[0];
+            for (const [pattern, handler] of routes) {
+                const match = path.match(pattern);
+                if (!match) continue;
+                try {
+                    const body = handler(...match.slice(1));
+                    if (body) {
+                        sendJson(res, 200, body);
+                    } else {
+                        sendJson(res, 404, { error: 'Server not found' });
+                    }
+                } catch (err) {
+                    sendJson(res, 500, { error: err.message });
+                }
+                return;
+            }
+            sendJson(res, 404, { error: 'Not found' });
+        });
+
+        server.once('error', (err) => {
+            reject(new Error(`Failed to start API on ${formatListenSpec(endpoint)}: ${err.code || err.message}`));
+        });
+        server.listen({ host: endpoint.host, port: endpoint.port, ipv6Only: endpoint.ipv6Only }, () => {
+            server.endpoint = endpoint;
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    startApiServer
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { decodeNodePublic } = require('ripple-address-codec');
+const { PacketError } = require('./errors');
+
+// Optional trailer appended after the datagram body:
+//
+//   [ body ][ auth data (N bytes) ][ N: u16 ][ scheme: u16 ][ magic: u32 ]
+//
+// HMAC_SHA256 carries a 32 byte HMAC of the body keyed with the fleet secret.
+// NODE_SIGNATURE carries a signature of the body made with the node key that
+// is in the header: DER ECDSA over SHA-256 for secp256k1 keys, or a raw
+// Ed25519 signature for 0xED-prefixed keys.
+const AUTH_TRAILER_MAGIC = 0x41474458; // 'XDGA'
+const AUTH_TRAILER_SIZE = 8;
+
+const AUTH_SCHEME = {
+    HMAC_SHA256: 1,
+    NODE_SIGNATURE: 2
+};
+
+const HMAC_SIZE = 32;
+
+// SPKI DER prefixes for wrapping raw public keys
+const SECP256K1_SPKI_PREFIX = Buffer.from('3036301006072a8648ce3d020106052b8104000a032200', 'hex');
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function splitAuthTrailer(buffer) {
+    if (buffer.length < AUTH_TRAILER_SIZE) return { body: buffer, trailer: null };
+
+    const magicOffset = buffer.length - 4;
+    if (buffer.readUInt32LE(magicOffset) !== AUTH_TRAILER_MAGIC) {
+        return { body: buffer, trailer: null };
+    }
+
+    const scheme = buffer.readUInt16LE(buffer.length - 6);
+    const length = buffer.readUInt16LE(buffer.length - 8);
+    const bodyLength = buffer.length - AUTH_TRAILER_SIZE - length;
+    if (bodyLength < 0) {
+        throw new PacketError('auth_bad_trailer', `Auth trailer length ${length} exceeds packet size`);
+    }
+
+    return {
+        body: buffer.slice(0, bodyLength),
+        trailer: {
+            scheme,
+            data: buffer.slice(bodyLength, bodyLength + length)
+        }
+    };
+}
+
+function appendAuthTrailer(body, scheme, data) {
+    const footer = Buffer.alloc(AUTH_TRAILER_SIZE);
+    footer.writeUInt16LE(data.length, 0);
+    footer.writeUInt16LE(scheme, 2);
+    footer.writeUInt32LE(AUTH_TRAILER_MAGIC, 4);
+    return Buffer.concat([body, data, footer]);
+}
+
+function computeHmac(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body).digest();
+}
+
+function nodeKeyToPublicKey(nodeKey) {
+    if (nodeKey.length === 33 && nodeKey[0] === 0xED) {
+        return crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, nodeKey.slice(1)]),
+            format: 'der',
+            type: 'spki'
+        });
+    }
+    return crypto.createPublicKey({
+        key: Buffer.concat([SECP256K1_SPKI_PREFIX, nodeKey]),
+        format: 'der',
+        type: 'spki'
+    });
+}
+
+function verifyNodeSignature(nodeKey, body, signature) {
+    try {
+        const publicKey = nodeKeyToPublicKey(nodeKey);
+        const algorithm = nodeKey[0] === 0xED ? null : 'sha256';
+        return crypto.verify(algorithm, body, publicKey, signature);
+    } catch (err) {
+        return false;
+    }
+}
+
+// Allowlist file: one node public key per line, either in the n... form
+// produced by encodeNodePublic or as 66 hex characters. '#' starts a comment.
+function loadAllowlist(file) {
+    const keys = new Set();
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+        const entry = line.replace(/#.*/, '').trim();
+        if (!entry) return;
+
+        if (/^[0-9a-fA-F]{66}$/.test(entry)) {
+            keys.add(entry.toLowerCase());
+            return;
+        }
+        try {
+            keys.add(Buffer.from(decodeNodePublic(entry)).toString('hex'));
+        } catch (err) {
+            throw new Error(`${file}:${index + 1}: invalid node public key '${entry}'`);
+        }
+    });
+
+    return keys;
+}
+
+// Milliseconds the header timestamp of an authenticated datagram may be off
+// its arrival time
+const DEFAULT_MAX_AGE = 60000;
+
+// Any host can make a node key and sign with it, so a signature only vouches
+// for a node whose key is in the allowlist: requiring signatures needs one,
+// and without one a valid signature counts as 'self-signed'. The allowlist on
+// its own only filters on the key a datagram claims; it proves nothing.
+//
+// An authenticated datagram stays authentic when it is captured and sent
+// again, so its signed timestamp must be within maxAge of its arrival and
+// newer than the node's last one (0 turns the age check off).
+class Authenticator {
+    constructor(options = {}) {
+        this.secret = options.secret || null;
+        this.signatures = !!options.signatures;
+        this.allowlist = options.allowlist || null;
+        if (this.signatures && !this.allowlist) {
+            throw new Error('signatures need an allowlist, or any self-made key would be accepted');
+        }
+        // Unauthenticated packets are only dropped when some scheme is enabled
+        this.required = !!(this.secret || this.signatures);
+        this.maxAge = options.maxAge !== undefined ? options.maxAge : DEFAULT_MAX_AGE;
+        // Header timestamp of the last authenticated datagram, by node key.
+        // Only nodes holding the secret or an allowlisted key get here, so it
+        // stays as small as the fleet.
+        this.lastTimestamps = new Map();
+    }
+
+    // Returns the method that authenticated the packet ('hmac', 'signature',
+    // 'self-signed') or null, and throws a PacketError when the packet must be
+    // dropped. receivedAt is the arrival time, captured for replays.
+    verify(body, trailer, header, receivedAt = Date.now()) {
+        const nodePublicKey = header.node_public_key;
+        if (this.allowlist && !this.allowlist.has(nodePublicKey)) {
+            throw new PacketError('not_allowlisted', `Node key ${nodePublicKey} is not in the allowlist`);
+        }
+
+        let method = null;
+        if (trailer) {
+            if (trailer.scheme === AUTH_SCHEME.HMAC_SHA256) {
+                if (this.secret) {
+                    const expected = computeHmac(this.secret, body);
+                    if (trailer.data.length !== HMAC_SIZE || !crypto.timingSafeEqual(expected, trailer.data)) {
+                        throw new PacketError('auth_bad_hmac', 'HMAC does not match');
+                    }
+                    method = 'hmac';
+                }
+            } else if (trailer.scheme === AUTH_SCHEME.NODE_SIGNATURE) {
+                const nodeKey = Buffer.from(nodePublicKey, 'hex');
+                if (!verifyNodeSignature(nodeKey, body, trailer.data)) {
+                    throw new PacketError('auth_bad_signature', 'Node key signature does not verify');
+                }
+                // A valid signature only counts when signatures are accepted,
+                // or opportunistically when no scheme is configured at all
+                if (this.signatures || !this.required) method = this.allowlist ? 'signature' : 'self-signed';
+            } else {
+                throw new PacketError('auth_bad_scheme', `Unknown auth scheme: ${trailer.scheme}`);
+            }
+        }
+
+        if (this.required && !method) {
+            throw new PacketError('auth_missing', 'Packet is not authenticated');
+        }
+        if (method === 'hmac' || method === 'signature') this.checkReplay(header, receivedAt);
+        return method;
+    }
+
+    checkReplay({ node_public_key: nodePublicKey, timestamp }, receivedAt) {
+        const age = receivedAt - timestamp / 1000;
+        if (this.maxAge > 0 && Math.abs(age) > this.maxAge) {
+            throw new PacketError('auth_replay', `Timestamp is ${Math.round(Math.abs(age) / 1000)} s ` +
+                `${age > 0 ? 'older' : 'newer'} than the arrival time`);
+        }
+        const last = this.lastTimestamps.get(nodePublicKey);
+        if (last !== undefined && timestamp <= last) {
+            throw new PacketError('auth_replay', 'Timestamp is not newer than the last authenticated datagram');
+        }
+        this.lastTimestamps.set(nodePublicKey, timestamp);
+    }
+}
+
+module.exports = {
+    AUTH_SCHEME,
+    AUTH_TRAILER_MAGIC,
+    Authenticator,
+    appendAuthTrailer,
+    computeHmac,
+    loadAllowlist,
+    splitAuthTrailer
+};
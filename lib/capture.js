@@ -0,0 +1,110 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Capture files are NDJSON. The first line identifies the file, every other
+// line is one received datagram exactly as it arrived:
+//
+//   { "format": "xdgm-capture", "version": 1, "started": <ms> }
+//   { "t": <ms>, "address": "...", "port": 51235, "family": "IPv4", "data": "<base64>" }
+
+const CAPTURE_FORMAT = 'xdgm-capture';
+const CAPTURE_VERSION = 1;
+
+class CaptureWriter {
+    constructor(file) {
+        this.fd = fs.openSync(file, 'w');
+        this.count = 0;
+        this.writeLine({ format: CAPTURE_FORMAT, version: CAPTURE_VERSION, started: Date.now() });
+    }
+
+    writeLine(record) {
+        fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    }
+
+    write(msg, rinfo, time = Date.now()) {
+        this.writeLine({
+            t: time,
+            address: rinfo.address,
+            port: rinfo.port,
+            family: rinfo.family,
+            data: msg.toString('base64')
+        });
+        this.count++;
+    }
+
+    close() {
+        if (this.fd !== null) fs.closeSync(this.fd);
+        this.fd = null;
+    }
+
+    // Wrap a socket message handler so every payload is captured first, at
+    // its captured time when it comes from a replay
+    wrap(handler) {
+        return (msg, rinfo, ...rest) => {
+            this.write(msg, rinfo, rinfo.receivedAt || Date.now());
+            return handler(msg, rinfo, ...rest);
+        };
+    }
+}
+
+// Feed a capture back through onMessage(msg, rinfo), keeping the original
+// spacing between datagrams divided by `speed` (0 replays without delays).
+// The rinfo passed on carries the original arrival time as `receivedAt`.
+// Lines that do not parse, such as a torn last line from a crash, are
+// skipped.
+async function replayCapture(file, onMessage, { speed = 1 } = {}) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(file),
+        crlfDelay: Infinity
+    });
+
+    let first = true;
+    let previous = null;
+    let count = 0;
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            if (first) throw new Error(`${file} is not an XDGM capture file`);
+            continue;
+        }
+
+        if (first) {
+            first = false;
+            if (!record || record.format !== CAPTURE_FORMAT) {
+                throw new Error(`${file} is not an XDGM capture file`);
+            }
+            if (record.version !== CAPTURE_VERSION) {
+                throw new Error(`${file}: unsupported capture version ${record.version}`);
+            }
+            continue;
+        }
+        if (!record || typeof record.t !== 'number' || typeof record.data !== 'string') continue;
+
+        if (speed > 0 && previous !== null && record.t > previous) {
+            await new Promise(resolve => setTimeout(resolve, (record.t - previous) / speed));
+        }
+        previous = record.t;
+
+        const msg = Buffer.from(record.data, 'base64');
+        onMessage(msg, {
+            address: record.address,
+            port: record.port,
+            family: record.family,
+            size: msg.length,
+            receivedAt: record.t
+        });
+        count++;
+    }
+
+    if (first) throw new Error(`${file} is empty`);
+    return count;
+}
+
+module.exports = {
+    CaptureWriter,
+    replayCapture
+};
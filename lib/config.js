@@ -0,0 +1,414 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { decodeNodePublic } = require('ripple-address-codec');
+const { compileRule } = require('./rules');
+const { parseListenSpec } = require('./listen');
+const { createNotifier } = require('./notifiers');
+const { parsePeers } = require('./relay');
+
+// Built-in defaults; a config file only needs the values it changes.
+// Rate thresholds are in MiB/s, memory and disk thresholds in percent used,
+// load thresholds are the load average divided by the core count.
+const DEFAULT_CONFIG = {
+    listen: [],
+    metrics: null,
+    api: null,
+    serverTimeout: 2000,
+    realertInterval: 300000,
+    // Milliseconds a server may stay AWOL before it is moved to the departed
+    // list; 0 keeps it forever
+    departAfter: 3600000,
+    // Milliseconds a server must stay on a fork, or lag its network by
+    // thresholds.ledgerLag, before it is alerted
+    consensusDelay: 30000,
+    display: {
+        // Alerts listed, beyond which the oldest resolved ones are dropped;
+        // firing alerts always stay
+        maxAlerts: 100,
+        refreshInterval: 1000,
+        // Cards are at least this many columns wide
+        minCardWidth: 30,
+        // 'auto', 'compact', 'normal' or 'expanded'
+        cardSize: 'auto',
+        // Group the cards and the table by 'group' (from the config or the node
+        // registry), by 'network' ID, or not at all with 'none'
+        groupBy: 'none'
+    },
+    // Snapshots and alerts written to disk when `dir` is set
+    storage: {
+        dir: null,
+        resolution: 60000,
+        retention: 30 * 24 * 60 * 60 * 1000,
+        downsample: {
+            after: 7 * 24 * 60 * 60 * 1000,
+            resolution: 600000
+        }
+    },
+    // Per-server metric history kept in memory for the details view
+    history: {
+        resolution: 5000,
+        retention: 86400000
+    },
+    // Object count trends per server, see lib/objects.js: one sample per
+    // `resolution` over `window` (ms, applies to newly seen servers); a type
+    // grows steadily when at least `steadyRatio` of the steps did not go down
+    objectTrends: {
+        window: 3600000,
+        resolution: 60000,
+        steadyRatio: 0.9,
+        minSamples: 10
+    },
+    thresholds: {
+        networkRate: { warn: 100, crit: 120 },
+        diskRate: { warn: 500, crit: 1000 },
+        loadPerCore: { warn: 0.6, crit: 0.8 },
+        memoryPercent: { warn: 75, crit: 90 },
+        diskPercent: { warn: 80, crit: 95 },
+        // Ledgers behind the highest ledger_seq of the server's network
+        ledgerLag: { warn: 3, crit: 10 },
+        // Milliseconds between the server's clock and the monitor's, either way
+        clockOffset: { warn: 1000, crit: 5000 },
+        // Percent growth over objectTrends.window of a steadily growing
+        // object type
+        objectGrowth: { warn: 10, crit: 50 }
+    },
+    // Forward accepted datagrams to upstream collectors, see lib/relay.js.
+    // name identifies this relay upstream (the host name when null); wrap
+    // false forwards the datagrams unchanged, without their original source;
+    // nodes and networks, when not empty, limit what is forwarded. peers are
+    // the addresses or CIDR blocks of the relays this monitor takes
+    // envelopes from
+    relay: {
+        name: null,
+        upstreams: [],
+        wrap: true,
+        nodes: [],
+        networks: [],
+        peers: []
+    },
+    // Node registry file with display names, tags and groups, see
+    // loadNodeRegistry; relative to the config file
+    nodeRegistry: null,
+    // Alert sinks, see lib/notifiers.js
+    notifiers: [],
+    // Alert rules, see lib/rules.js
+    rules: [],
+    groups: {},
+    servers: {}
+};
+
+const CARD_SIZES = ['auto', 'compact', 'normal', 'expanded'];
+const GROUP_BY = ['none', 'group', 'network'];
+
+// Settings that groups and individual servers may override
+const NODE_SETTINGS = ['serverTimeout', 'realertInterval', 'departAfter', 'consensusDelay', 'thresholds'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return override === undefined ? base : override;
+    }
+    const result = Object.assign({}, base);
+    for (const [key, value] of Object.entries(override)) {
+        result[key] = merge(base[key], value);
+    }
+    return result;
+}
+
+// Accept node keys either as n... (encodeNodePublic) or as hex
+function normalizeNodeKey(key) {
+    if (/^[0-9a-fA-F]{66}$/.test(key)) return key.toLowerCase();
+    try {
+        return Buffer.from(decodeNodePublic(key)).toString('hex');
+    } catch (err) {
+        throw new Error(`invalid node public key '${key}'`);
+    }
+}
+
+function checkNumber(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative number`);
+    }
+}
+
+function checkNodeSettings(settings, where) {
+    if (settings.serverTimeout !== undefined) checkNumber(settings.serverTimeout, `${where}.serverTimeout`);
+    if (settings.realertInterval !== undefined) checkNumber(settings.realertInterval, `${where}.realertInterval`);
+    if (settings.departAfter !== undefined) checkNumber(settings.departAfter, `${where}.departAfter`);
+    if (settings.consensusDelay !== undefined) checkNumber(settings.consensusDelay, `${where}.consensusDelay`);
+    if (settings.thresholds !== undefined) {
+        if (!isPlainObject(settings.thresholds)) throw new Error(`${where}.thresholds must be an object`);
+        for (const [name, limits] of Object.entries(settings.thresholds)) {
+            if (!isPlainObject(limits)) throw new Error(`${where}.thresholds.${name} must be an object`);
+            for (const [level, value] of Object.entries(limits)) {
+                checkNumber(value, `${where}.thresholds.${name}.${level}`);
+            }
+        }
+    }
+}
+
+function parseConfigText(text, file) {
+    const ext = path.extname(file).toLowerCase();
+    return ext === '.yaml' || ext === '.yml' ? yaml.load(text) : JSON.parse(text);
+}
+
+function loadConfigFile(file) {
+    let raw;
+    try {
+        raw = parseConfigText(fs.readFileSync(file, 'utf8'), file) || {};
+    } catch (err) {
+        throw new Error(`${file}: ${err.message}`);
+    }
+    if (!isPlainObject(raw)) throw new Error(`${file}: top level must be an object`);
+
+    const config = merge(DEFAULT_CONFIG, raw);
+    try {
+        checkNodeSettings(config, 'config');
+        for (const [key, value] of Object.entries(DEFAULT_CONFIG.display)) {
+            if (typeof value === 'number') checkNumber(config.display[key], `display.${key}`);
+        }
+        if (config.display.refreshInterval < 100) {
+            throw new Error('display.refreshInterval must be at least 100 ms');
+        }
+        if (config.display.minCardWidth < 20) {
+            throw new Error('display.minCardWidth must be at least 20');
+        }
+        if (!CARD_SIZES.includes(config.display.cardSize)) {
+            throw new Error(`display.cardSize must be one of ${CARD_SIZES.join(', ')}`);
+        }
+        if (!GROUP_BY.includes(config.display.groupBy)) {
+            throw new Error(`display.groupBy must be one of ${GROUP_BY.join(', ')}`);
+        }
+        checkNumber(config.history.resolution, 'history.resolution');
+        checkNumber(config.history.retention, 'history.retention');
+        checkNumber(config.storage.resolution, 'storage.resolution');
+        checkNumber(config.storage.retention, 'storage.retention');
+        checkNumber(config.storage.downsample.after, 'storage.downsample.after');
+        checkNumber(config.storage.downsample.resolution, 'storage.downsample.resolution');
+        for (const key of Object.keys(DEFAULT_CONFIG.objectTrends)) {
+            checkNumber(config.objectTrends[key], `objectTrends.${key}`);
+        }
+        if (config.objectTrends.steadyRatio > 1) {
+            throw new Error('objectTrends.steadyRatio must be between 0 and 1');
+        }
+        if (config.history.resolution < 1000) {
+            throw new Error('history.resolution must be at least 1000 ms');
+        }
+        if (!Array.isArray(config.listen)) config.listen = [config.listen];
+        if (!Array.isArray(config.notifiers)) throw new Error('notifiers must be a list');
+        // Built here only to check them, so that a reload with a broken
+        // notifier keeps the old configuration as a whole
+        config.notifiers.forEach((options, index) => {
+            try {
+                if (!isPlainObject(options)) throw new Error('must be an object');
+                createNotifier(options);
+            } catch (err) {
+                throw new Error(`notifiers[${index}]: ${err.message}`);
+            }
+        });
+        if (config.nodeRegistry !== null && typeof config.nodeRegistry !== 'string') {
+            throw new Error('nodeRegistry must be a file name');
+        }
+
+        if (!isPlainObject(config.relay)) throw new Error('relay must be an object');
+        for (const key of ['upstreams', 'nodes', 'networks', 'peers']) {
+            if (!Array.isArray(config.relay[key])) config.relay[key] = [config.relay[key]];
+        }
+        config.relay.upstreams.forEach((url) => {
+            try {
+                parseListenSpec(url);
+            } catch (err) {
+                throw new Error(`relay.upstreams: ${err.message}`);
+            }
+        });
+        config.relay.nodes = config.relay.nodes.map(normalizeNodeKey);
+        config.relay.networks.forEach(networkId => checkNumber(networkId, 'relay.networks'));
+        try {
+            parsePeers(config.relay.peers);
+        } catch (err) {
+            throw new Error(`relay.peers: ${err.message}`);
+        }
+
+        // Groups list their members; servers are keyed by node key
+        const memberOf = new Map();
+        for (const [name, group] of Object.entries(config.groups)) {
+            checkNodeSettings(group, `groups.${name}`);
+            for (const node of group.nodes || []) {
+                memberOf.set(normalizeNodeKey(node), name);
+            }
+        }
+        const servers = {};
+        for (const [key, settings] of Object.entries(config.servers)) {
+            checkNodeSettings(settings, `servers.${key}`);
+            servers[normalizeNodeKey(key)] = settings;
+        }
+        config.servers = servers;
+        config.memberOf = memberOf;
+
+        if (!Array.isArray(config.rules)) throw new Error('rules must be a list');
+        // The name tells the alerts of the rules apart, so it must be unique
+        const ruleNames = new Set();
+        config.rules = config.rules.map((definition, index) => {
+            let rule;
+            try {
+                rule = compileRule(definition);
+            } catch (err) {
+                throw new Error(`rules[${index}]: ${err.message}`);
+            }
+            if (ruleNames.has(rule.name)) throw new Error(`rules[${index}]: duplicate rule name '${rule.name}'`);
+            ruleNames.add(rule.name);
+            if (rule.servers) rule.servers = [].concat(rule.servers).map(normalizeNodeKey);
+            if (rule.groups) rule.groups = [].concat(rule.groups);
+            return rule;
+        });
+    } catch (err) {
+        throw new Error(`${file}: ${err.message}`);
+    }
+    return config;
+}
+
+// The node registry maps node public keys (n... or hex) to a display name,
+// free-form tags and a group:
+//
+//   n9Jbb4...:
+//     name: hub-eu-2
+//     group: hubs
+//     tags: { role: hub, datacenter: fra1, owner: infra }
+function loadNodeRegistry(file) {
+    let raw;
+    try {
+        raw = parseConfigText(fs.readFileSync(file, 'utf8'), file) || {};
+    } catch (err) {
+        throw new Error(`${file}: ${err.message}`);
+    }
+    if (!isPlainObject(raw)) throw new Error(`${file}: top level must be an object`);
+
+    const nodes = new Map();
+    for (const [key, entry] of Object.entries(raw)) {
+        try {
+            if (!isPlainObject(entry)) throw new Error('must be an object');
+            if (entry.tags !== undefined && !isPlainObject(entry.tags)) throw new Error('tags must be an object');
+            nodes.set(normalizeNodeKey(key), {
+                name: entry.name !== undefined ? String(entry.name) : null,
+                group: entry.group !== undefined ? String(entry.group) : null,
+                tags: Object.assign({}, entry.tags)
+            });
+        } catch (err) {
+            throw new Error(`${file}: ${key}: ${err.message}`);
+        }
+    }
+    return nodes;
+}
+
+class Config {
+    // options.nodeRegistry overrides the file's nodeRegistry setting
+    constructor(file, options = {}) {
+        this.file = file || null;
+        this.nodeRegistryOverride = options.nodeRegistry || null;
+        this.nodeCache = new Map();
+        this.load();
+    }
+
+    load() {
+        const data = this.file ? loadConfigFile(this.file) : merge(DEFAULT_CONFIG, { memberOf: new Map() });
+        let registryFile = this.nodeRegistryOverride;
+        if (!registryFile && data.nodeRegistry) {
+            registryFile = path.resolve(path.dirname(this.file), data.nodeRegistry);
+        }
+        data.nodes = registryFile ? loadNodeRegistry(registryFile) : new Map();
+        this.data = data;
+    }
+
+    // Re-read the files; on error the previous configuration stays in effect
+    reload() {
+        if (!this.file && !this.nodeRegistryOverride) return;
+        this.load();
+        this.nodeCache.clear();
+    }
+
+    get realertInterval() {
+        return this.data.realertInterval;
+    }
+
+    get listen() {
+        return this.data.listen;
+    }
+
+    get metrics() {
+        return this.data.metrics;
+    }
+
+    get api() {
+        return this.data.api;
+    }
+
+    get relay() {
+        return this.data.relay;
+    }
+
+    get notifiers() {
+        return this.data.notifiers;
+    }
+
+    get storage() {
+        return this.data.storage;
+    }
+
+    get history() {
+        return this.data.history;
+    }
+
+    get objectTrends() {
+        return this.data.objectTrends;
+    }
+
+    get rules() {
+        return this.data.rules;
+    }
+
+    get display() {
+        return this.data.display;
+    }
+
+    // Group membership in the config file wins over the node registry
+    groupOf(nodeKey) {
+        const node = this.data.nodes.get(nodeKey);
+        return this.data.memberOf.get(nodeKey) || (node && node.group) || null;
+    }
+
+    // { name, group, tags } from the node registry; the group also covers
+    // membership in the config file's groups
+    nodeInfo(nodeKey) {
+        const node = this.data.nodes.get(nodeKey) || { name: null, tags: {} };
+        return Object.assign({}, node, { group: this.groupOf(nodeKey) });
+    }
+
+    // Effective settings for one node: defaults, then the file's top level,
+    // then its group, then its own server entry
+    forNode(nodeKey) {
+        if (this.nodeCache.has(nodeKey)) return this.nodeCache.get(nodeKey);
+
+        let settings = {};
+        for (const name of NODE_SETTINGS) settings[name] = this.data[name];
+
+        const group = this.groupOf(nodeKey);
+        const layers = [group && this.data.groups[group], this.data.servers[nodeKey]];
+        for (const layer of layers.filter(Boolean)) {
+            for (const name of NODE_SETTINGS) {
+                settings[name] = merge(settings[name], layer[name]);
+            }
+        }
+
+        this.nodeCache.set(nodeKey, settings);
+        return settings;
+    }
+}
+
+module.exports = {
+    Config,
+    DEFAULT_CONFIG
+};
@@ -0,0 +1,131 @@
+// Fleet-wide consensus per network ID. Every datagram carries the server's
+// ledger_seq and ledger_hash; servers report at different moments, so the
+// tracker keeps the recent (sequence, hash) pairs of each server and compares
+// servers at the same sequence. A server whose hash differs from the one most
+// servers reported for that sequence has diverged; its lag is how far its
+// sequence trails the highest one among the live servers of its network.
+
+// Sequences kept below the newest one seen on each network
+const LEDGER_WINDOW = 256;
+
+// Servers that have no validated ledger report an all-zero hash
+const EMPTY_HASH = /^0*$/;
+
+class ConsensusTracker {
+    constructor() {
+        // network_id -> Map(ledger_seq -> Map(nodeKey -> ledger_hash))
+        this.networks = new Map();
+        // nodeKey -> network_id the server last reported
+        this.memberships = new Map();
+    }
+
+    record(state) {
+        const { network_id: networkId, ledger_seq: seq, ledger_hash: hash } = state.header;
+        const previous = this.memberships.get(state.nodeKey);
+        if (previous !== undefined && previous !== networkId) this.forget(state.nodeKey);
+        this.memberships.set(state.nodeKey, networkId);
+        if (!seq || EMPTY_HASH.test(hash)) return;
+
+        if (!this.networks.has(networkId)) this.networks.set(networkId, new Map());
+        const ledgers = this.networks.get(networkId);
+        if (!ledgers.has(seq)) ledgers.set(seq, new Map());
+        ledgers.get(seq).set(state.nodeKey, hash);
+
+        const newest = Math.max(...ledgers.keys());
+        for (const old of ledgers.keys()) {
+            if (old < newest - LEDGER_WINDOW) ledgers.delete(old);
+        }
+    }
+
+    // Called when a server departs or moves to another network
+    forget(nodeKey) {
+        const networkId = this.memberships.get(nodeKey);
+        this.memberships.delete(nodeKey);
+        const ledgers = this.networks.get(networkId);
+        if (!ledgers) return;
+        for (const [seq, hashes] of ledgers) {
+            hashes.delete(nodeKey);
+            if (hashes.size === 0) ledgers.delete(seq);
+        }
+        if (ledgers.size === 0) this.networks.delete(networkId);
+    }
+
+    // The hashes reported for one sequence, most reported first:
+    // [{ hash, nodeKeys }]
+    hashesAt(networkId, seq) {
+        const reports = this.networks.has(networkId) && this.networks.get(networkId).get(seq);
+        if (!reports) return [];
+        const byHash = new Map();
+        for (const [nodeKey, hash] of reports) {
+            if (!byHash.has(hash)) byHash.set(hash, []);
+            byHash.get(hash).push(nodeKey);
+        }
+        return [...byHash].map(([hash, nodeKeys]) => ({ hash, nodeKeys }))
+            .sort((a, b) => b.nodeKeys.length - a.nodeKeys.length);
+    }
+
+    // Sequences in the window where servers disagree, newest first
+    forks(networkId) {
+        const ledgers = this.networks.get(networkId);
+        if (!ledgers) return [];
+        return [...ledgers.keys()].sort((a, b) => b - a)
+            .map(seq => ({ seq, hashes: this.hashesAt(networkId, seq) }))
+            .filter(fork => fork.hashes.length > 1);
+    }
+
+    // Compare a server with the others at its newest sequence that another
+    // server reported too. The majority hash is null on a tie, in which case
+    // every side counts as diverged. Null when there is nothing to compare.
+    compare(networkId, nodeKey) {
+        const ledgers = this.networks.get(networkId);
+        if (!ledgers) return null;
+        const seqs = [...ledgers.keys()].filter(seq => ledgers.get(seq).has(nodeKey) && ledgers.get(seq).size > 1);
+        if (seqs.length === 0) return null;
+
+        const seq = Math.max(...seqs);
+        const hashes = this.hashesAt(networkId, seq);
+        const tied = hashes.length > 1 && hashes[0].nodeKeys.length === hashes[1].nodeKeys.length;
+        const majority = tied ? null : hashes[0].hash;
+        const hash = ledgers.get(seq).get(nodeKey);
+        return {
+            seq,
+            hash,
+            majority,
+            agreeing: hashes.find(entry => entry.hash === hash).nodeKeys.length,
+            reporting: ledgers.get(seq).size,
+            diverged: hash !== majority
+        };
+    }
+
+    // One entry per network with live servers: the highest sequence among
+    // them, each server's lag behind it and comparison, and the forks
+    view(states) {
+        const byNetwork = new Map();
+        for (const state of states) {
+            if (!state.header || state.isAwol) continue;
+            const networkId = state.header.network_id;
+            if (!byNetwork.has(networkId)) byNetwork.set(networkId, []);
+            byNetwork.get(networkId).push(state);
+        }
+
+        return [...byNetwork].sort(([a], [b]) => a - b).map(([networkId, members]) => {
+            const maxSeq = Math.max(...members.map(state => state.header.ledger_seq));
+            return {
+                networkId,
+                maxSeq,
+                servers: members.map(state => ({
+                    state,
+                    seq: state.header.ledger_seq,
+                    lag: maxSeq - state.header.ledger_seq,
+                    comparison: this.compare(networkId, state.nodeKey)
+                })),
+                forks: this.forks(networkId)
+            };
+        });
+    }
+}
+
+module.exports = {
+    ConsensusTracker,
+    LEDGER_WINDOW
+};
@@ -0,0 +1,56 @@
+// Per-second rates derived from the cumulative debug counters. The previous
+// sample of each server is kept and the rates cover the interval between two
+// datagrams, timed by the server's own timestamps. When uptime goes down the
+// server restarted and its counters started over: that sample becomes the new
+// baseline and no rates are derived from it. A counter going backwards
+// without a restart is treated the same way.
+
+const COUNTER_RATES = [
+    { key: 'node_fetches_per_s', counter: 'nodeFetchCount', label: 'Node Fetches' },
+    { key: 'node_fetch_bytes_per_s', counter: 'nodeFetchSize', label: 'Node Fetch Bytes', bytes: true },
+    { key: 'node_writes_per_s', counter: 'nodeWriteCount', label: 'Node Writes' },
+    { key: 'node_write_bytes_per_s', counter: 'nodeWriteSize', label: 'Node Write Bytes', bytes: true },
+    { key: 'shard_reads_per_s', counter: 'shardNodeReadsTotal', label: 'Shard Reads' },
+    { key: 'shard_read_bytes_per_s', counter: 'shardNodeReadBytes', label: 'Shard Read Bytes', bytes: true },
+    { key: 'shard_writes_per_s', counter: 'shardNodeWrites', label: 'Shard Writes' },
+    { key: 'shard_write_bytes_per_s', counter: 'shardNodeWrittenBytes', label: 'Shard Write Bytes', bytes: true },
+    { key: 'local_tx_per_s', counter: 'localTxCount', label: 'Local Transactions' }
+];
+
+// Hits as a percentage of the lookups made in the interval
+const HIT_RATIOS = [
+    { key: 'node_fetch_hit_percent', hits: 'nodeFetchHitCount', total: 'nodeFetchCount', label: 'Node Fetch Hit Ratio' },
+    { key: 'shard_read_hit_percent', hits: 'shardNodeReadsHit', total: 'shardNodeReadsTotal', label: 'Shard Read Hit Ratio' }
+];
+
+const COUNTERS = [...new Set([
+    ...COUNTER_RATES.map(rate => rate.counter),
+    ...HIT_RATIOS.map(ratio => ratio.hits)
+])];
+
+// A sample is { uptime, timestamp (µs), counters }. Returns { reset, rates },
+// rates being null when there is nothing to derive them from.
+function deriveCounterRates(previous, sample) {
+    if (!previous || !previous.counters || !sample.counters) return { reset: false, rates: null };
+
+    const reset = sample.uptime < previous.uptime ||
+        COUNTERS.some(counter => sample.counters[counter] < previous.counters[counter]);
+    const seconds = (sample.timestamp - previous.timestamp) / 1e6;
+    if (reset || !(seconds > 0)) return { reset, rates: null };
+
+    const delta = counter => sample.counters[counter] - previous.counters[counter];
+    const rates = { interval_s: seconds };
+    for (const { key, counter } of COUNTER_RATES) {
+        rates[key] = delta(counter) / seconds;
+    }
+    for (const { key, hits, total } of HIT_RATIOS) {
+        rates[key] = delta(total) > 0 ? delta(hits) / delta(total) * 100 : null;
+    }
+    return { reset: false, rates };
+}
+
+module.exports = {
+    COUNTER_RATES,
+    HIT_RATIOS,
+    deriveCounterRates
+};
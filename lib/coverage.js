@@ -0,0 +1,151 @@
+// Ledger history coverage across the fleet, per network ID. Ranges are the
+// { start, end } complete ledger ranges (inclusive) servers report.
+//
+// A ledger the live servers held and no longer hold is lost, unless the
+// servers that held it deleted it from the old end of their own history while
+// still reporting (online_delete rotation). Lost ledgers stay lost until some
+// server reports them again, so a full history node going AWOL or departing
+// shows up as lost coverage.
+
+// Sorted, non-overlapping ranges with adjacent ones joined
+function mergeRanges(ranges) {
+    const sorted = ranges.filter(range => range.end >= range.start)
+        .map(({ start, end }) => ({ start, end }))
+        .sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+}
+
+function unionRanges(lists) {
+    return mergeRanges([].concat(...lists));
+}
+
+function intersectRanges(lists) {
+    if (lists.length === 0) return [];
+    return lists.slice(1).reduce((result, list) => {
+        const other = mergeRanges(list);
+        const overlap = [];
+        for (const a of result) {
+            for (const b of other) {
+                const start = Math.max(a.start, b.start);
+                const end = Math.min(a.end, b.end);
+                if (start <= end) overlap.push({ start, end });
+            }
+        }
+        return mergeRanges(overlap);
+    }, mergeRanges(lists[0]));
+}
+
+// The parts of `ranges` that `remove` does not cover
+function subtractRanges(ranges, remove) {
+    let result = mergeRanges(ranges);
+    for (const cut of mergeRanges(remove)) {
+        result = [].concat(...result.map((range) => {
+            if (cut.end < range.start || cut.start > range.end) return [range];
+            const parts = [];
+            if (cut.start > range.start) parts.push({ start: range.start, end: cut.start - 1 });
+            if (cut.end < range.end) parts.push({ start: cut.end + 1, end: range.end });
+            return parts;
+        }));
+    }
+    return result;
+}
+
+// Holes between the first and last ledger of the ranges
+function rangeGaps(ranges) {
+    const merged = mergeRanges(ranges);
+    const gaps = [];
+    for (let i = 1; i < merged.length; i++) {
+        gaps.push({ start: merged[i - 1].end + 1, end: merged[i].start - 1 });
+    }
+    return gaps;
+}
+
+function countLedgers(ranges) {
+    return ranges.reduce((total, range) => total + range.end - range.start + 1, 0);
+}
+
+function formatRanges(ranges) {
+    return ranges.map(range => (range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`)).join(', ');
+}
+
+class CoverageTracker {
+    constructor() {
+        // network_id -> { held: Map(nodeKey -> ranges), union, lost }
+        this.networks = new Map();
+    }
+
+    // Called when the monitor is told to start over, e.g. on reload
+    reset() {
+        this.networks.clear();
+    }
+
+    // Compare the live servers with the previous check. Returns one entry per
+    // network with live servers: the servers with their merged ranges, the
+    // union and intersection, the gaps no server covers and the lost ledgers.
+    check(states) {
+        const byNetwork = new Map();
+        for (const state of states) {
+            if (!state.header || state.isAwol) continue;
+            const networkId = state.header.network_id;
+            if (!byNetwork.has(networkId)) byNetwork.set(networkId, []);
+            byNetwork.get(networkId).push(state);
+        }
+
+        for (const [networkId, previous] of this.networks) {
+            if (!byNetwork.has(networkId)) previous.held.clear();
+        }
+
+        return [...byNetwork].sort(([a], [b]) => a - b).map(([networkId, members]) => {
+            if (!this.networks.has(networkId)) {
+                this.networks.set(networkId, { held: new Map(), union: [], lost: [] });
+            }
+            const network = this.networks.get(networkId);
+            const held = new Map(members.map(state => [state.nodeKey, mergeRanges(state.ranges)]));
+            const union = unionRanges([...held.values()]);
+
+            // Rotation: what a still reporting server dropped below its own
+            // oldest ledger
+            const rotated = [];
+            for (const [nodeKey, ranges] of held) {
+                const before = network.held.get(nodeKey);
+                if (!before || ranges.length === 0) continue;
+                rotated.push(...subtractRanges(before, ranges).filter(range => range.end < ranges[0].start));
+            }
+            const dropped = subtractRanges(subtractRanges(network.union, union), rotated);
+            const lost = subtractRanges(unionRanges([network.lost, dropped]), union);
+
+            network.held = held;
+            network.union = union;
+            network.lost = lost;
+
+            return {
+                networkId,
+                servers: members.map(state => ({ state, ranges: held.get(state.nodeKey) })),
+                union,
+                intersection: intersectRanges([...held.values()]),
+                gaps: rangeGaps(union),
+                lost
+            };
+        });
+    }
+}
+
+module.exports = {
+    CoverageTracker,
+    countLedgers,
+    formatRanges,
+    intersectRanges,
+    mergeRanges,
+    rangeGaps,
+    subtractRanges,
+    unionRanges
+};
@@ -0,0 +1,83 @@
+const {
+    LAYOUTS,
+    LEDGER_RANGE_SIZE,
+    OBJECT_COUNT_SIZE,
+    OBJECT_NAME_SIZE,
+    SERVER_INFO_MAGIC,
+    fieldSize
+} = require('./layout');
+
+// Encoder for server info datagrams, the inverse of lib/parser.js:
+// encodePacket(parsePacket(msg)) gives back msg byte for byte, as long as its
+// padding is zero. Fields take the names and units the parser produces;
+// anything left out is encoded as zero. Derived fields (ping) are ignored,
+// and ledger_range_count always matches the ranges. The header's version
+// (the newest supported one by default) picks the layout among `layouts`, the
+// monitor's by default.
+
+function writeValue(buffer, type, offset, size, value, name) {
+    switch (type) {
+    case 'u32': buffer.writeUInt32LE(value || 0, offset); break;
+    case 'u64': buffer.writeBigUInt64LE(BigInt(value || 0), offset); break;
+    case 'f64': buffer.writeDoubleLE(value || 0, offset); break;
+    case 'hex':
+    case 'string': {
+        const bytes = Buffer.from(value || '', type === 'hex' ? 'hex' : 'utf8');
+        if (bytes.length > size) throw new Error(`${name} is longer than ${size} bytes`);
+        bytes.copy(buffer, offset);
+        break;
+    }
+    default: throw new Error(`unknown field type ${type}`);
+    }
+}
+
+function getPath(source, path) {
+    return path.split('.').reduce((value, key) => (value ? value[key] : undefined), source);
+}
+
+function writeFields(buffer, fields, values) {
+    for (const field of fields) {
+        const value = getPath(values, field.name);
+        if (!field.count) {
+            writeValue(buffer, field.type, field.offset, field.size, value, field.name);
+            continue;
+        }
+        const size = fieldSize(field) / field.count;
+        for (let i = 0; i < field.count; i++) {
+            writeValue(buffer, field.type, field.offset + i * size, field.size, (value || [])[i], field.name);
+        }
+    }
+}
+
+// header, debugCounters, ranges ([{ start, end }]) and objectCounts
+// ([{ name, count }]) as the parser returns them
+function encodePacket({ header = {}, debugCounters = null, ranges = [], objectCounts = [] }, layouts = LAYOUTS) {
+    const version = header.version || Math.max(...layouts.versions);
+    const layout = layouts.layoutFor(version);
+    if (!layout) throw new Error(`Unsupported version: ${version}`);
+
+    const buffer = Buffer.alloc(layout.headerSize + ranges.length * LEDGER_RANGE_SIZE + objectCounts.length * OBJECT_COUNT_SIZE);
+    writeFields(buffer, layout.header, Object.assign({ magic: SERVER_INFO_MAGIC }, header, {
+        version,
+        ledger_range_count: ranges.length
+    }));
+    writeFields(buffer, layout.debugCounters, debugCounters || {});
+
+    ranges.forEach(({ start, end }, i) => {
+        buffer.writeUInt32LE(start, layout.headerSize + i * LEDGER_RANGE_SIZE);
+        buffer.writeUInt32LE(end, layout.headerSize + i * LEDGER_RANGE_SIZE + 4);
+    });
+
+    const objectOffset = layout.headerSize + ranges.length * LEDGER_RANGE_SIZE;
+    objectCounts.forEach(({ name, count }, i) => {
+        const offset = objectOffset + i * OBJECT_COUNT_SIZE;
+        writeValue(buffer, 'string', offset, OBJECT_NAME_SIZE, name, `object count name '${name}'`);
+        writeValue(buffer, 'u64', offset + OBJECT_NAME_SIZE, null, count);
+    });
+
+    return buffer;
+}
+
+module.exports = {
+    encodePacket
+};
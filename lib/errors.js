@@ -0,0 +1,11 @@
+// Raised when a datagram fails validation; `reason` is a short stable key
+// used to count rejections per source.
+class PacketError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'PacketError';
+        this.reason = reason;
+    }
+}
+
+module.exports = { PacketError };
@@ -0,0 +1,75 @@
+// Bounded per-server history of key metrics. Samples are kept at a fixed
+// resolution (a newer datagram within the same slot replaces the older one)
+// in preallocated ring buffers, so memory per server is constant.
+
+const HISTORY_METRICS = [
+    { key: 'peers', label: 'Peers', read: h => h.peer_count },
+    { key: 'ledger_seq', label: 'Ledger', read: h => h.ledger_seq },
+    { key: 'load', label: 'Load 1m', read: h => h.load_avg_1min },
+    { key: 'ping', label: 'Ping', read: h => h.ping },
+    { key: 'io_latency', label: 'IO Latency', read: h => h.io_latency_us },
+    { key: 'net_in', label: 'Net In', read: h => h.rates.network_in.rate_1m },
+    { key: 'net_out', label: 'Net Out', read: h => h.rates.network_out.rate_1m },
+    { key: 'disk_read', label: 'Disk Read', read: h => h.rates.disk_read.rate_1m },
+    { key: 'disk_write', label: 'Disk Write', read: h => h.rates.disk_write.rate_1m },
+    { key: 'memory', label: 'Memory', read: h => Number(h.process_memory_pages) * 4096 }
+];
+
+class MetricHistory {
+    constructor({ resolution, retention }, metrics = HISTORY_METRICS) {
+        this.resolution = resolution;
+        this.capacity = Math.max(1, Math.ceil(retention / resolution));
+        this.metrics = metrics;
+        this.times = new Float64Array(this.capacity);
+        this.values = {};
+        for (const metric of metrics) {
+            this.values[metric.key] = new Float64Array(this.capacity);
+        }
+        this.start = 0;
+        this.length = 0;
+        this.lastSlot = null;
+    }
+
+    lastIndex() {
+        return (this.start + this.length - 1) % this.capacity;
+    }
+
+    record(header, time = Date.now()) {
+        const slot = Math.floor(time / this.resolution);
+        let index;
+        if (this.length > 0 && slot === this.lastSlot) {
+            index = this.lastIndex();
+        } else if (this.length < this.capacity) {
+            index = (this.start + this.length) % this.capacity;
+            this.length++;
+        } else {
+            index = this.start;
+            this.start = (this.start + 1) % this.capacity;
+        }
+
+        this.lastSlot = slot;
+        this.times[index] = time;
+        for (const metric of this.metrics) {
+            const value = Number(metric.read(header));
+            this.values[metric.key][index] = Number.isFinite(value) ? value : NaN;
+        }
+    }
+
+    // Samples of one metric newer than `since`, oldest first
+    series(key, since = 0) {
+        const values = this.values[key];
+        const result = [];
+        for (let i = 0; i < this.length; i++) {
+            const index = (this.start + i) % this.capacity;
+            if (this.times[index] >= since) {
+                result.push({ time: this.times[index], value: values[index] });
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    HISTORY_METRICS,
+    MetricHistory
+};
@@ -0,0 +1,188 @@
+// The server info datagram layout, defined once for the parser and the
+// encoder. Every datagram is
+//
+//   [ fixed header ][ ledger ranges ][ object counts ]
+//
+// The first 8 bytes (magic, version) are the same in every version; the
+// version selects the rest. Fields list where they sit in the fixed header:
+// name (a dotted path for nested values), offset, type and the versions that
+// carry them, `since` and optionally `until` (both inclusive). A new version
+// adds its header size to HEADER_SIZES and its fields with `since`, and ends
+// the fields it moves or drops with `until`. Every version must carry
+// ledger_range_count.
+//
+// Types: u32, u64 (decoded as a Number), f64, hex and string (`size` bytes,
+// strings NUL padded); `count` makes an array of that many values.
+
+const SERVER_INFO_MAGIC = 0x4D474458;
+
+// Fixed header size per supported version
+const HEADER_SIZES = {
+    1: 708
+};
+
+const LEDGER_RANGE_SIZE = 8;
+
+// Object count records: a NUL padded type name and a u64 count
+const OBJECT_COUNT_SIZE = 64;
+const OBJECT_NAME_SIZE = 56;
+
+const TYPE_SIZES = { u32: 4, u64: 8, f64: 8 };
+
+const HEADER_FIELDS = [
+    { name: 'magic', offset: 0, type: 'u32', since: 1 },
+    { name: 'version', offset: 4, type: 'u32', since: 1 },
+    { name: 'network_id', offset: 8, type: 'u32', since: 1 },
+    { name: 'server_state', offset: 12, type: 'u32', since: 1 },
+    { name: 'peer_count', offset: 16, type: 'u32', since: 1 },
+    { name: 'node_size', offset: 20, type: 'u32', since: 1 },
+    { name: 'cpu_cores', offset: 24, type: 'u32', since: 1 },
+    { name: 'ledger_range_count', offset: 28, type: 'u32', since: 1 },
+    { name: 'warning_flags', offset: 32, type: 'u32', since: 1 },
+    // 4 bytes of padding
+    { name: 'timestamp', offset: 40, type: 'u64', since: 1 },
+    { name: 'uptime', offset: 48, type: 'u64', since: 1 },
+    { name: 'io_latency_us', offset: 56, type: 'u64', since: 1 },
+    { name: 'validation_quorum', offset: 64, type: 'u64', since: 1 },
+    { name: 'fetch_pack_size', offset: 72, type: 'u64', since: 1 },
+    { name: 'proposer_count', offset: 80, type: 'u64', since: 1 },
+    { name: 'converge_time_ms', offset: 88, type: 'u64', since: 1 },
+    { name: 'load_factor', offset: 96, type: 'u64', since: 1 },
+    { name: 'load_base', offset: 104, type: 'u64', since: 1 },
+    { name: 'reserve_base', offset: 112, type: 'u64', since: 1 },
+    { name: 'reserve_inc', offset: 120, type: 'u64', since: 1 },
+    { name: 'ledger_seq', offset: 128, type: 'u64', since: 1 },
+    { name: 'ledger_hash', offset: 136, type: 'hex', size: 32, since: 1 },
+    { name: 'node_public_key', offset: 168, type: 'hex', size: 33, since: 1 },
+    { name: 'version_string', offset: 201, type: 'string', size: 32, since: 1 },
+    // 7 bytes of padding
+    { name: 'process_memory_pages', offset: 240, type: 'u64', since: 1 },
+    { name: 'system_memory_total', offset: 248, type: 'u64', since: 1 },
+    { name: 'system_memory_free', offset: 256, type: 'u64', since: 1 },
+    { name: 'system_memory_used', offset: 264, type: 'u64', since: 1 },
+    { name: 'system_disk_total', offset: 272, type: 'u64', since: 1 },
+    { name: 'system_disk_free', offset: 280, type: 'u64', since: 1 },
+    { name: 'system_disk_used', offset: 288, type: 'u64', since: 1 },
+    { name: 'io_wait_time', offset: 296, type: 'u64', since: 1 },
+    { name: 'load_avg_1min', offset: 304, type: 'f64', since: 1 },
+    { name: 'load_avg_5min', offset: 312, type: 'f64', since: 1 },
+    { name: 'load_avg_15min', offset: 320, type: 'f64', since: 1 },
+    // Indexed by operating mode, disconnected to full
+    { name: 'state_transitions', offset: 328, type: 'u64', count: 5, since: 1 },
+    { name: 'state_durations', offset: 368, type: 'u64', count: 5, since: 1 },
+    { name: 'initial_sync_us', offset: 408, type: 'u64', since: 1 },
+    // Bytes per second averaged over 1m, 5m, 1h and 24h
+    { name: 'rates.network_in.rate_1m', offset: 416, type: 'f64', since: 1 },
+    { name: 'rates.network_in.rate_5m', offset: 424, type: 'f64', since: 1 },
+    { name: 'rates.network_in.rate_1h', offset: 432, type: 'f64', since: 1 },
+    { name: 'rates.network_in.rate_24h', offset: 440, type: 'f64', since: 1 },
+    { name: 'rates.network_out.rate_1m', offset: 448, type: 'f64', since: 1 },
+    { name: 'rates.network_out.rate_5m', offset: 456, type: 'f64', since: 1 },
+    { name: 'rates.network_out.rate_1h', offset: 464, type: 'f64', since: 1 },
+    { name: 'rates.network_out.rate_24h', offset: 472, type: 'f64', since: 1 },
+    { name: 'rates.disk_read.rate_1m', offset: 480, type: 'f64', since: 1 },
+    { name: 'rates.disk_read.rate_5m', offset: 488, type: 'f64', since: 1 },
+    { name: 'rates.disk_read.rate_1h', offset: 496, type: 'f64', since: 1 },
+    { name: 'rates.disk_read.rate_24h', offset: 504, type: 'f64', since: 1 },
+    { name: 'rates.disk_write.rate_1m', offset: 512, type: 'f64', since: 1 },
+    { name: 'rates.disk_write.rate_5m', offset: 520, type: 'f64', since: 1 },
+    { name: 'rates.disk_write.rate_1h', offset: 528, type: 'f64', since: 1 },
+    { name: 'rates.disk_write.rate_24h', offset: 536, type: 'f64', since: 1 }
+];
+
+// The debug counters at the end of the fixed header, decoded separately
+const DEBUG_COUNTER_FIELDS = [
+    { name: 'dbKBTotal', offset: 544, type: 'u64', since: 1 },
+    { name: 'dbKBLedger', offset: 552, type: 'u64', since: 1 },
+    { name: 'dbKBTransaction', offset: 560, type: 'u64', since: 1 },
+    { name: 'localTxCount', offset: 568, type: 'u64', since: 1 },
+    { name: 'writeLoad', offset: 576, type: 'u32', since: 1 },
+    { name: 'historicalPerMinute', offset: 580, type: 'u32', since: 1 },
+    { name: 'sleHitRate', offset: 584, type: 'u32', since: 1 },
+    { name: 'ledgerHitRate', offset: 588, type: 'u32', since: 1 },
+    { name: 'alSize', offset: 592, type: 'u32', since: 1 },
+    { name: 'alHitRate', offset: 596, type: 'u32', since: 1 },
+    { name: 'fullbelowSize', offset: 600, type: 'u32', since: 1 },
+    { name: 'treenodeCacheSize', offset: 604, type: 'u32', since: 1 },
+    { name: 'treenodeTrackSize', offset: 608, type: 'u32', since: 1 },
+    { name: 'shardFullbelowSize', offset: 612, type: 'u32', since: 1 },
+    { name: 'shardTreenodeCacheSize', offset: 616, type: 'u32', since: 1 },
+    { name: 'shardTreenodeTrackSize', offset: 620, type: 'u32', since: 1 },
+    { name: 'shardWriteLoad', offset: 624, type: 'u32', since: 1 },
+    { name: 'shardNodeWrites', offset: 628, type: 'u64', since: 1 },
+    { name: 'shardNodeReadsTotal', offset: 636, type: 'u64', since: 1 },
+    { name: 'shardNodeReadsHit', offset: 644, type: 'u64', since: 1 },
+    { name: 'shardNodeWrittenBytes', offset: 652, type: 'u64', since: 1 },
+    { name: 'shardNodeReadBytes', offset: 660, type: 'u64', since: 1 },
+    { name: 'nodeWriteCount', offset: 668, type: 'u64', since: 1 },
+    { name: 'nodeWriteSize', offset: 676, type: 'u64', since: 1 },
+    { name: 'nodeFetchCount', offset: 684, type: 'u64', since: 1 },
+    { name: 'nodeFetchHitCount', offset: 692, type: 'u64', since: 1 },
+    { name: 'nodeFetchSize', offset: 700, type: 'u64', since: 1 }
+];
+
+function fieldSize(field) {
+    return (field.size || TYPE_SIZES[field.type]) * (field.count || 1);
+}
+
+function inVersion(field, version) {
+    return field.since <= version && (field.until === undefined || version <= field.until);
+}
+
+// Fields of one version must fit its header and not overlap
+function checkLayout(layout) {
+    const { version, headerSize, header, debugCounters } = layout;
+    if (!layout.rangeCount) throw new Error(`v${version} has no ledger_range_count`);
+    const fields = [...header, ...debugCounters].sort((a, b) => a.offset - b.offset);
+    fields.forEach((field, i) => {
+        const end = field.offset + fieldSize(field);
+        if (end > headerSize) throw new Error(`v${version} ${field.name} ends past the header`);
+        const next = fields[i + 1];
+        if (next && end > next.offset) throw new Error(`v${version} ${field.name} overlaps ${next.name}`);
+    });
+}
+
+// The layouts of every version in a table of header sizes and fields:
+// { versions, layoutFor(version) }, layoutFor giving { version, headerSize,
+// header, debugCounters, rangeCount } for a supported version and null
+// otherwise. Throws when a layout does not add up.
+function createLayouts({ headerSizes, headerFields, debugCounterFields }) {
+    const layouts = new Map();
+    for (const version of Object.keys(headerSizes).map(Number)) {
+        const header = headerFields.filter(field => inVersion(field, version));
+        const layout = {
+            version,
+            headerSize: headerSizes[version],
+            header,
+            debugCounters: debugCounterFields.filter(field => inVersion(field, version)),
+            rangeCount: header.find(field => field.name === 'ledger_range_count')
+        };
+        checkLayout(layout);
+        layouts.set(version, layout);
+    }
+    return {
+        versions: [...layouts.keys()],
+        layoutFor: version => layouts.get(version) || null
+    };
+}
+
+// The layouts this monitor speaks
+const LAYOUTS = createLayouts({
+    headerSizes: HEADER_SIZES,
+    headerFields: HEADER_FIELDS,
+    debugCounterFields: DEBUG_COUNTER_FIELDS
+});
+
+module.exports = {
+    DEBUG_COUNTER_FIELDS,
+    HEADER_FIELDS,
+    HEADER_SIZES,
+    LAYOUTS,
+    LEDGER_RANGE_SIZE,
+    OBJECT_COUNT_SIZE,
+    OBJECT_NAME_SIZE,
+    SERVER_INFO_MAGIC,
+    SUPPORTED_VERSIONS: LAYOUTS.versions,
+    createLayouts,
+    fieldSize
+};
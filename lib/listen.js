@@ -0,0 +1,194 @@
+const dgram = require('dgram');
+const net = require('net');
+
+const DEFAULT_PORT = 12345;
+const DEFAULT_LISTEN = `[::]:${DEFAULT_PORT}`;
+
+// Parse a listen endpoint:
+//   12345                  dual-stack on all interfaces
+//   0.0.0.0:12345          IPv4 only
+//   [::]:12345             dual-stack (IPv6 socket also accepting IPv4)
+//   [::]:12345/v6only      IPv6 only
+//   [2001:db8::1]:12345    a specific IPv6 address
+//   tcp://0.0.0.0:12346    a TCP stream of length-prefixed datagrams, as
+//                          relays send them (see lib/relay.js)
+function parseListenSpec(spec) {
+    let rest = String(spec).trim();
+    let protocol = 'udp';
+    const scheme = rest.match(/^(udp|tcp):\/\//);
+    if (scheme) {
+        protocol = scheme[1];
+        rest = rest.slice(scheme[0].length);
+    }
+    let ipv6Only = false;
+    if (rest.endsWith('/v6only')) {
+        ipv6Only = true;
+        rest = rest.slice(0, -'/v6only'.length);
+    }
+
+    let host;
+    let port;
+    const bracketed = rest.match(/^\[([^\]]+)\](?::(\d+))?$/);
+    if (bracketed) {
+        host = bracketed[1];
+        port = bracketed[2];
+    } else if (/^\d+$/.test(rest)) {
+        host = '::';
+        port = rest;
+    } else {
+        const parts = rest.split(':');
+        if (parts.length > 2) {
+            throw new Error(`Invalid listen address '${spec}': IPv6 addresses must be written as [addr]:port`);
+        }
+        host = parts[0] || '0.0.0.0';
+        port = parts[1];
+    }
+
+    port = port === undefined ? DEFAULT_PORT : Number(port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port in listen address '${spec}'`);
+    }
+
+    const type = host.includes(':') ? 'udp6' : 'udp4';
+    if (ipv6Only && type !== 'udp6') {
+        throw new Error(`Invalid listen address '${spec}': /v6only needs an IPv6 address`);
+    }
+
+    return { host, port, type, protocol, ipv6Only, spec: String(spec) };
+}
+
+function formatListenSpec({ host, port, protocol, ipv6Only }) {
+    const address = host.includes(':') ? `[${host}]` : host;
+    return `${protocol === 'tcp' ? 'tcp://' : ''}${address}:${port}${ipv6Only ? '/v6only' : ''}`;
+}
+
+// IPv4 senders on a dual-stack socket show up as ::ffff:a.b.c.d
+function normalizeRinfo(rinfo) {
+    const mapped = rinfo.address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (!mapped) return rinfo;
+    return Object.assign({}, rinfo, { address: mapped[1], family: 'IPv4' });
+}
+
+function bindError(endpoint, err) {
+    const error = new Error(`Failed to listen on ${formatListenSpec(endpoint)}: ${err.code || err.message}` +
+        (err.code === 'EADDRINUSE' ? ' (port already in use)' :
+         err.code === 'EADDRNOTAVAIL' ? ' (address not available on this host)' :
+         err.code === 'EACCES' ? ' (permission denied)' : ''));
+    error.code = err.code;
+    return error;
+}
+
+// Bind errors on [::] that mean the host has no IPv6
+const NO_IPV6 = ['EAFNOSUPPORT', 'EADDRNOTAVAIL'];
+
+// Largest datagram accepted in a TCP frame, the UDP limit
+const MAX_FRAME_SIZE = 65535;
+
+// Split a TCP stream into [ length: u32 LE ][ datagram ] frames. Returns the
+// bytes left over for the next chunk; throws on an oversized frame.
+function readFrames(buffer, onFrame) {
+    let offset = 0;
+    while (buffer.length - offset >= 4) {
+        const length = buffer.readUInt32LE(offset);
+        if (length > MAX_FRAME_SIZE) throw new Error(`frame of ${length} bytes`);
+        if (buffer.length - offset - 4 < length) break;
+        onFrame(buffer.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+    }
+    return buffer.subarray(offset);
+}
+
+// TCP endpoints accept any number of relay connections. Each frame is handed
+// on like a datagram, with the relay connection as its source.
+function bindStream(endpoint, onMessage) {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer((connection) => {
+            const rinfo = normalizeRinfo({
+                address: connection.remoteAddress,
+                port: connection.remotePort,
+                family: connection.remoteFamily
+            });
+            let pending = Buffer.alloc(0);
+            connection.on('data', (chunk) => {
+                try {
+                    pending = readFrames(Buffer.concat([pending, chunk]), (frame) => {
+                        onMessage(Buffer.from(frame), Object.assign({ size: frame.length }, rinfo), endpoint);
+                    });
+                } catch (err) {
+                    console.debug(`Dropping relay connection from ${rinfo.address}: ${err.message}`);
+                    connection.destroy();
+                }
+            });
+            connection.on('error', err => console.debug(`Relay connection from ${rinfo.address}: ${err.message}`));
+        });
+
+        const onBindError = (err) => {
+            server.close();
+            reject(bindError(endpoint, err));
+        };
+
+        server.once('error', onBindError);
+        server.listen({ host: endpoint.host, port: endpoint.port, ipv6Only: endpoint.ipv6Only }, () => {
+            server.removeListener('error', onBindError);
+            resolve(server);
+        });
+    });
+}
+
+function bindSocket(endpoint, onMessage) {
+    if (endpoint.protocol === 'tcp') return bindStream(endpoint, onMessage);
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket({ type: endpoint.type, ipv6Only: endpoint.ipv6Only });
+
+        const onBindError = (err) => {
+            socket.close();
+            reject(bindError(endpoint, err));
+        };
+
+        socket.once('error', onBindError);
+        socket.on('message', (msg, rinfo) => onMessage(msg, normalizeRinfo(rinfo), endpoint));
+        socket.bind({ address: endpoint.host, port: endpoint.port }, () => {
+            socket.removeListener('error', onBindError);
+            resolve(socket);
+        });
+    });
+}
+
+// Bind every endpoint, feeding all of them into the same handler. Dual-stack
+// endpoints on [::] fall back to IPv4 on hosts without IPv6; any other bind
+// error is fatal.
+async function openListeners(specs, onMessage, onError) {
+    const endpoints = (specs && specs.length > 0 ? specs : [DEFAULT_LISTEN]).map(parseListenSpec);
+
+    const sockets = [];
+    try {
+        for (const endpoint of endpoints) {
+            let socket;
+            try {
+                socket = await bindSocket(endpoint, onMessage);
+            } catch (err) {
+                if (endpoint.host !== '::' || endpoint.ipv6Only || !NO_IPV6.includes(err.code)) throw err;
+                const fallback = parseListenSpec(formatListenSpec(Object.assign({}, endpoint, { host: '0.0.0.0' })));
+                console.debug(`No IPv6 on this host (${err.code}), listening on ${formatListenSpec(fallback)} ` +
+                    `instead of ${formatListenSpec(endpoint)}`);
+                socket = await bindSocket(fallback, onMessage);
+                socket.endpoint = fallback;
+            }
+            socket.endpoint = socket.endpoint || endpoint;
+            socket.on('error', (err) => onError(err, socket.endpoint));
+            sockets.push(socket);
+        }
+    } catch (err) {
+        sockets.forEach(socket => socket.close());
+        throw err;
+    }
+    return sockets;
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    MAX_FRAME_SIZE,
+    formatListenSpec,
+    openListeners,
+    parseListenSpec
+};
@@ -0,0 +1,267 @@
+const http = require('http');
+const { formatListenSpec, parseListenSpec } = require('./listen');
+
+// Prometheus text exposition of every decoded datagram field, one series set
+// per node. AWOL nodes only export xdgm_up 0 and their last-seen time, so
+// their values go stale in Prometheus instead of being frozen.
+
+const STATE_NAMES = ['disconnected', 'connected', 'syncing', 'tracking', 'full'];
+
+// Indexed by bit position in warning_flags
+const WARNING_FLAG_NAMES = ['amendment_blocked', 'unl_blocked', 'amendment_warned', 'not_synced'];
+
+// Header fields exported as plain gauges: [field, metric suffix, help]
+const HEADER_GAUGES = [
+    ['server_state', 'server_state', 'Server operating mode (0 disconnected .. 4 full)'],
+    ['peer_count', 'peer_count', 'Number of connected peers'],
+    ['node_size', 'node_size', 'Configured node size'],
+    ['cpu_cores', 'cpu_cores', 'CPU cores on the host'],
+    ['ledger_range_count', 'ledger_range_count', 'Number of complete ledger ranges'],
+    ['warning_flags', 'warning_flags', 'Raw warning flag bits'],
+    ['timestamp', 'timestamp_microseconds', 'Server timestamp of the datagram'],
+    ['ping', 'ping_milliseconds', 'Monitor receive time minus server timestamp'],
+    ['uptime', 'uptime_seconds', 'Server uptime'],
+    ['io_latency_us', 'io_latency_microseconds', 'I/O latency'],
+    ['validation_quorum', 'validation_quorum', 'Validation quorum'],
+    ['fetch_pack_size', 'fetch_pack_size', 'Fetch pack size'],
+    ['proposer_count', 'proposer_count', 'Proposers in the last consensus round'],
+    ['converge_time_ms', 'converge_time_milliseconds', 'Last consensus convergence time'],
+    ['load_factor', 'load_factor', 'Load factor'],
+    ['load_base', 'load_base', 'Load base'],
+    ['reserve_base', 'reserve_base_drops', 'Base reserve'],
+    ['reserve_inc', 'reserve_inc_drops', 'Owner reserve increment'],
+    ['ledger_seq', 'ledger_seq', 'Current ledger sequence'],
+    ['process_memory_pages', 'process_memory_pages', 'Process resident memory in pages'],
+    ['system_memory_total', 'system_memory_total_bytes', 'Total system memory'],
+    ['system_memory_free', 'system_memory_free_bytes', 'Free system memory'],
+    ['system_memory_used', 'system_memory_used_bytes', 'Used system memory'],
+    ['system_disk_total', 'system_disk_total_bytes', 'Total disk space'],
+    ['system_disk_free', 'system_disk_free_bytes', 'Free disk space'],
+    ['system_disk_used', 'system_disk_used_bytes', 'Used disk space'],
+    ['io_wait_time', 'io_wait_time', 'I/O wait time'],
+    ['load_avg_1min', 'load_average_1m', '1 minute load average'],
+    ['load_avg_5min', 'load_average_5m', '5 minute load average'],
+    ['load_avg_15min', 'load_average_15m', '15 minute load average'],
+    ['initial_sync_us', 'initial_sync_microseconds', 'Time taken by the initial sync']
+];
+
+// Debug counters that only ever grow are exported as counters
+const DEBUG_COUNTERS = new Set([
+    'localTxCount',
+    'shardNodeWrites',
+    'shardNodeReadsTotal',
+    'shardNodeReadsHit',
+    'shardNodeWrittenBytes',
+    'shardNodeReadBytes',
+    'nodeWriteCount',
+    'nodeWriteSize',
+    'nodeFetchCount',
+    'nodeFetchHitCount',
+    'nodeFetchSize'
+]);
+
+function snakeCase(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Collects samples grouped by metric family so HELP/TYPE are written once
+class MetricSet {
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.families = new Map();
+    }
+
+    add(name, type, help, labels, value) {
+        if (value === undefined || value === null) return;
+        const fullName = `${this.prefix}_${name}`;
+        if (!this.families.has(fullName)) {
+            this.families.set(fullName, { type, help, samples: [] });
+        }
+        this.families.get(fullName).samples.push({ labels, value });
+    }
+
+    render() {
+        const lines = [];
+        for (const [name, family] of this.families) {
+            lines.push(`# HELP ${name} ${family.help}`);
+            lines.push(`# TYPE ${name} ${family.type}`);
+            for (const { labels, value } of family.samples) {
+                lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// name and group are only added for nodes the node registry knows. The
+// source is the address alone: the port changes with every restart of the
+// node and would start a new series each time.
+function nodeLabels(node) {
+    const labels = {
+        node: node.nodeId,
+        network_id: node.header.network_id,
+        version: node.header.version_string,
+        source: node.rinfo ? node.rinfo.address : ''
+    };
+    if (node.name) labels.name = node.name;
+    if (node.group) labels.group = node.group;
+    return labels;
+}
+
+function addNodeMetrics(metrics, node) {
+    const { header } = node;
+    const labels = nodeLabels(node);
+    const now = Date.now();
+
+    metrics.add('up', 'gauge', 'Whether the node sent a datagram within its timeout', labels, node.stale ? 0 : 1);
+    metrics.add('last_seen_timestamp_seconds', 'gauge', 'Monitor time of the last datagram', labels, node.lastUpdate / 1000);
+    metrics.add('datagram_age_seconds', 'gauge', 'Seconds since the last datagram', labels, (now - node.lastUpdate) / 1000);
+    if (node.stale) return;
+
+    metrics.add('authenticated', 'gauge', 'Whether the last datagram was authenticated', labels,
+        node.auth && node.auth !== 'self-signed' ? 1 : 0);
+
+    for (const [field, suffix, help] of HEADER_GAUGES) {
+        metrics.add(suffix, 'gauge', help, labels, header[field]);
+    }
+
+    if (node.consensus) {
+        metrics.add('ledger_lag', 'gauge', 'Ledgers behind the highest ledger_seq of the network', labels, node.consensus.lag);
+        if (node.consensus.comparison) {
+            metrics.add('ledger_diverged', 'gauge', 'Whether the ledger hash differs from most servers at the same sequence',
+                labels, node.consensus.comparison.diverged ? 1 : 0);
+        }
+    }
+
+    if (node.timing) {
+        metrics.add('clock_offset_milliseconds', 'gauge', 'Smallest arrival delay in the window: clock offset plus minimum transit',
+            labels, node.timing.offset);
+        metrics.add('jitter_milliseconds', 'gauge', 'Interarrival jitter', labels, node.timing.jitter);
+        metrics.add('datagram_interval_milliseconds', 'gauge', 'Median interval between datagrams', labels, node.timing.cadence);
+        metrics.add('datagram_loss_percent', 'gauge', 'Datagrams missing in the window', labels, node.timing.loss);
+    }
+
+    WARNING_FLAG_NAMES.forEach((flag, bit) => {
+        metrics.add('warning', 'gauge', 'Warning flags set on the node',
+            Object.assign({}, labels, { flag }), header.warning_flags & (1 << bit) ? 1 : 0);
+    });
+
+    header.state_transitions.forEach((count, i) => {
+        const stateLabels = Object.assign({}, labels, { state: STATE_NAMES[i] });
+        metrics.add('state_transitions_total', 'counter', 'Transitions into each server state', stateLabels, count);
+        metrics.add('state_duration_microseconds_total', 'counter', 'Time spent in each server state', stateLabels, header.state_durations[i]);
+    });
+
+    for (const [kind, windows] of Object.entries(header.rates)) {
+        for (const [window, rate] of Object.entries(windows)) {
+            metrics.add('rate_bytes_per_second', 'gauge', 'Network and disk throughput averaged over a window',
+                Object.assign({}, labels, { kind, window: window.replace('rate_', '') }), rate);
+        }
+    }
+
+    if (node.debugCounters) {
+        for (const [field, value] of Object.entries(node.debugCounters)) {
+            if (DEBUG_COUNTERS.has(field)) {
+                metrics.add(`debug_${snakeCase(field)}_total`, 'counter', `Debug counter ${field}`, labels, value);
+            } else {
+                metrics.add(`debug_${snakeCase(field)}`, 'gauge', `Debug counter ${field}`, labels, value);
+            }
+        }
+    }
+
+    (node.ranges || []).forEach((range, index) => {
+        const rangeLabels = Object.assign({}, labels, { range: index });
+        metrics.add('ledger_range_start', 'gauge', 'First ledger of a complete range', rangeLabels, range.start);
+        metrics.add('ledger_range_end', 'gauge', 'Last ledger of a complete range', rangeLabels, range.end);
+    });
+    metrics.add('complete_ledgers', 'gauge', 'Number of ledgers held across all complete ranges', labels,
+        (node.ranges || []).reduce((total, range) => total + range.end - range.start + 1, 0));
+
+    for (const { name, count } of node.objectCounts || []) {
+        metrics.add('object_count', 'gauge', 'Live objects of each type',
+            Object.assign({}, labels, { type: name }), count);
+    }
+    for (const trend of node.objectTrends || []) {
+        const typeLabels = Object.assign({}, labels, { type: trend.name });
+        metrics.add('object_growth_per_hour', 'gauge', 'Slope of the object count over the trend window',
+            typeLabels, trend.perHour);
+        if (trend.percent !== null) {
+            metrics.add('object_growth_percent', 'gauge', 'Object count change over the trend window',
+                typeLabels, trend.percent);
+        }
+        metrics.add('object_growth_steady', 'gauge', 'Whether the object count grows steadily, as a leak does',
+            typeLabels, trend.growing ? 1 : 0);
+    }
+}
+
+function renderMetrics(nodes, rejections) {
+    const metrics = new MetricSet('xdgm');
+    metrics.add('servers', 'gauge', 'Servers known to the monitor', {}, nodes.length);
+    metrics.add('servers_awol', 'gauge', 'Servers past their timeout', {}, nodes.filter(node => node.stale).length);
+
+    for (const node of nodes) {
+        addNodeMetrics(metrics, node);
+    }
+
+    // By reason only: the source is whatever the sender claims, so a label
+    // for it would let anyone add series
+    for (const [reason, count] of rejections) {
+        metrics.add('rejected_packets_total', 'counter', 'Datagrams dropped by validation or authentication',
+            { reason }, count);
+    }
+    return metrics.render();
+}
+
+// Serve GET /metrics. getNodes returns the current node snapshots, getRejections
+// the rejection counts by reason.
+function startMetricsServer(spec, getNodes, getRejections) {
+    const endpoint = parseListenSpec(spec);
+
+    return new Promise((resolve, reject) => {
+        const server = http.createServer((req, res) => {
+            if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found\n');
+                return;
+            }
+            try {
+                const body = renderMetrics(getNodes(), getRejections());
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(body);
+            } catch (err) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end(`${err.message}\n`);
+            }
+        });
+
+        server.once('error', (err) => {
+            reject(new Error(`Failed to start metrics endpoint on ${formatListenSpec(endpoint)}: ${err.code || err.message}`));
+        });
+        server.listen({ host: endpoint.host, port: endpoint.port, ipv6Only: endpoint.ipv6Only }, () => {
+            server.endpoint = endpoint;
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    renderMetrics,
+    startMetricsServer
+};
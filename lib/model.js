@@ -0,0 +1,710 @@
+const EventEmitter = require('events');
+const { encodeNodePublic } = require('ripple-address-codec');
+const { ConsensusTracker } = require('./consensus');
+const { deriveCounterRates } = require('./counters');
+const { CoverageTracker, countLedgers, formatRanges } = require('./coverage');
+const { PacketError } = require('./errors');
+const { MetricHistory } = require('./history');
+const { ObjectTrendTracker, comparePeers, formatSpan } = require('./objects');
+const { ArrivalTracker } = require('./timing');
+
+const WARNING_FLAGS = {
+    AMENDMENT_BLOCKED: 1 << 0,
+    UNL_BLOCKED: 1 << 1,
+    AMENDMENT_WARNED: 1 << 2,
+    NOT_SYNCED: 1 << 3
+};
+
+// How many departed servers are remembered
+const MAX_DEPARTED = 1000;
+
+// Sources whose rejections are counted one by one
+const MAX_REJECTION_SOURCES = 1000;
+
+// Alert severities, lowest first
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const WARNING_SEVERITY = {
+    'Amendment Blocked': 'critical',
+    'UNL Blocked': 'critical',
+    'Amendment Warned': 'warning',
+    'NOT SYNCED': 'critical'
+};
+
+function getWarnings(header) {
+    if (!header) return [];
+
+    const warnings = [];
+    if (header.warning_flags & WARNING_FLAGS.AMENDMENT_BLOCKED) warnings.push('Amendment Blocked');
+    if (header.warning_flags & WARNING_FLAGS.UNL_BLOCKED) warnings.push('UNL Blocked');
+    if (header.warning_flags & WARNING_FLAGS.AMENDMENT_WARNED) warnings.push('Amendment Warned');
+    if (header.warning_flags & WARNING_FLAGS.NOT_SYNCED) warnings.push('NOT SYNCED');
+    return warnings;
+}
+
+// e.g. "SHAMapInnerNode up 23.4% in 60 min (+5,120/h), 4.1x the other 3
+// servers on 2024.11.18-release"
+function formatLeak(trend, version) {
+    let message = `${trend.name} up ${trend.percent.toFixed(1)}% in ${formatSpan(trend.span)} ` +
+        `(+${Math.round(trend.perHour).toLocaleString()}/h)`;
+    const peers = trend.peers;
+    if (peers) {
+        const others = `the other ${peers.peers} server${peers.peers !== 1 ? 's' : ''} on ${version}`;
+        if (peers.ratio === null) message += `, while ${others} ${peers.peers !== 1 ? 'are' : 'is'} flat`;
+        else if (peers.ratio >= 2) message += `, ${peers.ratio.toFixed(1)}x ${others}`;
+        else message += `, like ${others}`;
+    }
+    return message;
+}
+
+function encodeNodeId(nodePublicKey) {
+    try {
+        return encodeNodePublic(Buffer.from(nodePublicKey, 'hex'));
+    } catch (err) {
+        return nodePublicKey.substring(0, 8);
+    }
+}
+
+// One alerting condition, keyed by server, type and condition. While it is
+// firing, repeats bump its count and lastSeen instead of adding new entries;
+// it moves to 'resolved' once the condition clears.
+class Alert {
+    constructor(id, key, { message, serverId, serverName, type, severity }, now) {
+        this.id = id;
+        this.key = key;
+        this.serverId = serverId;
+        // Registry name of the server, if it has one
+        this.serverName = serverName || null;
+        this.type = type;
+        this.severity = severity;
+        this.message = message;
+        this.state = 'firing';
+        this.firstSeen = now;
+        this.lastSeen = now;
+        this.resolvedAt = null;
+        this.count = 1;
+        this.acknowledged = false;
+        this.silencedUntil = 0;
+        // Time of the latest change, kept for consumers of plain events
+        this.timestamp = now;
+    }
+
+    isSilenced(now = Date.now()) {
+        return this.silencedUntil > now;
+    }
+}
+
+// Everything known about one server, decoded from its latest datagram
+class ServerState {
+    constructor(nodeKey, historyOptions, trendOptions) {
+        this.nodeKey = nodeKey;
+        this.nodeId = encodeNodeId(nodeKey);
+        this.firstSeen = Date.now();
+        this.lastUpdate = 0;
+        // When ledger_seq last changed
+        this.ledgerChangedAt = 0;
+        this.isAwol = false;
+        this.header = null;
+        this.rinfo = null;
+        this.ranges = [];
+        this.objectCounts = [];
+        // Object count samples, and the growth per type from the last check
+        // compared with the servers on the same version, see lib/objects.js
+        this.objectTracker = new ObjectTrendTracker(trendOptions);
+        this.objectTrends = [];
+        this.debugCounters = null;
+        // Per-second rates from the debug counters between the last two
+        // datagrams, see lib/counters.js; null until there are two samples
+        // and right after a restart
+        this.counterRates = null;
+        this.counterSample = null;
+        this.counterResets = 0;
+        this.lastCounterReset = null;
+        this.auth = null;
+        // Name, group and tags from the node registry, see Config.nodeInfo
+        this.info = null;
+        // Lag behind the network and hash comparison from the last consensus
+        // check ({ lag, maxSeq, comparison }), null until checked or while AWOL
+        this.consensus = null;
+        // When the fork and lag conditions started, by condition
+        this.consensusSince = {};
+        this.history = new MetricHistory(historyOptions);
+        // Clock offset, jitter, cadence and loss, see lib/timing.js
+        this.arrivals = new ArrivalTracker();
+    }
+
+    get timing() {
+        return this.arrivals.stats();
+    }
+
+    get name() {
+        return this.info ? this.info.name : null;
+    }
+
+    get group() {
+        return this.info ? this.info.group : null;
+    }
+
+    get tags() {
+        return this.info ? this.info.tags : {};
+    }
+
+    // The registry name when there is one, the node ID otherwise
+    get displayName() {
+        return this.name || this.nodeId;
+    }
+
+    getWarnings() {
+        return getWarnings(this.header);
+    }
+
+    getStatus() {
+        if (this.isAwol) return 'awol';
+        return this.header.warning_flags & WARNING_FLAGS.NOT_SYNCED ? 'not_synced' : 'synced';
+    }
+
+    summary() {
+        return {
+            nodeId: this.nodeId,
+            nodePublicKey: this.nodeKey,
+            name: this.name,
+            group: this.group,
+            tags: this.tags,
+            address: this.rinfo.address,
+            port: this.rinfo.port,
+            // Relays the datagrams came through, first to last, and the
+            // address of the last one; empty and null when received directly
+            via: this.rinfo.via || [],
+            relay: this.rinfo.relay ? `${this.rinfo.relay.address}:${this.rinfo.relay.port}` : null,
+            networkId: this.header.network_id,
+            version: this.header.version_string,
+            status: this.getStatus(),
+            warnings: this.getWarnings(),
+            ping: this.header.ping,
+            peers: this.header.peer_count,
+            ledgerSeq: this.header.ledger_seq,
+            loadAvg1m: this.header.load_avg_1min,
+            authenticated: this.auth,
+            firstSeen: this.firstSeen,
+            lastUpdate: this.lastUpdate
+        };
+    }
+
+    details() {
+        return Object.assign(this.summary(), {
+            header: this.header,
+            debugCounters: this.debugCounters,
+            counterRates: this.counterRates,
+            counterResets: this.counterResets,
+            timing: this.timing,
+            ranges: this.ranges,
+            objectCounts: this.objectCounts,
+            objectTrends: this.objectTrends
+        });
+    }
+}
+
+// The monitor's state, shared by the dashboard, raw mode, the daemon and the
+// exporters. Emits 'added', 'updated', 'awol' and 'departed' with the
+// ServerState, 'alert' with the Alert and what happened to it ('fired',
+// 'repeated', 'resolved', 'acknowledged' or 'silenced') and 'rejected' when a
+// datagram is dropped.
+class ServerRegistry extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.servers = new Map();
+        // Most recently changed first; activeAlerts holds the firing ones by key
+        this.alerts = [];
+        this.activeAlerts = new Map();
+        this.nextAlertId = 1;
+        // Servers evicted after being AWOL for departAfter, most recent first
+        this.departed = [];
+        // Rejected packet counts, keyed by source address then reason, for
+        // the MAX_REJECTION_SOURCES sources heard from last; rejectionTotals
+        // counts every rejection by reason
+        this.rejections = new Map();
+        this.rejectionTotals = new Map();
+        this.rejectionSourcesDropped = 0;
+        this.consensus = new ConsensusTracker();
+        this.coverage = new CoverageTracker();
+        // Result of the last coverage check, see lib/coverage.js
+        this.coverageView = [];
+    }
+
+    settingsFor(state) {
+        return this.config.forNode(state.nodeKey);
+    }
+
+    get(id) {
+        if (this.servers.has(id)) return this.servers.get(id);
+        for (const state of this.servers.values()) {
+            if (state.nodeId === id) return state;
+        }
+        return null;
+    }
+
+    list() {
+        return [...this.servers.values()];
+    }
+
+    // Record a decoded datagram; throws a PacketError when it must be dropped
+    ingest({ header, rinfo, auth, ranges, debugCounters, objectCounts }) {
+        const nodeKey = header.node_public_key;
+        let state = this.servers.get(nodeKey);
+
+        // Once a node has authenticated, never fall back to trusting
+        // unauthenticated packets carrying its key
+        if (state && state.auth && !auth) {
+            throw new PacketError('auth_downgrade', 'Unauthenticated packet for an authenticated node');
+        }
+
+        const isNew = !state;
+        if (isNew) {
+            state = new ServerState(nodeKey, this.config.history, this.config.objectTrends);
+            state.info = this.config.nodeInfo(nodeKey);
+            this.servers.set(nodeKey, state);
+            this.departed = this.departed.filter(entry => entry.nodePublicKey !== nodeKey);
+            this.resolveAlert(state.nodeId, 'departed', 'departed');
+        }
+
+        // A datagram overtaken by a newer one, reordered or arriving both
+        // directly and through a relay, still shows the server is alive and
+        // times its arrival, but must not roll the shown figures back. A
+        // restart can lower ledger_seq too, but then the timestamp is newer.
+        if (state.header && header.ledger_seq < state.header.ledger_seq &&
+            header.timestamp <= state.header.timestamp) {
+            state.lastUpdate = Date.now();
+            state.isAwol = false;
+            state.arrivals.record(rinfo.receivedAt || state.lastUpdate, header.timestamp / 1000, header.uptime);
+            if (this.resolveAlert(state.nodeId, 'awol', 'awol')) state.lastAwolAlert = 0;
+            this.emit('updated', state);
+            return state;
+        }
+
+        const previousWarnings = state.getWarnings();
+
+        state.lastUpdate = Date.now();
+        if (!state.header || state.header.ledger_seq !== header.ledger_seq) {
+            state.ledgerChangedAt = state.lastUpdate;
+        }
+        state.isAwol = false;
+        state.header = header;
+        state.rinfo = rinfo;
+        state.ranges = ranges || [];
+        state.objectCounts = objectCounts || [];
+        // Replayed and relayed datagrams are sampled at their arrival time
+        state.objectTracker.record(rinfo.receivedAt || state.lastUpdate, header.uptime, state.objectCounts);
+        state.debugCounters = debugCounters;
+        this.updateCounterRates(state, header, debugCounters);
+        state.auth = auth || null;
+        state.history.record(header, state.lastUpdate);
+        // Relayed datagrams are timed by their arrival at the first relay
+        state.arrivals.record(rinfo.receivedAt || state.lastUpdate, header.timestamp / 1000, header.uptime);
+        this.consensus.record(state);
+
+        if (isNew) this.emit('added', state);
+
+        // Back from AWOL: resolve it, and alert straight away if it goes again
+        if (this.resolveAlert(state.nodeId, 'awol', 'awol')) state.lastAwolAlert = 0;
+        const currentWarnings = state.getWarnings();
+        currentWarnings.filter(warning => !previousWarnings.includes(warning)).forEach((warning) => {
+            this.addWarningAlert(warning, state);
+            state.lastWarningTime = state.lastUpdate;
+        });
+        previousWarnings.filter(warning => !currentWarnings.includes(warning))
+            .forEach(warning => this.resolveAlert(state.nodeId, 'warning_flag', warning));
+
+        this.emit('updated', state);
+        return state;
+    }
+
+    updateCounterRates(state, header, debugCounters) {
+        const sample = { uptime: header.uptime, timestamp: header.timestamp, counters: debugCounters };
+        const previous = state.counterSample;
+        // A duplicate or reordered datagram keeps the current baseline
+        if (previous && sample.timestamp <= previous.timestamp && sample.uptime >= previous.uptime) return;
+        const { reset, rates } = deriveCounterRates(previous, sample);
+        if (reset) {
+            state.counterResets++;
+            state.lastCounterReset = state.lastUpdate;
+        }
+        state.counterRates = rates;
+        state.counterSample = sample;
+    }
+
+    // Pick up node registry changes after a reload
+    refreshNodeInfo() {
+        for (const state of this.servers.values()) {
+            state.info = this.config.nodeInfo(state.nodeKey);
+        }
+    }
+
+    // Periodic checks: mark servers AWOL, evict the long gone and repeat
+    // alerts that still apply
+    check(now = Date.now()) {
+        for (const state of this.servers.values()) {
+            if (!state.header) continue;
+            const settings = this.settingsFor(state);
+            const wasAwol = state.isAwol;
+            state.isAwol = (now - state.lastUpdate) > settings.serverTimeout;
+
+            if (state.isAwol && settings.departAfter > 0 && now - state.lastUpdate > settings.departAfter) {
+                this.depart(state, now);
+            } else if (state.isAwol) {
+                // Rules are only evaluated on updates, so nothing would
+                // resolve the rule alerts of a server that went quiet
+                if (!wasAwol) {
+                    this.resolveAlerts(alert => alert.serverId === state.nodeId && alert.type === 'rule');
+                    this.emit('awol', state);
+                }
+                if (!state.lastAwolAlert || now - state.lastAwolAlert > settings.realertInterval) {
+                    this.addAlert('Server is AWOL', state.nodeId, { type: 'awol', severity: 'critical', condition: 'awol' });
+                    state.lastAwolAlert = now;
+                }
+            } else {
+                const warnings = state.getWarnings();
+                if (warnings.length > 0 &&
+                    (!state.lastWarningTime || now - state.lastWarningTime > settings.realertInterval)) {
+                    warnings.forEach(warning => this.addWarningAlert(warning, state));
+                    state.lastWarningTime = now;
+                }
+                this.checkClock(state, settings, now);
+            }
+        }
+        this.checkConsensus(now);
+        this.checkCoverage(now);
+        this.checkObjectTrends(now);
+    }
+
+    // Alert while a server's clock is off the monitor's by thresholds.clockOffset
+    checkClock(state, settings, now) {
+        const timing = state.timing;
+        const offset = timing ? Math.abs(timing.offset) : 0;
+        const { warn, crit } = settings.thresholds.clockOffset;
+        const active = this.activeAlerts.get(`${state.nodeId}|clock|offset`);
+        if (offset < warn) {
+            if (active) this.resolve(active);
+            return;
+        }
+        const severity = offset >= crit ? 'critical' : 'warning';
+        if (!active || active.severity !== severity || now - active.lastSeen > settings.realertInterval) {
+            this.addAlert(`Clock ${timing.offset > 0 ? 'behind' : 'ahead of'} the monitor by ${Math.round(offset)} ms`,
+                state.nodeId, { type: 'clock', severity, condition: 'offset' });
+        }
+    }
+
+    // Compare the live servers of each network. Servers on a fork, or lagging
+    // the network's highest ledger by thresholds.ledgerLag, are alerted once
+    // that has lasted consensusDelay; AWOL servers are left to the AWOL alert.
+    checkConsensus(now = Date.now()) {
+        for (const state of this.servers.values()) {
+            if (!state.isAwol) continue;
+            state.consensus = null;
+            this.holdConsensusAlert(state, 'fork', null, now);
+            this.holdConsensusAlert(state, 'lag', null, now);
+        }
+
+        for (const network of this.consensus.view(this.list())) {
+            for (const { state, lag, comparison } of network.servers) {
+                state.consensus = { lag, maxSeq: network.maxSeq, comparison };
+                const { warn, crit } = this.settingsFor(state).thresholds.ledgerLag;
+
+                this.holdConsensusAlert(state, 'fork', comparison && comparison.diverged && {
+                    severity: 'critical',
+                    message: `Ledger ${comparison.seq}: ` + (comparison.majority ?
+                        `hash ${comparison.hash.slice(0, 8)} differs from ${comparison.majority.slice(0, 8)} of most servers` :
+                        `servers are split on the hash, this one reports ${comparison.hash.slice(0, 8)}`) +
+                        ` (${comparison.agreeing} of ${comparison.reporting} agree)`
+                }, now);
+                this.holdConsensusAlert(state, 'lag', lag >= warn && {
+                    severity: lag >= crit ? 'critical' : 'warning',
+                    message: `${lag} ledgers behind network ${network.networkId} (${state.header.ledger_seq} of ${network.maxSeq})`
+                }, now);
+            }
+        }
+    }
+
+    // Raise a consensus alert once its condition has held for consensusDelay,
+    // repeat it every realertInterval or when the severity changes, and
+    // resolve it when the condition clears
+    holdConsensusAlert(state, condition, alert, now) {
+        if (!alert) {
+            delete state.consensusSince[condition];
+            this.resolveAlert(state.nodeId, 'consensus', condition);
+            return;
+        }
+        const settings = this.settingsFor(state);
+        if (state.consensusSince[condition] === undefined) state.consensusSince[condition] = now;
+        if (now - state.consensusSince[condition] < settings.consensusDelay) return;
+
+        const active = this.activeAlerts.get(`${state.nodeId}|consensus|${condition}`);
+        if (!active || active.severity !== alert.severity || now - active.lastSeen > settings.realertInterval) {
+            this.addAlert(alert.message, state.nodeId, { type: 'consensus', severity: alert.severity, condition });
+        }
+    }
+
+    // Alert while the live servers of a network no longer hold ledgers that
+    // were held before; the alert is raised against "network <id>"
+    checkCoverage(now = Date.now()) {
+        this.coverageView = this.coverage.check(this.list());
+        for (const network of this.coverageView) {
+            const source = `network ${network.networkId}`;
+            const active = this.activeAlerts.get(`${source}|coverage|lost`);
+            if (network.lost.length === 0) {
+                if (active) this.resolve(active);
+                continue;
+            }
+            const shown = network.lost.slice(0, 5);
+            const message = `No live server holds ledgers ${formatRanges(shown)}` +
+                (network.lost.length > shown.length ? ` and ${network.lost.length - shown.length} more ranges` : '') +
+                ` (${countLedgers(network.lost)} ledgers lost)`;
+            if (!active || active.message !== message || now - active.lastSeen > this.config.realertInterval) {
+                this.addAlert(message, source, { type: 'coverage', severity: 'critical', condition: 'lost' });
+            }
+        }
+        // A network without live servers left is down to its AWOL alerts
+        const checked = new Set(this.coverageView.map(network => `network ${network.networkId}`));
+        this.resolveAlerts(alert => alert.type === 'coverage' && !checked.has(alert.serverId));
+    }
+
+    // Alert on object types growing steadily by thresholds.objectGrowth over
+    // the trend window; AWOL servers keep their last trends and alerts
+    checkObjectTrends(now = Date.now()) {
+        const entries = this.list().filter(state => state.header && !state.isAwol)
+            .map(state => ({ state, trends: state.objectTracker.trends() }));
+        const peers = comparePeers(entries);
+
+        for (const { state, trends } of entries) {
+            const comparisons = peers.get(state.nodeKey);
+            state.objectTrends = trends.map(trend => Object.assign(trend, { peers: comparisons.get(trend.name) || null }));
+
+            const settings = this.settingsFor(state);
+            const { warn, crit } = settings.thresholds.objectGrowth;
+            const leaking = new Set();
+            for (const trend of state.objectTrends) {
+                if (!trend.growing || trend.percent === null || trend.percent < warn) continue;
+                leaking.add(trend.name);
+                const active = this.activeAlerts.get(`${state.nodeId}|leak|${trend.name}`);
+                // Growth over a sliding window shrinks as the count rises, so
+                // a leak stays critical once it got there
+                const severity = trend.percent >= crit || (active && active.severity === 'critical') ? 'critical' : 'warning';
+                if (!active || active.severity !== severity || now - active.lastSeen > settings.realertInterval) {
+                    this.addAlert(formatLeak(trend, state.header.version_string), state.nodeId,
+                        { type: 'leak', severity, condition: trend.name });
+                }
+            }
+
+            const prefix = `${state.nodeId}|leak|`;
+            for (const [key, alert] of [...this.activeAlerts]) {
+                if (key.startsWith(prefix) && !leaking.has(key.slice(prefix.length))) this.resolve(alert);
+            }
+        }
+    }
+
+    // The last coverage check in plain form, for the API
+    coverageSummary() {
+        return this.coverageView.map(network => ({
+            networkId: network.networkId,
+            union: network.union,
+            intersection: network.intersection,
+            gaps: network.gaps,
+            lost: network.lost,
+            servers: network.servers.map(({ state, ranges }) => ({
+                nodeId: state.nodeId,
+                name: state.name,
+                ranges,
+                depth: countLedgers(ranges)
+            }))
+        }));
+    }
+
+    // The consensus view in plain form, for the API
+    consensusSummary() {
+        const nodeId = nodeKey => (this.servers.has(nodeKey) ? this.servers.get(nodeKey).nodeId : encodeNodeId(nodeKey));
+        return this.consensus.view(this.list()).map(network => ({
+            networkId: network.networkId,
+            maxSeq: network.maxSeq,
+            servers: network.servers.map(({ state, seq, lag, comparison }) => ({
+                nodeId: state.nodeId,
+                name: state.name,
+                ledgerSeq: seq,
+                ledgerHash: state.header.ledger_hash,
+                lag,
+                diverged: !!(comparison && comparison.diverged),
+                comparison
+            })),
+            forks: network.forks.map(({ seq, hashes }) => ({
+                seq,
+                hashes: hashes.map(({ hash, nodeKeys }) => ({ hash, nodeIds: nodeKeys.map(nodeId) }))
+            }))
+        }));
+    }
+
+    // Move a server to the departed list. Its alerts are resolved, since
+    // nothing will clear them any more.
+    depart(state, now = Date.now()) {
+        this.servers.delete(state.nodeKey);
+        this.consensus.forget(state.nodeKey);
+        this.departed.unshift(Object.assign(state.summary(), { status: 'departed', departedAt: now }));
+        this.departed.length = Math.min(this.departed.length, MAX_DEPARTED);
+
+        this.resolveAlerts(alert => alert.serverId === state.nodeId);
+        this.addAlert(`Server departed, last seen ${new Date(state.lastUpdate).toISOString()}`, state.nodeId, {
+            type: 'departed',
+            condition: 'departed'
+        });
+        this.emit('departed', state);
+    }
+
+    // Raise the alert for a condition, or repeat it if it is still firing.
+    // type says what raised it: 'awol', 'warning_flag', 'rule', 'system', ...
+    // condition tells the type's conditions apart and defaults to the message.
+    addAlert(message, serverId, { type = 'system', severity = 'info', condition = message } = {}) {
+        const now = Date.now();
+        const key = `${serverId}|${type}|${condition}`;
+        let alert = this.activeAlerts.get(key);
+        let change = 'repeated';
+
+        if (alert) {
+            alert.message = message;
+            alert.severity = severity;
+            alert.count++;
+            alert.lastSeen = alert.timestamp = now;
+            this.alerts.splice(this.alerts.indexOf(alert), 1);
+        } else {
+            const state = this.get(serverId);
+            alert = new Alert(this.nextAlertId++, key, {
+                message, serverId, serverName: state && state.name, type, severity
+            }, now);
+            this.activeAlerts.set(key, alert);
+            change = 'fired';
+        }
+        this.alerts.unshift(alert);
+        this.trimAlerts();
+        this.emit('alert', alert, change);
+        return alert;
+    }
+
+    resolveAlert(serverId, type, condition) {
+        const alert = this.activeAlerts.get(`${serverId}|${type}|${condition}`);
+        if (alert) this.resolve(alert);
+        return alert || null;
+    }
+
+    // Resolve every firing alert matching the filter, e.g. when the rules
+    // behind them are reloaded
+    resolveAlerts(filter) {
+        [...this.activeAlerts.values()].filter(filter).forEach(alert => this.resolve(alert));
+    }
+
+    resolve(alert) {
+        this.activeAlerts.delete(alert.key);
+        alert.state = 'resolved';
+        alert.resolvedAt = alert.timestamp = Date.now();
+        this.emit('alert', alert, 'resolved');
+        this.trimAlerts();
+    }
+
+    getAlert(id) {
+        return this.alerts.find(alert => alert.id === id) || null;
+    }
+
+    // Acknowledged alerts stay listed but are no longer notified on repeat
+    acknowledgeAlert(id) {
+        const alert = this.getAlert(id);
+        if (!alert) return null;
+        alert.acknowledged = !alert.acknowledged;
+        this.emit('alert', alert, 'acknowledged');
+        return alert;
+    }
+
+    // Silenced alerts are not notified at all until the silence ends;
+    // a duration of 0 lifts it
+    silenceAlert(id, duration) {
+        const alert = this.getAlert(id);
+        if (!alert) return null;
+        alert.silencedUntil = duration > 0 ? Date.now() + duration : 0;
+        this.emit('alert', alert, 'silenced');
+        return alert;
+    }
+
+    // Drop resolved alerts from the list
+    clearResolved() {
+        this.alerts = this.alerts.filter(alert => alert.state !== 'resolved');
+    }
+
+    // Over the display limit, drop the oldest resolved alerts. Firing alerts
+    // are never dropped, or their next repeat would fire them anew and
+    // notify again despite an ack or silence.
+    trimAlerts() {
+        while (this.alerts.length > this.config.display.maxAlerts) {
+            const index = this.alerts.map(alert => alert.state).lastIndexOf('resolved');
+            if (index === -1) return;
+            this.alerts.splice(index, 1);
+        }
+    }
+
+    addWarningAlert(warning, state) {
+        return this.addAlert(warning, state.nodeId, {
+            type: 'warning_flag',
+            severity: WARNING_SEVERITY[warning] || 'warning'
+        });
+    }
+
+    // Sources are kept least recently rejected first, so a flood from many
+    // (possibly spoofed) addresses only pushes out the quiet ones
+    recordRejection(rinfo, reason) {
+        const reasons = this.rejections.get(rinfo.address) || new Map();
+        this.rejections.delete(rinfo.address);
+        this.rejections.set(rinfo.address, reasons);
+        if (this.rejections.size > MAX_REJECTION_SOURCES) {
+            this.rejections.delete(this.rejections.keys().next().value);
+            this.rejectionSourcesDropped++;
+        }
+        reasons.set(reason, (reasons.get(reason) || 0) + 1);
+        this.rejectionTotals.set(reason, (this.rejectionTotals.get(reason) || 0) + 1);
+        this.emit('rejected', rinfo, reason);
+    }
+
+    formatRejections() {
+        const total = [...this.rejectionTotals.values()].reduce((sum, count) => sum + count, 0);
+        if (total === 0) return '';
+
+        const breakdown = [...this.rejectionTotals].map(([reason, count]) => `${reason} ${count}`).join(', ');
+        const sources = this.rejections.size;
+        return `Rejected: ${total} [${breakdown}] from ${this.rejectionSourcesDropped ? 'over ' : ''}${sources} ` +
+            `source${sources !== 1 ? 's' : ''}`;
+    }
+
+    // Node snapshots in the shape the metrics exporter expects
+    snapshots() {
+        const now = Date.now();
+        return this.list().filter(state => state.header).map(state => ({
+            nodeId: state.nodeId,
+            name: state.name,
+            group: state.group,
+            header: state.header,
+            rinfo: state.rinfo,
+            ranges: state.ranges,
+            objectCounts: state.objectCounts,
+            debugCounters: state.debugCounters,
+            consensus: state.consensus,
+            timing: state.timing,
+            objectTrends: state.objectTrends,
+            auth: state.auth,
+            lastUpdate: state.lastUpdate,
+            stale: now - state.lastUpdate > this.settingsFor(state).serverTimeout
+        }));
+    }
+}
+
+module.exports = {
+    Alert,
+    SEVERITIES,
+    ServerRegistry,
+    ServerState,
+    WARNING_FLAGS,
+    encodeNodeId,
+    getWarnings
+};
@@ -0,0 +1,290 @@
+const http = require('http');
+const https = require('https');
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const { spawn } = require('child_process');
+const nodemailer = require('nodemailer');
+const { SEVERITIES } = require('./model');
+
+// Alert notification sinks. Every notifier receives structured events
+//
+//   { nodeId, severity, type, message, timestamp, suppressed }
+//
+// filtered by its own minimum severity and rate limit. `suppressed` counts
+// events this notifier dropped to its rate limit since the last one it sent.
+
+const SEND_TIMEOUT = 10000;
+
+function formatEventTitle(event) {
+    const level = event.state === 'resolved' ? 'RESOLVED' : event.severity.toUpperCase();
+    const node = event.nodeName ? `${event.nodeName} (${event.nodeId})` : event.nodeId;
+    return `[${level}] ${node}: ${event.message}`;
+}
+
+function formatEventText(event) {
+    const time = new Date(event.timestamp).toISOString();
+    const repeats = event.count > 1 ? `, ${event.count} times` : '';
+    const suppressed = event.suppressed ? ` (+${event.suppressed} suppressed)` : '';
+    return `${formatEventTitle(event)} (${event.type}, ${time}${repeats})${suppressed}`;
+}
+
+class Notifier {
+    constructor(options) {
+        this.name = options.name || options.type;
+        this.minSeverity = options.minSeverity || 'info';
+        this.types = options.types || null;
+        this.rateLimit = options.rateLimit || null;
+        this.windowStart = 0;
+        this.sentInWindow = 0;
+        this.suppressed = 0;
+    }
+
+    accepts(event) {
+        if (SEVERITIES.indexOf(event.severity) < SEVERITIES.indexOf(this.minSeverity)) return false;
+        return !this.types || this.types.includes(event.type);
+    }
+
+    // True when the event fits in the current rate limit window
+    admit(now) {
+        if (!this.rateLimit) return true;
+        if (now - this.windowStart >= this.rateLimit.interval) {
+            this.windowStart = now;
+            this.sentInWindow = 0;
+        }
+        if (this.sentInWindow >= this.rateLimit.count) {
+            this.suppressed++;
+            return false;
+        }
+        this.sentInWindow++;
+        return true;
+    }
+
+    notify(event) {
+        if (!this.accepts(event) || !this.admit(Date.now())) return Promise.resolve(false);
+        const sent = Object.assign({}, event, { suppressed: this.suppressed });
+        this.suppressed = 0;
+        return this.send(sent).then(() => true);
+    }
+}
+
+// POSTs JSON. The default 'slack' format ({ "text": ... }) is accepted by
+// Slack and Mattermost incoming webhooks; 'json' posts the event itself.
+class WebhookNotifier extends Notifier {
+    constructor(options) {
+        super(options);
+        if (!options.url) throw new Error('webhook notifier needs a url');
+        this.url = new URL(options.url);
+        this.format = options.format || 'slack';
+        this.headers = options.headers || {};
+    }
+
+    send(event) {
+        const body = JSON.stringify(this.format === 'json' ? event : { text: formatEventText(event) });
+        const transport = this.url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(this.url, {
+                method: 'POST',
+                headers: Object.assign({
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                }, this.headers),
+                timeout: SEND_TIMEOUT
+            }, (res) => {
+                res.resume();
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve();
+                } else {
+                    reject(new Error(`webhook returned HTTP ${res.statusCode}`));
+                }
+            });
+            req.on('timeout', () => req.destroy(new Error('webhook timed out')));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+}
+
+// Runs a local command with the event as JSON on stdin and in XDGM_* variables
+class ExecNotifier extends Notifier {
+    constructor(options) {
+        super(options);
+        if (!options.command) throw new Error('exec notifier needs a command');
+        this.command = options.command;
+        this.args = options.args || [];
+    }
+
+    send(event) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.command, this.args, {
+                stdio: ['pipe', 'ignore', 'ignore'],
+                timeout: SEND_TIMEOUT,
+                env: Object.assign({}, process.env, {
+                    XDGM_NODE_ID: event.nodeId,
+                    XDGM_NODE_NAME: event.nodeName || '',
+                    XDGM_SEVERITY: event.severity,
+                    XDGM_TYPE: event.type,
+                    XDGM_STATE: event.state,
+                    XDGM_MESSAGE: event.message,
+                    XDGM_TIMESTAMP: String(event.timestamp)
+                })
+            });
+            child.on('error', reject);
+            child.on('close', (code, signal) => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`${this.command} exited with ${signal || code}`));
+                }
+            });
+            child.stdin.on('error', () => {});
+            child.stdin.end(JSON.stringify(event) + '\n');
+        });
+    }
+}
+
+const SYSLOG_FACILITIES = {
+    kern: 0, user: 1, daemon: 3, auth: 4, syslog: 5,
+    local0: 16, local1: 17, local2: 18, local3: 19,
+    local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+const SYSLOG_SEVERITY = { critical: 2, warning: 4, info: 6 };
+
+// RFC 5424 messages over UDP, or TCP with octet counting
+class SyslogNotifier extends Notifier {
+    constructor(options) {
+        super(options);
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port || 514;
+        this.protocol = options.protocol || 'udp';
+        this.appName = options.appName || 'xdgm';
+        this.facility = SYSLOG_FACILITIES[options.facility || 'daemon'];
+        if (this.facility === undefined) throw new Error(`unknown syslog facility '${options.facility}'`);
+    }
+
+    format(event) {
+        const priority = this.facility * 8 + SYSLOG_SEVERITY[event.severity];
+        const time = new Date(event.timestamp).toISOString();
+        return `<${priority}>1 ${time} ${os.hostname()} ${this.appName} ${process.pid} ${event.type} - ${formatEventText(event)}`;
+    }
+
+    send(event) {
+        const message = Buffer.from(this.format(event));
+
+        if (this.protocol === 'tcp') {
+            return new Promise((resolve, reject) => {
+                const socket = net.connect({ host: this.host, port: this.port }, () => {
+                    socket.end(Buffer.concat([Buffer.from(`${message.length} `), message]), resolve);
+                });
+                socket.setTimeout(SEND_TIMEOUT, () => socket.destroy(new Error('syslog timed out')));
+                socket.on('error', reject);
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+            socket.send(message, this.port, this.host, (err) => {
+                socket.close();
+                if (err) reject(err); else resolve();
+            });
+        });
+    }
+}
+
+// Mails each event through a configurable relay
+class SmtpNotifier extends Notifier {
+    constructor(options) {
+        super(options);
+        if (!options.host) throw new Error('smtp notifier needs a host');
+        if (!options.from || !options.to) throw new Error('smtp notifier needs from and to');
+        this.from = options.from;
+        this.to = options.to;
+        this.transport = nodemailer.createTransport({
+            host: options.host,
+            port: options.port || 25,
+            secure: !!options.secure,
+            requireTLS: !!options.requireTLS,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+            connectionTimeout: SEND_TIMEOUT,
+            socketTimeout: SEND_TIMEOUT
+        });
+    }
+
+    send(event) {
+        return this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: `XDGM ${formatEventTitle(event)}`,
+            text: formatEventText(event) + '\n\n' + JSON.stringify(event, null, 2) + '\n'
+        });
+    }
+}
+
+const NOTIFIER_TYPES = {
+    webhook: WebhookNotifier,
+    exec: ExecNotifier,
+    syslog: SyslogNotifier,
+    smtp: SmtpNotifier
+};
+
+function createNotifier(options) {
+    const NotifierClass = NOTIFIER_TYPES[options.type];
+    if (!NotifierClass) throw new Error(`unknown notifier type '${options.type}'`);
+    if (options.minSeverity && !SEVERITIES.includes(options.minSeverity)) {
+        throw new Error(`unknown severity '${options.minSeverity}'`);
+    }
+    if (options.rateLimit && !(options.rateLimit.count > 0 && options.rateLimit.interval > 0)) {
+        throw new Error('rateLimit needs a positive count and interval');
+    }
+    return new NotifierClass(options);
+}
+
+// Fans alerts out to the configured notifiers. Alerts of type 'notifier'
+// (failures reported by this dispatcher) are never sent on, so a broken
+// sink cannot feed itself.
+class NotificationDispatcher {
+    constructor(onError) {
+        this.notifiers = [];
+        this.onError = onError;
+    }
+
+    // Replace the notifiers; on error the previous set stays in effect
+    configure(list) {
+        this.notifiers = (list || []).map((options, index) => {
+            try {
+                return createNotifier(options);
+            } catch (err) {
+                throw new Error(`notifiers[${index}]: ${err.message}`);
+            }
+        });
+    }
+
+    // Sends alerts that fire, repeat or resolve. Silenced alerts are skipped,
+    // and acknowledged ones only notify when they resolve.
+    dispatch(alert, change) {
+        if (alert.type === 'notifier' || alert.isSilenced()) return;
+        if (change !== 'fired' && change !== 'repeated' && change !== 'resolved') return;
+        if (change === 'repeated' && alert.acknowledged) return;
+        const event = {
+            nodeId: alert.serverId,
+            nodeName: alert.serverName,
+            severity: alert.severity,
+            type: alert.type,
+            state: alert.state,
+            message: alert.message,
+            count: alert.count,
+            firstSeen: alert.firstSeen,
+            timestamp: alert.timestamp
+        };
+        for (const notifier of this.notifiers) {
+            notifier.notify(event).catch(err => this.onError(new Error(`${notifier.name}: ${err.message}`)));
+        }
+    }
+}
+
+module.exports = {
+    NotificationDispatcher,
+    createNotifier
+};
@@ -0,0 +1,139 @@
+// Live object count trends per server. The counts of every object type are
+// sampled once per `resolution` over a rolling `window`; growth is the change
+// over the window and the least-squares slope per hour. A type grows steadily
+// when its count went up over most of the window, is still rising in its
+// second half, and at least `steadyRatio` of the steps between samples did not
+// go down: the shape of a leak, unlike a cache that fills up and levels off or
+// a count that swings with load. A restart (uptime going down) starts over.
+
+const HOUR = 3600000;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// A trend window for messages: 45 s, 20 min, 6 h
+function formatSpan(ms) {
+    if (ms < 120000) return `${Math.round(ms / 1000)} s`;
+    if (ms < 2 * HOUR) return `${Math.round(ms / 60000)} min`;
+    return `${Math.round(ms / HOUR)} h`;
+}
+
+// Least-squares slope of count over time, per ms
+function slope(points) {
+    const n = points.length;
+    const meanT = points.reduce((sum, p) => sum + p.t, 0) / n;
+    const meanCount = points.reduce((sum, p) => sum + p.count, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    for (const { t, count } of points) {
+        numerator += (t - meanT) * (count - meanCount);
+        denominator += (t - meanT) * (t - meanT);
+    }
+    return denominator > 0 ? numerator / denominator : 0;
+}
+
+class ObjectTrendTracker {
+    constructor({ window = HOUR, resolution = 60000, steadyRatio = 0.9, minSamples = 10 } = {}) {
+        this.window = window;
+        this.resolution = resolution;
+        this.steadyRatio = steadyRatio;
+        this.minSamples = minSamples;
+        // { t, counts: Map(type -> count) }, oldest first
+        this.samples = [];
+        this.uptime = null;
+    }
+
+    record(t, uptime, objectCounts) {
+        if (this.uptime !== null && uptime < this.uptime) this.samples = [];
+        this.uptime = uptime;
+        const last = this.samples[this.samples.length - 1];
+        if (last && t - last.t < this.resolution) return;
+        this.samples.push({ t, counts: new Map(objectCounts.map(({ name, count }) => [name, count])) });
+        while (this.samples.length > 0 && this.samples[0].t < t - this.window) this.samples.shift();
+    }
+
+    // One entry per type with at least two samples, fastest growing first:
+    // { name, count, change, percent, perHour, steadiness, samples, span,
+    // growing }, steadiness being the share of steps that did not go down
+    trends() {
+        const types = new Map();
+        for (const { t, counts } of this.samples) {
+            for (const [name, count] of counts) {
+                if (!types.has(name)) types.set(name, []);
+                types.get(name).push({ t, count });
+            }
+        }
+
+        const trends = [];
+        for (const [name, points] of types) {
+            if (points.length < 2) continue;
+            const first = points[0];
+            const middle = points[Math.floor(points.length / 2)];
+            const last = points[points.length - 1];
+            let steps = 0;
+            for (let i = 1; i < points.length; i++) {
+                if (points[i].count >= points[i - 1].count) steps++;
+            }
+            const change = last.count - first.count;
+            const steadiness = steps / (points.length - 1);
+            const span = last.t - first.t;
+            trends.push({
+                name,
+                count: last.count,
+                change,
+                percent: first.count > 0 ? change / first.count * 100 : null,
+                perHour: slope(points) * HOUR,
+                steadiness,
+                samples: points.length,
+                span,
+                growing: change > 0 && last.count > middle.count && points.length >= this.minSamples &&
+                    span >= this.window / 2 && steadiness >= this.steadyRatio
+            });
+        }
+        return trends.sort((a, b) => (b.percent || 0) - (a.percent || 0));
+    }
+}
+
+// Compare every server's growth of each type with the other servers running
+// the same version_string. Takes [{ state, trends }]; returns Map(nodeKey ->
+// Map(type -> { peers, peerPercent, ratio })), peerPercent being the median
+// growth of the others and ratio this server's growth over it (null when the
+// others did not grow).
+function comparePeers(entries) {
+    const byVersion = new Map();
+    for (const entry of entries) {
+        const version = entry.state.header.version_string;
+        if (!byVersion.has(version)) byVersion.set(version, []);
+        byVersion.get(version).push(entry);
+    }
+
+    const result = new Map();
+    for (const members of byVersion.values()) {
+        for (const { state, trends } of members) {
+            const comparisons = new Map();
+            for (const trend of trends) {
+                const others = members.filter(other => other.state !== state)
+                    .map(other => other.trends.find(candidate => candidate.name === trend.name))
+                    .filter(other => other && other.percent !== null);
+                if (others.length === 0 || trend.percent === null) continue;
+                const peerPercent = median(others.map(other => other.percent));
+                comparisons.set(trend.name, {
+                    peers: others.length,
+                    peerPercent,
+                    ratio: peerPercent > 0 ? trend.percent / peerPercent : null
+                });
+            }
+            result.set(state.nodeKey, comparisons);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    ObjectTrendTracker,
+    comparePeers,
+    formatSpan
+};
@@ -0,0 +1,142 @@
+const { PacketError } = require('./errors');
+const {
+    LAYOUTS,
+    LEDGER_RANGE_SIZE,
+    OBJECT_COUNT_SIZE,
+    OBJECT_NAME_SIZE,
+    SERVER_INFO_MAGIC,
+    fieldSize
+} = require('./layout');
+
+// Server info datagram parser, built from the layout table in lib/layout.js.
+// The version in every datagram picks the layout it is decoded with. Every
+// function takes the layouts to decode with last, the monitor's by default.
+
+function readValue(buffer, type, offset, size) {
+    switch (type) {
+    case 'u32': return buffer.readUInt32LE(offset);
+    case 'u64': return Number(buffer.readBigUInt64LE(offset));
+    case 'f64': return buffer.readDoubleLE(offset);
+    case 'hex': return buffer.toString('hex', offset, offset + size);
+    case 'string': return buffer.toString('utf8', offset, offset + size).replace(/\0+$/, '');
+    default: throw new Error(`unknown field type ${type}`);
+    }
+}
+
+function readField(buffer, field) {
+    if (!field.count) return readValue(buffer, field.type, field.offset, field.size);
+    const size = fieldSize(field) / field.count;
+    const values = [];
+    for (let i = 0; i < field.count; i++) {
+        values.push(readValue(buffer, field.type, field.offset + i * size, field.size));
+    }
+    return values;
+}
+
+// Set a dotted path such as rates.network_in.rate_1m
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    for (const key of keys) {
+        if (!target[key]) target[key] = {};
+        target = target[key];
+    }
+    target[last] = value;
+}
+
+function readFields(buffer, fields) {
+    const result = {};
+    for (const field of fields) setPath(result, field.name, readField(buffer, field));
+    return result;
+}
+
+// Check magic, version and lengths before any other field is trusted.
+// Returns the layout of the datagram's version.
+function validatePacket(buffer, layouts = LAYOUTS) {
+    if (buffer.length < 8) {
+        throw new PacketError('too_short', `Packet too small: ${buffer.length} bytes`);
+    }
+
+    const magic = buffer.readUInt32LE(0);
+    if (magic !== SERVER_INFO_MAGIC) {
+        throw new PacketError('bad_magic', `Bad magic: 0x${magic.toString(16).padStart(8, '0')}`);
+    }
+
+    const version = buffer.readUInt32LE(4);
+    const layout = layouts.layoutFor(version);
+    if (!layout) {
+        throw new PacketError('bad_version', `Unsupported version: ${version} (supported: ${layouts.versions.join(', ')})`);
+    }
+
+    if (buffer.length < layout.headerSize) {
+        throw new PacketError('too_short', `Packet too small: ${buffer.length} bytes (minimum ${layout.headerSize} required)`);
+    }
+
+    const rangeCount = buffer.readUInt32LE(layout.rangeCount.offset);
+    const maxRanges = Math.floor((buffer.length - layout.headerSize) / LEDGER_RANGE_SIZE);
+    if (rangeCount > maxRanges) {
+        throw new PacketError('bad_range_count', `Ledger range count ${rangeCount} exceeds packet size (max ${maxRanges})`);
+    }
+    return layout;
+}
+
+// The fixed header fields. receivedAt is the arrival time used for ping;
+// replays pass the captured time.
+function parseServerInfoHeader(buffer, receivedAt = Date.now(), layouts = LAYOUTS) {
+    const header = readFields(buffer, validatePacket(buffer, layouts).header);
+    header.ping = Math.ceil(receivedAt - (header.timestamp / 1000));
+    return header;
+}
+
+function parseDebugCounters(buffer, header, layouts = LAYOUTS) {
+    return readFields(buffer, layouts.layoutFor(header.version).debugCounters);
+}
+
+function parseLedgerRanges(buffer, header, layouts = LAYOUTS) {
+    const rangeOffset = layouts.layoutFor(header.version).headerSize;
+    const ranges = [];
+    for (let i = 0; i < header.ledger_range_count; i++) {
+        const offset = rangeOffset + (i * LEDGER_RANGE_SIZE);
+        ranges.push({
+            start: buffer.readUInt32LE(offset),
+            end: buffer.readUInt32LE(offset + 4)
+        });
+    }
+    return ranges;
+}
+
+// Whole records after the ledger ranges; records with an empty name are
+// skipped
+function parseObjectCounts(buffer, header, layouts = LAYOUTS) {
+    const objectCountOffset = layouts.layoutFor(header.version).headerSize + (header.ledger_range_count * LEDGER_RANGE_SIZE);
+    const numObjects = Math.floor((buffer.length - objectCountOffset) / OBJECT_COUNT_SIZE);
+    const counts = [];
+    for (let i = 0; i < numObjects; i++) {
+        const offset = objectCountOffset + (i * OBJECT_COUNT_SIZE);
+        const name = readValue(buffer, 'string', offset, OBJECT_NAME_SIZE);
+        const count = readValue(buffer, 'u64', offset + OBJECT_NAME_SIZE);
+        if (name.length > 0) counts.push({ name, count });
+    }
+    return counts;
+}
+
+// Validate and decode a whole datagram (without any auth trailer); throws a
+// PacketError for anything that must be dropped
+function parsePacket(buffer, receivedAt = Date.now(), layouts = LAYOUTS) {
+    const header = parseServerInfoHeader(buffer, receivedAt, layouts);
+    return {
+        header,
+        debugCounters: parseDebugCounters(buffer, header, layouts),
+        ranges: parseLedgerRanges(buffer, header, layouts),
+        objectCounts: parseObjectCounts(buffer, header, layouts)
+    };
+}
+
+module.exports = {
+    parseDebugCounters,
+    parseLedgerRanges,
+    parseObjectCounts,
+    parsePacket,
+    parseServerInfoHeader,
+    validatePacket
+};
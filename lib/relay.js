@@ -0,0 +1,253 @@
+const dgram = require('dgram');
+const net = require('net');
+const { PacketError } = require('./errors');
+const { formatListenSpec, parseListenSpec } = require('./listen');
+
+// Relaying datagrams to upstream collectors. A relay forwards every datagram
+// it accepts, either unchanged or wrapped in an envelope that carries the
+// original source and the relays it went through:
+//
+//   [ 0x52474458: u32 LE ][ N: u16 LE ][ JSON, N bytes ][ datagram ]
+//
+// where the JSON is { "address", "port", "family", "t", "via": [relay names] }
+// and t is the arrival time at the first relay in ms. Upstreams are
+// udp://host:port (or just host:port) for one datagram per datagram, or
+// tcp://host:port for a stream of [ length: u32 LE ][ datagram ] frames.
+//
+// The envelope is not authenticated, so collectors only take envelopes from
+// their relay peers: addresses or CIDR blocks they were given.
+
+const RELAY_MAGIC = 0x52474458;
+
+// Datagrams queued per TCP upstream while it is disconnected
+const MAX_QUEUE = 10000;
+
+const RECONNECT_MIN = 1000;
+const RECONNECT_MAX = 30000;
+
+function wrapDatagram(msg, origin) {
+    const header = Buffer.from(JSON.stringify(origin), 'utf8');
+    const prefix = Buffer.alloc(6);
+    prefix.writeUInt32LE(RELAY_MAGIC, 0);
+    prefix.writeUInt16LE(header.length, 4);
+    return Buffer.concat([prefix, header, msg]);
+}
+
+// The datagram and origin inside an envelope, or null for a plain datagram;
+// throws a PacketError for a malformed envelope
+function unwrapDatagram(msg) {
+    if (msg.length < 6 || msg.readUInt32LE(0) !== RELAY_MAGIC) return null;
+    const length = msg.readUInt16LE(4);
+    if (msg.length < 6 + length) throw new PacketError('bad_envelope', 'truncated relay envelope');
+    let origin;
+    try {
+        origin = JSON.parse(msg.subarray(6, 6 + length).toString('utf8'));
+    } catch (err) {
+        throw new PacketError('bad_envelope', `relay envelope: ${err.message}`);
+    }
+    if (!origin || typeof origin.address !== 'string' || !Number.isInteger(origin.port)) {
+        throw new PacketError('bad_envelope', 'relay envelope without a source');
+    }
+    return { msg: msg.subarray(6 + length), origin };
+}
+
+// The relay peers as a net.BlockList of addresses ('10.0.0.5') and CIDR
+// blocks ('10.0.0.0/24', 'fd00::/8'); throws on anything else
+function parsePeers(peers) {
+    const list = new net.BlockList();
+    for (const peer of peers) {
+        const [address, prefix] = String(peer).split('/');
+        const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+            throw new Error(`invalid relay peer '${peer}' (expected an address or CIDR block)`);
+        }
+        if (prefix === undefined) {
+            list.addAddress(address, family);
+        } else {
+            list.addSubnet(address, Number(prefix), family);
+        }
+    }
+    return list;
+}
+
+function isPeer(peers, address) {
+    // Dual-stack sockets report IPv4 senders as ::ffff:a.b.c.d
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return peers.check(mapped[1], 'ipv4');
+    return peers.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// The source a wrapped datagram stands for: its original sender, with the
+// relays it came through in `via` and the last hop in `relay`
+function relayedRinfo(origin, rinfo) {
+    return {
+        address: origin.address,
+        port: origin.port,
+        family: origin.family || (origin.address.includes(':') ? 'IPv6' : 'IPv4'),
+        receivedAt: typeof origin.t === 'number' ? origin.t : rinfo.receivedAt,
+        via: Array.isArray(origin.via) ? origin.via.map(String) : [],
+        relay: { address: rinfo.address, port: rinfo.port }
+    };
+}
+
+// Wrap a message handler so enveloped datagrams from the relay peers (a
+// parsePeers list) reach it with their original source. Malformed envelopes
+// and envelopes from anyone else are dropped as onInvalid(rinfo, err), err
+// being a PacketError.
+function unwrapping(handler, onInvalid, peers) {
+    return (msg, rinfo, ...rest) => {
+        let unwrapped;
+        try {
+            unwrapped = unwrapDatagram(msg);
+            if (unwrapped && !isPeer(peers, rinfo.address)) {
+                throw new PacketError('relay_not_peer', `${rinfo.address} is not a relay peer`);
+            }
+        } catch (err) {
+            onInvalid(rinfo, err);
+            return undefined;
+        }
+        if (!unwrapped) return handler(msg, rinfo, ...rest);
+        return handler(unwrapped.msg, relayedRinfo(unwrapped.origin, rinfo), ...rest);
+    };
+}
+
+class UdpUpstream {
+    constructor(endpoint, onError) {
+        this.endpoint = endpoint;
+        this.onError = onError;
+        this.socket = dgram.createSocket(endpoint.type);
+        this.socket.on('error', err => onError(err));
+        this.socket.unref();
+    }
+
+    send(msg) {
+        this.socket.send(msg, this.endpoint.port, this.endpoint.host, (err) => {
+            if (err) this.onError(err);
+        });
+    }
+
+    close() {
+        this.socket.close();
+    }
+}
+
+// Reconnects with backoff and queues datagrams while disconnected or while
+// the socket's buffer is full, dropping the oldest once the queue is full
+class TcpUpstream {
+    constructor(endpoint, onError) {
+        this.endpoint = endpoint;
+        this.onError = onError;
+        this.queue = [];
+        this.connected = false;
+        // Set while the socket waits for 'drain'
+        this.blocked = false;
+        this.failing = false;
+        this.closed = false;
+        this.delay = RECONNECT_MIN;
+        this.connect();
+    }
+
+    connect() {
+        this.socket = net.connect({ host: this.endpoint.host, port: this.endpoint.port });
+        this.socket.unref();
+        this.socket.on('connect', () => {
+            this.connected = true;
+            this.failing = false;
+            this.delay = RECONNECT_MIN;
+            this.flush();
+        });
+        this.socket.on('drain', () => {
+            this.blocked = false;
+            this.flush();
+        });
+        // Reported once per outage, not on every reconnect attempt
+        this.socket.on('error', (err) => {
+            if (!this.failing) this.onError(err);
+            this.failing = true;
+        });
+        this.socket.on('close', () => {
+            this.connected = false;
+            this.blocked = false;
+            if (this.closed) return;
+            const timer = setTimeout(() => this.connect(), this.delay);
+            timer.unref();
+            this.delay = Math.min(this.delay * 2, RECONNECT_MAX);
+        });
+    }
+
+    // Write queued frames until the socket asks to wait
+    flush() {
+        while (this.connected && !this.blocked && this.queue.length > 0) {
+            if (!this.socket.write(this.queue.shift())) this.blocked = true;
+        }
+    }
+
+    send(msg) {
+        const frame = Buffer.alloc(4 + msg.length);
+        frame.writeUInt32LE(msg.length, 0);
+        msg.copy(frame, 4);
+        this.queue.push(frame);
+        if (this.queue.length > MAX_QUEUE) this.queue.shift();
+        this.flush();
+    }
+
+    close() {
+        this.closed = true;
+        this.socket.end();
+    }
+}
+
+// Forwards accepted datagrams to every upstream. Options: name (this relay's
+// name in `via`), upstreams (URLs), wrap (false forwards datagrams
+// unchanged), nodes (hex node keys) and networks (network IDs) to forward
+// only those; onError(err, url) reports delivery failures.
+class Forwarder {
+    constructor({ name, upstreams = [], wrap = true, nodes = [], networks = [] }, onError) {
+        this.name = name;
+        this.wrap = wrap;
+        this.nodes = nodes.length > 0 ? new Set(nodes) : null;
+        this.networks = networks.length > 0 ? new Set(networks) : null;
+        this.forwarded = 0;
+        this.upstreams = upstreams.map((url) => {
+            const endpoint = parseListenSpec(url);
+            const report = err => onError(err, formatListenSpec(endpoint));
+            return endpoint.protocol === 'tcp' ? new TcpUpstream(endpoint, report) : new UdpUpstream(endpoint, report);
+        });
+    }
+
+    get enabled() {
+        return this.upstreams.length > 0;
+    }
+
+    accepts(header) {
+        return (!this.nodes || this.nodes.has(header.node_public_key)) &&
+            (!this.networks || this.networks.has(header.network_id));
+    }
+
+    // msg is the datagram as the server sent it, rinfo its (original) source
+    forward(msg, rinfo, header) {
+        if (!this.enabled || !this.accepts(header)) return;
+        const payload = this.wrap ? wrapDatagram(msg, {
+            address: rinfo.address,
+            port: rinfo.port,
+            family: rinfo.family,
+            t: rinfo.receivedAt || Date.now(),
+            via: [...(rinfo.via || []), this.name]
+        }) : msg;
+        this.upstreams.forEach(upstream => upstream.send(payload));
+        this.forwarded++;
+    }
+
+    close() {
+        this.upstreams.forEach(upstream => upstream.close());
+    }
+}
+
+module.exports = {
+    Forwarder,
+    RELAY_MAGIC,
+    parsePeers,
+    unwrapDatagram,
+    unwrapping,
+    wrapDatagram
+};
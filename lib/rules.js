@@ -0,0 +1,311 @@
+const { SEVERITIES } = require('./model');
+const { COUNTER_RATES, HIT_RATIOS } = require('./counters');
+
+// User-defined alert rules such as
+//
+//   peer_count < 10 for 60s => critical
+//
+// A rule is an expression over the metrics of one server, an optional "for"
+// duration it must hold continuously, and a severity. Rules can be scoped to
+// servers and groups. Expressions support numbers, metric names, + - * /,
+// comparisons (< <= > >= == !=), && || ! and parentheses.
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+function parseDuration(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/);
+    if (!match) throw new Error(`invalid duration '${value}'`);
+    return Number(match[1]) * DURATION_UNITS[match[2] || 'ms'];
+}
+
+const RATE_KINDS = ['network_in', 'network_out', 'disk_read', 'disk_write'];
+const RATE_WINDOWS = ['1m', '5m', '1h', '24h'];
+
+// Metrics available to expressions, each read from a ServerState
+const METRICS = {};
+
+[
+    'network_id', 'server_state', 'peer_count', 'node_size', 'cpu_cores', 'ledger_range_count',
+    'warning_flags', 'ping', 'uptime', 'io_latency_us', 'validation_quorum', 'fetch_pack_size',
+    'proposer_count', 'converge_time_ms', 'load_factor', 'load_base', 'reserve_base', 'reserve_inc',
+    'ledger_seq', 'process_memory_pages', 'system_memory_total', 'system_memory_free',
+    'system_memory_used', 'system_disk_total', 'system_disk_free', 'system_disk_used', 'io_wait_time',
+    'load_avg_1min', 'load_avg_5min', 'load_avg_15min', 'initial_sync_us'
+].forEach((field) => {
+    METRICS[field] = state => state.header[field];
+});
+
+RATE_KINDS.forEach((kind) => {
+    RATE_WINDOWS.forEach((window) => {
+        METRICS[`${kind}_${window}`] = state => state.header.rates[kind][`rate_${window}`];
+    });
+});
+
+[
+    'dbKBTotal', 'dbKBLedger', 'dbKBTransaction', 'localTxCount', 'writeLoad', 'historicalPerMinute',
+    'sleHitRate', 'ledgerHitRate', 'alSize', 'alHitRate', 'fullbelowSize', 'treenodeCacheSize',
+    'treenodeTrackSize', 'shardFullbelowSize', 'shardTreenodeCacheSize', 'shardTreenodeTrackSize',
+    'shardWriteLoad', 'shardNodeWrites', 'shardNodeReadsTotal', 'shardNodeReadsHit',
+    'shardNodeWrittenBytes', 'shardNodeReadBytes', 'nodeWriteCount', 'nodeWriteSize', 'nodeFetchCount',
+    'nodeFetchHitCount', 'nodeFetchSize'
+].forEach((field) => {
+    METRICS[field] = state => state.debugCounters ? state.debugCounters[field] : undefined;
+});
+
+// Rates derived from the debug counters, see lib/counters.js
+[...COUNTER_RATES, ...HIT_RATIOS].forEach(({ key }) => {
+    METRICS[key] = state => state.counterRates ? state.counterRates[key] : undefined;
+});
+
+Object.assign(METRICS, {
+    process_memory_bytes: state => Number(state.header.process_memory_pages) * 4096,
+    memory_used_percent: state => state.header.system_memory_used / state.header.system_memory_total * 100,
+    disk_used_percent: state => state.header.system_disk_used / state.header.system_disk_total * 100,
+    load_per_core: state => state.header.load_avg_1min / state.header.cpu_cores,
+    // Seconds since ledger_seq last changed
+    ledger_stalled_s: state => (Date.now() - state.ledgerChangedAt) / 1000,
+    not_synced: state => state.header.warning_flags & 8 ? 1 : 0,
+    amendment_blocked: state => state.header.warning_flags & 1 ? 1 : 0,
+    unl_blocked: state => state.header.warning_flags & 2 ? 1 : 0,
+    // From the last consensus check, see lib/consensus.js
+    ledger_lag: state => state.consensus ? state.consensus.lag : undefined,
+    ledger_diverged: state => state.consensus && state.consensus.comparison ?
+        Number(state.consensus.comparison.diverged) : undefined,
+    // Arrival statistics, see lib/timing.js
+    clock_offset_ms: state => state.timing ? state.timing.offset : undefined,
+    jitter_ms: state => state.timing ? state.timing.jitter : undefined,
+    cadence_ms: state => state.timing ? state.timing.cadence : undefined,
+    packet_loss_percent: state => state.timing ? state.timing.loss : undefined
+});
+
+// Tokenizer and recursive descent parser producing a small AST
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|&&|\|\||[-+*/<>!()]))/y;
+
+function tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        if (/^\s*$/.test(text.slice(TOKEN_PATTERN.lastIndex))) break;
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(text);
+        if (!match) {
+            const offset = start + text.slice(start).search(/\S/);
+            throw new Error(`unexpected '${text[offset]}' at position ${offset + 1}`);
+        }
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+        else tokens.push({ type: 'op', value: match[3] });
+    }
+    return tokens;
+}
+
+const BINARY_LEVELS = [
+    ['||'],
+    ['&&'],
+    ['<', '<=', '>', '>=', '==', '!='],
+    ['+', '-'],
+    ['*', '/']
+];
+
+function parseExpression(text) {
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+
+    function parseLevel(level) {
+        if (level === BINARY_LEVELS.length) return parseUnary();
+        let left = parseLevel(level + 1);
+        while (peek() && peek().type === 'op' && BINARY_LEVELS[level].includes(peek().value)) {
+            const op = tokens[position++].value;
+            left = { type: 'binary', op, left, right: parseLevel(level + 1) };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (isOp('-') || isOp('!')) {
+            const op = tokens[position++].value;
+            return { type: 'unary', op, operand: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) throw new Error('unexpected end of expression');
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.type === 'name') {
+            if (!METRICS[token.value]) throw new Error(`unknown metric '${token.value}'`);
+            return { type: 'metric', name: token.value };
+        }
+        if (token.value === '(') {
+            const inner = parseLevel(0);
+            if (!isOp(')')) throw new Error('missing )');
+            position++;
+            return inner;
+        }
+        throw new Error(`unexpected '${token.value}'`);
+    }
+
+    const ast = parseLevel(0);
+    if (position < tokens.length) throw new Error(`unexpected '${tokens[position].value}'`);
+    return ast;
+}
+
+function evaluate(node, values) {
+    switch (node.type) {
+    case 'number': return node.value;
+    case 'metric': return values[node.name];
+    case 'unary': {
+        const operand = evaluate(node.operand, values);
+        return node.op === '-' ? -operand : (operand ? 0 : 1);
+    }
+    default: {
+        const left = evaluate(node.left, values);
+        if (node.op === '&&') return left ? evaluate(node.right, values) : left;
+        if (node.op === '||') return left ? left : evaluate(node.right, values);
+        const right = evaluate(node.right, values);
+        switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '==': return left === right;
+        default: return left !== right;
+        }
+    }
+    }
+}
+
+function collectMetrics(node, names = new Set()) {
+    if (node.type === 'metric') names.add(node.name);
+    if (node.operand) collectMetrics(node.operand, names);
+    if (node.left) collectMetrics(node.left, names);
+    if (node.right) collectMetrics(node.right, names);
+    return names;
+}
+
+// Rules come either as a string "<expr> [for <duration>] => <severity>" or as
+// { name, expr, for, severity, servers, groups }
+function compileRule(definition) {
+    let options = definition;
+    if (typeof definition === 'string') {
+        const match = definition.match(/^(.*?)(?:\s+for\s+(\S+))?\s*=>\s*(\w+)\s*$/);
+        if (!match) throw new Error(`cannot parse rule '${definition}'`);
+        options = { expr: match[1], for: match[2], severity: match[3] };
+    }
+    if (!options.expr) throw new Error('rule needs an expr');
+
+    const severity = options.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) throw new Error(`unknown severity '${severity}'`);
+
+    let ast;
+    try {
+        ast = parseExpression(String(options.expr));
+    } catch (err) {
+        throw new Error(`rule '${options.expr}': ${err.message}`);
+    }
+
+    const duration = options.for ? parseDuration(options.for) : 0;
+    return {
+        name: options.name || (options.for ? `${options.expr} for ${options.for}` : String(options.expr)),
+        expr: String(options.expr),
+        ast,
+        metrics: [...collectMetrics(ast)],
+        duration,
+        severity,
+        servers: options.servers || null,
+        groups: options.groups || null
+    };
+}
+
+// Tracks how long each rule has held on each server and reports the rules
+// that start firing, are still firing after realertInterval, or stopped
+// firing on this update
+class RuleEngine {
+    constructor(config) {
+        this.config = config;
+        this.activity = new Map();
+    }
+
+    // Called when the rules are reloaded
+    reset() {
+        this.activity.clear();
+    }
+
+    // Called when a server departs
+    forget(nodeKey) {
+        this.activity.delete(nodeKey);
+    }
+
+    // Unscoped rules apply everywhere, scoped ones to the listed servers
+    // (hex node keys, see Config) and to members of the listed groups
+    appliesTo(rule, state) {
+        if (!rule.servers && !rule.groups) return true;
+        return !!((rule.servers && rule.servers.includes(state.nodeKey)) ||
+            (rule.groups && rule.groups.includes(this.config.groupOf(state.nodeKey))));
+    }
+
+    evaluate(state, now = Date.now()) {
+        if (!this.activity.has(state.nodeKey)) this.activity.set(state.nodeKey, new Map());
+        const activity = this.activity.get(state.nodeKey);
+        const { realertInterval } = this.config.forNode(state.nodeKey);
+        const firing = [];
+        const resolved = [];
+
+        this.config.rules.forEach((rule) => {
+            if (!this.appliesTo(rule, state)) return;
+
+            const values = {};
+            for (const name of rule.metrics) {
+                values[name] = METRICS[name](state);
+            }
+            // Missing inputs (e.g. no debug counters) never match
+            const result = rule.metrics.every(name => values[name] !== undefined && values[name] !== null) &&
+                evaluate(rule.ast, values);
+
+            if (!result) {
+                const entry = activity.get(rule);
+                if (entry && entry.firedAt !== null) resolved.push({ rule, values });
+                activity.delete(rule);
+                return;
+            }
+
+            let entry = activity.get(rule);
+            if (!entry) {
+                entry = { since: now, firedAt: null };
+                activity.set(rule, entry);
+            }
+            if (now - entry.since < rule.duration) return;
+            if (entry.firedAt === null || now - entry.firedAt > realertInterval) {
+                entry.firedAt = now;
+                firing.push({ rule, values });
+            }
+        });
+
+        return { firing, resolved };
+    }
+}
+
+function formatRuleValues(values) {
+    return Object.entries(values)
+        .map(([name, value]) => `${name}=${Number.isInteger(value) ? value : Number(value).toFixed(2)}`)
+        .join(', ');
+}
+
+module.exports = {
+    METRICS,
+    RuleEngine,
+    compileRule,
+    formatRuleValues,
+    parseDuration,
+    parseExpression
+};
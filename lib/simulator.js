@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const dgram = require('dgram');
+const { encodePacket } = require('./encoder');
+const { WARNING_FLAGS } = require('./model');
+const { parseDuration } = require('./rules');
+
+// A synthetic fleet for demos, dashboard development and tests: N fake
+// servers following one network, each sending a datagram per interval.
+// Scenarios script trouble for one server at a time:
+//
+//   awol               stops sending
+//   desync             loses sync: NOT_SYNCED, SYNCING and a frozen ledger
+//   amendment-blocked  AMENDMENT_BLOCKED and a frozen ledger
+//   disk-fill          disk usage climbs to 99%
+//   fork               reports its own ledger hashes
+//   leak               SHAMapInnerNode count grows steadily, doubling by the
+//                      end, and stays there
+//
+// A scenario is written name[@start][+duration], e.g. awol@30s+2m, and by
+// default starts after 20s and lasts a minute. A leak lasts 40 minutes by
+// default, so that the monitor's default object trend settings (an hour's
+// window, steady growth over half of it) see it. The first scenario hits the
+// first server, the second the next one, and so on.
+
+const SCENARIOS = ['awol', 'desync', 'amendment-blocked', 'disk-fill', 'fork', 'leak'];
+
+const DEFAULT_START = 20000;
+const DEFAULT_DURATION = 60000;
+const DEFAULT_DURATIONS = {
+    leak: 40 * 60000
+};
+
+// Average ledger close time
+const LEDGER_INTERVAL = 3500;
+
+// Operating modes, the index into state_transitions and state_durations
+const SERVER_STATES = { DISCONNECTED: 0, CONNECTED: 1, SYNCING: 2, TRACKING: 3, FULL: 4 };
+
+const GiB = 1024 * 1024 * 1024;
+
+const OBJECT_TYPES = ['STObject', 'STArray', 'STAmount', 'SHAMapInnerNode', 'SHAMapLeafNode',
+    'Ledger', 'Transaction', 'AcceptedLedger', 'InboundLedger', 'Pathfinder'];
+
+// The type the leak scenario grows
+const LEAKING_TYPE = 'SHAMapInnerNode';
+
+function parseScenario(text) {
+    const match = String(text).trim().match(/^([a-z-]+)(?:@([^+]+))?(?:\+(.+))?$/);
+    if (!match || !SCENARIOS.includes(match[1])) {
+        throw new Error(`Unknown scenario '${text}', use ${SCENARIOS.join(', ')}`);
+    }
+    return {
+        name: match[1],
+        start: match[2] ? parseDuration(match[2]) : DEFAULT_START,
+        duration: match[3] ? parseDuration(match[3]) : DEFAULT_DURATIONS[match[1]] || DEFAULT_DURATION
+    };
+}
+
+function hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// A value that wanders around `base` by up to `spread` either way
+function noisy(base, spread) {
+    return base + (Math.random() * 2 - 1) * spread;
+}
+
+class SimulatedServer {
+    constructor(index, startSeq, now) {
+        this.index = index;
+        this.name = `sim-${index}`;
+        this.nodePublicKey = '02' + hash(`xdgm-sim-${index}`);
+        this.bootedAt = now - Math.round(Math.random() * 86400) * 1000;
+        this.historyStart = startSeq - 1000 - Math.round(Math.random() * 50000);
+        this.peers = 10 + Math.round(Math.random() * 20);
+        this.memoryUsed = (12 + Math.random() * 8) * GiB;
+        this.diskUsed = (300 + Math.random() * 200) * GiB;
+        this.ledgerSeq = startSeq;
+        this.counters = {
+            localTxCount: 0,
+            nodeFetchCount: 0,
+            nodeFetchHitCount: 0,
+            nodeFetchSize: 0,
+            nodeWriteCount: 0,
+            nodeWriteSize: 0
+        };
+        this.objectCounts = OBJECT_TYPES.map(name => ({ name, base: 1000 + Math.round(Math.random() * 100000) }));
+    }
+
+    advance(seconds) {
+        const fetches = Math.round(noisy(200, 50) * seconds);
+        const writes = Math.round(noisy(80, 20) * seconds);
+        this.counters.localTxCount += Math.round(noisy(5, 5) * seconds);
+        this.counters.nodeFetchCount += fetches;
+        this.counters.nodeFetchHitCount += Math.round(fetches * 0.9);
+        this.counters.nodeFetchSize += fetches * 512;
+        this.counters.nodeWriteCount += writes;
+        this.counters.nodeWriteSize += writes * 400;
+    }
+
+    objectCount({ name, base }, leak) {
+        if (name === LEAKING_TYPE && leak !== undefined) return Math.round(base * (1 + leak));
+        return Math.round(noisy(base, base / 20));
+    }
+
+    // effects: { desync, blocked, diskFill (0-1), forked, leak (0-1) } from
+    // the scenarios
+    packet(now, networkId, networkSeq, effects) {
+        const frozen = effects.desync || effects.blocked;
+        if (!frozen) this.ledgerSeq = networkSeq;
+        const flags = (effects.desync ? WARNING_FLAGS.NOT_SYNCED : 0) |
+            (effects.blocked ? WARNING_FLAGS.AMENDMENT_BLOCKED : 0);
+        const uptime = Math.floor((now - this.bootedAt) / 1000);
+        const diskTotal = 1000 * GiB;
+        const diskUsed = effects.diskFill !== undefined ?
+            this.diskUsed + (0.99 * diskTotal - this.diskUsed) * effects.diskFill : this.diskUsed;
+        const memoryTotal = 32 * GiB;
+        const memoryUsed = noisy(this.memoryUsed, 0.2 * GiB);
+        const rate = base => ({ rate_1m: noisy(base, base / 5), rate_5m: base, rate_1h: base, rate_24h: base });
+        const state = effects.desync ? SERVER_STATES.SYNCING : SERVER_STATES.FULL;
+        const durations = [0, 0, 0, 0, 0];
+        durations[state] = uptime * 1e6;
+
+        return encodePacket({
+            header: {
+                network_id: networkId,
+                server_state: state,
+                peer_count: this.peers,
+                node_size: 3,
+                cpu_cores: 8,
+                warning_flags: flags,
+                timestamp: now * 1000,
+                uptime,
+                io_latency_us: Math.round(noisy(40, 20)),
+                validation_quorum: 28,
+                fetch_pack_size: 0,
+                proposer_count: 35,
+                converge_time_ms: Math.round(noisy(2000, 300)),
+                load_factor: 256,
+                load_base: 256,
+                reserve_base: 1000000,
+                reserve_inc: 200000,
+                ledger_seq: this.ledgerSeq,
+                ledger_hash: hash(effects.forked ? `fork-${this.index}-${this.ledgerSeq}` : `${networkId}-${this.ledgerSeq}`),
+                node_public_key: this.nodePublicKey,
+                version_string: '2024.11.18-release+1170',
+                process_memory_pages: Math.round(noisy(4 * GiB, 0.1 * GiB) / 4096),
+                system_memory_total: memoryTotal,
+                system_memory_free: Math.round(memoryTotal - memoryUsed),
+                system_memory_used: Math.round(memoryUsed),
+                system_disk_total: diskTotal,
+                system_disk_free: Math.round(diskTotal - diskUsed),
+                system_disk_used: Math.round(diskUsed),
+                io_wait_time: 0,
+                load_avg_1min: noisy(1.5, 0.5),
+                load_avg_5min: 1.5,
+                load_avg_15min: 1.4,
+                state_transitions: [0, 1, 1, 1, 1],
+                state_durations: durations,
+                initial_sync_us: 90e6,
+                rates: {
+                    network_in: rate(2 * 1024 * 1024),
+                    network_out: rate(1.5 * 1024 * 1024),
+                    disk_read: rate(20 * 1024 * 1024),
+                    disk_write: rate(8 * 1024 * 1024)
+                }
+            },
+            debugCounters: Object.assign({ dbKBTotal: Math.round(diskUsed / 1024) }, this.counters),
+            ranges: [{ start: this.historyStart, end: this.ledgerSeq }],
+            objectCounts: this.objectCounts.map(type => ({ name: type.name, count: this.objectCount(type, effects.leak) }))
+        });
+    }
+}
+
+// Sends the fleet's datagrams to `endpoint` ({ host, port, type }, see
+// parseListenSpec), a UDP endpoint as the servers use. onEvent(message)
+// reports scenarios starting and ending.
+class FleetSimulator {
+    constructor({ count = 5, interval = 1000, networkId = 21337, scenarios = [] }, endpoint, onEvent) {
+        if (endpoint.protocol === 'tcp') throw new Error('the simulator sends UDP datagrams; a tcp:// target takes relays only');
+        if (!Number.isInteger(count) || count < 1) throw new Error('count must be a positive integer');
+        if (scenarios.length > count) throw new Error(`${scenarios.length} scenarios need at least as many servers`);
+        this.interval = interval;
+        this.networkId = networkId;
+        this.endpoint = endpoint;
+        this.onEvent = onEvent;
+        this.startedAt = Date.now();
+        this.startSeq = 10000000 + Math.round(Math.random() * 1000000);
+        this.servers = [];
+        for (let i = 0; i < count; i++) this.servers.push(new SimulatedServer(i, this.startSeq, this.startedAt));
+        this.scenarios = scenarios.map((scenario, i) => Object.assign({ server: this.servers[i], active: false }, scenario));
+        this.socket = dgram.createSocket(endpoint.type);
+        this.socket.on('error', err => onEvent(`Send failed: ${err.message}`));
+        this.timer = null;
+    }
+
+    start() {
+        this.tick();
+        this.timer = setInterval(() => this.tick(), this.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.socket.close();
+    }
+
+    effectsFor(server, elapsed) {
+        const effects = {};
+        for (const scenario of this.scenarios) {
+            if (scenario.server !== server) continue;
+            const active = elapsed >= scenario.start && elapsed < scenario.start + scenario.duration;
+            if (active !== scenario.active) {
+                scenario.active = active;
+                this.onEvent(`${server.name}: ${scenario.name} ${active ? 'started' : 'ended'}`);
+            }
+            // Leaked objects are not given back
+            if (scenario.name === 'leak' && elapsed >= scenario.start) {
+                effects.leak = Math.min(1, (elapsed - scenario.start) / scenario.duration);
+            }
+            if (!active) continue;
+            if (scenario.name === 'awol') effects.silent = true;
+            if (scenario.name === 'desync') effects.desync = true;
+            if (scenario.name === 'amendment-blocked') effects.blocked = true;
+            if (scenario.name === 'disk-fill') effects.diskFill = (elapsed - scenario.start) / scenario.duration;
+            if (scenario.name === 'fork') effects.forked = true;
+        }
+        return effects;
+    }
+
+    tick() {
+        const now = Date.now();
+        const elapsed = now - this.startedAt;
+        const networkSeq = this.startSeq + Math.floor(elapsed / LEDGER_INTERVAL);
+        for (const server of this.servers) {
+            server.advance(this.interval / 1000);
+            const effects = this.effectsFor(server, elapsed);
+            if (effects.silent) continue;
+            const packet = server.packet(now, this.networkId, networkSeq, effects);
+            this.socket.send(packet, this.endpoint.port, this.endpoint.host);
+        }
+    }
+}
+
+module.exports = {
+    FleetSimulator,
+    SCENARIOS,
+    parseScenario
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const moment = require('moment');
+
+// Append-only NDJSON store of decoded snapshots and alerts, one file per UTC
+// day (xdgm-YYYY-MM-DD.ndjson). Each line is one record:
+//
+//   { "t": <ms>, "type": "snapshot", "node": "n...", "key": "<hex>", "source": "ip:port",
+//     "auth": ..., "header": {...}, "debugCounters": {...}, "ranges": [...], "objectCounts": [...] }
+//   { "t": <ms>, "type": "alert", "node": "<server id>", "alertType": "awol", "severity": "critical",
+//     "change": "fired", "count": 1, "message": "..." }
+//
+// Files older than `downsample.after` are rewritten keeping one snapshot per
+// node per `downsample.resolution`; files older than `retention` are deleted.
+
+const FILE_PATTERN = /^xdgm-(\d{4}-\d{2}-\d{2})(\.downsampled)?\.ndjson$/;
+
+function fileNameFor(time) {
+    return `xdgm-${moment.utc(time).format('YYYY-MM-DD')}.ndjson`;
+}
+
+function fileDate(name) {
+    const match = name.match(FILE_PATTERN);
+    return match ? moment.utc(match[1], 'YYYY-MM-DD').valueOf() : null;
+}
+
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => FILE_PATTERN.test(name))
+        .sort();
+}
+
+function stringify(record) {
+    return JSON.stringify(record, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+}
+
+class SnapshotStore {
+    constructor(options) {
+        this.dir = options.dir;
+        this.resolution = options.resolution;
+        this.retention = options.retention;
+        this.downsample = options.downsample;
+        this.lastWrite = new Map();
+        this.fd = null;
+        this.fileName = null;
+        this.onError = options.onError || (() => {});
+
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    // Records are small and infrequent, so they are written synchronously
+    // and nothing is lost when the process exits
+    write(record) {
+        try {
+            const name = fileNameFor(record.t);
+            if (name !== this.fileName) {
+                this.close();
+                this.fd = fs.openSync(path.join(this.dir, name), 'a');
+                this.fileName = name;
+            }
+            fs.writeSync(this.fd, stringify(record) + '\n');
+        } catch (err) {
+            this.onError(err);
+        }
+    }
+
+    // Write at most one snapshot per node per resolution interval, stamped
+    // with the arrival time of the datagram so replays keep their times
+    recordSnapshot(state, time = state.rinfo.receivedAt || state.lastUpdate) {
+        const last = this.lastWrite.get(state.nodeKey);
+        if (last && time - last < this.resolution) return;
+        this.lastWrite.set(state.nodeKey, time);
+
+        this.write({
+            t: time,
+            type: 'snapshot',
+            node: state.nodeId,
+            key: state.nodeKey,
+            name: state.name,
+            source: `${state.rinfo.address}:${state.rinfo.port}`,
+            auth: state.auth,
+            header: state.header,
+            debugCounters: state.debugCounters,
+            ranges: state.ranges,
+            objectCounts: state.objectCounts
+        });
+    }
+
+    // change is what happened to the alert, see ServerRegistry
+    recordAlert(alert, change) {
+        this.write({
+            t: alert.timestamp,
+            type: 'alert',
+            node: alert.serverId,
+            alertType: alert.type,
+            severity: alert.severity,
+            change,
+            count: alert.count,
+            message: alert.message
+        });
+    }
+
+    // Apply retention and downsampling to closed files
+    async maintain(now = Date.now()) {
+        const today = fileNameFor(now);
+        for (const name of listFiles(this.dir)) {
+            if (name === today) continue;
+            const date = fileDate(name);
+            const file = path.join(this.dir, name);
+            const age = now - (date + 24 * 60 * 60 * 1000);
+
+            if (this.retention && age > this.retention) {
+                await fs.promises.unlink(file);
+            } else if (this.downsample && age > this.downsample.after && !name.includes('.downsampled')) {
+                await downsampleFile(file, this.downsample.resolution);
+            }
+        }
+    }
+
+    close() {
+        if (this.fd !== null) fs.closeSync(this.fd);
+        this.fd = null;
+        this.fileName = null;
+    }
+}
+
+async function* readRecords(file) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(file),
+        crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            yield JSON.parse(line);
+        } catch (err) {
+            // A torn last line from a crash; skip it
+        }
+    }
+}
+
+async function downsampleFile(file, resolution) {
+    const target = file.replace(/\.ndjson$/, '.downsampled.ndjson');
+    const temp = `${target}.tmp`;
+    const lastKept = new Map();
+
+    // Through a pipeline, so a large day file is written as it is read
+    // rather than buffered
+    await pipeline(async function* () {
+        for await (const record of readRecords(file)) {
+            if (record.type === 'snapshot') {
+                const bucket = Math.floor(record.t / resolution);
+                if (lastKept.get(record.key) === bucket) continue;
+                lastKept.set(record.key, bucket);
+            }
+            yield stringify(record) + '\n';
+        }
+    }, fs.createWriteStream(temp));
+    await fs.promises.rename(temp, target);
+    await fs.promises.unlink(file);
+}
+
+// All records for one node (matched by n... ID or hex key) within [from, to]
+async function* queryRecords(dir, node, from, to) {
+    for (const name of listFiles(dir)) {
+        const date = fileDate(name);
+        if (date + 24 * 60 * 60 * 1000 < from || date > to) continue;
+
+        for await (const record of readRecords(path.join(dir, name))) {
+            if (record.t < from || record.t > to) continue;
+            if (record.node === node || record.key === node) yield record;
+        }
+    }
+}
+
+module.exports = {
+    SnapshotStore,
+    queryRecords
+};
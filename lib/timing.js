@@ -0,0 +1,92 @@
+// Datagram arrival statistics per server over a rolling window. A datagram's
+// delay is its arrival time on the monitor's clock minus its send time on the
+// server's clock: network transit plus the offset between the two clocks.
+// The smallest delay in the window is taken as the clock offset, since the
+// fastest datagram spent the least time in transit; how much the delay varies
+// from one datagram to the next is the jitter (RFC 3550 interarrival jitter).
+// The cadence is the median interval between send times, and loss is the
+// share of the datagrams that cadence implies which never arrived.
+
+// Datagrams kept per server
+const WINDOW = 120;
+
+// Fewer samples than this give no statistics
+const MIN_SAMPLES = 5;
+
+// A send time further back than this (ms) is the server's clock stepping
+// back, not a datagram overtaken on the way
+const MAX_REORDER = 60000;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+class ArrivalTracker {
+    constructor(size = WINDOW) {
+        this.size = size;
+        // { receivedAt, sentAt } in ms, oldest first
+        this.samples = [];
+        this.jitter = 0;
+        // Uptime (s) of the newest datagram
+        this.uptime = null;
+    }
+
+    record(receivedAt, sentAt, uptime = null) {
+        const last = this.samples[this.samples.length - 1];
+        // A newer datagram with a lower uptime: the server restarted
+        const restarted = last && sentAt > last.sentAt && uptime !== null && this.uptime !== null && uptime < this.uptime;
+        if (last && (restarted || sentAt < last.sentAt - MAX_REORDER)) {
+            // The server restarted or its clock stepped back: start over
+            this.samples = [];
+            this.jitter = 0;
+        } else if (last && sentAt <= last.sentAt) {
+            // Late (reordered, or a second copy through a relay): slot it in
+            // by send time, leaving the jitter to the datagrams in order
+            if (this.samples.some(sample => sample.sentAt === sentAt)) return;
+            if (this.samples.length >= this.size && sentAt < this.samples[0].sentAt) return;
+            const index = this.samples.findIndex(sample => sample.sentAt > sentAt);
+            this.samples.splice(index, 0, { receivedAt, sentAt });
+            if (this.samples.length > this.size) this.samples.shift();
+            return;
+        } else if (last) {
+            const change = (receivedAt - last.receivedAt) - (sentAt - last.sentAt);
+            this.jitter += (Math.abs(change) - this.jitter) / 16;
+        }
+        this.samples.push({ receivedAt, sentAt });
+        if (this.samples.length > this.size) this.samples.shift();
+        this.uptime = uptime;
+    }
+
+    // { samples, cadence, expected, missed, loss, offset, jitter, delay }, all
+    // times in ms and loss in percent; null until there are enough samples
+    stats() {
+        if (this.samples.length < MIN_SAMPLES) return null;
+        const first = this.samples[0];
+        const last = this.samples[this.samples.length - 1];
+
+        const intervals = [];
+        for (let i = 1; i < this.samples.length; i++) {
+            intervals.push(this.samples[i].sentAt - this.samples[i - 1].sentAt);
+        }
+        const cadence = median(intervals);
+        const expected = Math.max(this.samples.length, Math.round((last.sentAt - first.sentAt) / cadence) + 1);
+        const missed = expected - this.samples.length;
+
+        return {
+            samples: this.samples.length,
+            cadence,
+            expected,
+            missed,
+            loss: missed / expected * 100,
+            offset: Math.min(...this.samples.map(sample => sample.receivedAt - sample.sentAt)),
+            jitter: this.jitter,
+            delay: last.receivedAt - last.sentAt
+        };
+    }
+}
+
+module.exports = {
+    ArrivalTracker
+};
@@ -0,0 +1,140 @@
+// The server list as the dashboard lays it out, apart from blessed so it can
+// be tested: the card grid for a screen size, the grouping of the cards and
+// the columns and order of the table.
+
+// Card heights, borders included, for the three amounts of detail
+const CARD_HEIGHTS = {
+    compact: 5,
+    normal: 12,
+    expanded: 18
+};
+
+// The grid layout for `count` cards in a width x height area, recomputed
+// whenever the screen is resized or servers come and go: as many columns as
+// fit display.minCardWidth, and the largest card size that still shows every
+// server on one page. Compact cards are used, with paging, when even they do
+// not fit. display.cardSize other than 'auto' fixes the size.
+function computeLayout(width, height, count, { minCardWidth, cardSize }) {
+    const cols = Math.max(1, Math.floor(width / minCardWidth));
+    const rowsOf = size => Math.max(1, Math.floor(height / CARD_HEIGHTS[size]));
+
+    let size = cardSize;
+    if (size === 'auto') {
+        size = ['expanded', 'normal'].find(name => cols * rowsOf(name) >= count) || 'compact';
+    }
+    return {
+        cols,
+        rows: rowsOf(size),
+        width: Math.floor(width / cols),
+        height: CARD_HEIGHTS[size],
+        size
+    };
+}
+
+// Pages of `count` cards in the layout, at least one
+function countPages(count, layout) {
+    return Math.max(1, Math.ceil(count / (layout.cols * layout.rows)));
+}
+
+// Groupings of the cards and the table, cycled with G
+const GROUP_MODES = ['none', 'group', 'network'];
+
+// The group a server is shown in: its group (from the config or the node
+// registry), or its network ID
+function groupTitle(state, groupBy) {
+    if (groupBy === 'network') return `Network ${state.header.network_id}`;
+    return state.group || 'Ungrouped';
+}
+
+// The states by group title, groups in title order and their members in the
+// order given
+function groupStates(states, groupBy) {
+    const groups = new Map();
+    for (const state of states) {
+        const title = groupTitle(state, groupBy);
+        if (!groups.has(title)) groups.set(title, []);
+        groups.get(title).push(state);
+    }
+    return new Map([...groups.keys()].sort(compareValues).map(title => [title, groups.get(title)]));
+}
+
+const STATUS_LABELS = {
+    synced: 'SYNCED',
+    not_synced: 'NOT SYNCED',
+    awol: 'AWOL'
+};
+
+// Shorten a node ID to at most `width` characters, keeping both ends
+function abbreviateNodeId(nodeId, width) {
+    if (nodeId.length <= width) return nodeId;
+    const keep = Math.max(3, Math.floor((width - 3) / 2));
+    return `${nodeId.slice(0, keep)}...${nodeId.slice(-keep)}`;
+}
+
+// Percentage of a total, null while the server reports no total
+function percentOf(used, total) {
+    return total > 0 ? used / total * 100 : null;
+}
+
+function formatPercent(value) {
+    return value === null ? '-' : `${value.toFixed(1)}%`;
+}
+
+// The table's columns, one row per server, sorted by a column (S picks the
+// next column, R reverses). Exports use the same columns.
+const TABLE_COLUMNS = [
+    { title: 'Node', value: state => state.nodeId, format: value => abbreviateNodeId(value, 20) },
+    { title: 'Name', value: state => state.name || '' },
+    { title: 'Group', value: state => state.group || '' },
+    { title: 'Version', value: state => state.header.version_string },
+    { title: 'IP', value: state => state.rinfo.address },
+    { title: 'Via', value: state => (state.rinfo.via || []).join('>') },
+    { title: 'NetID', value: state => state.header.network_id },
+    { title: 'Status', value: state => STATUS_LABELS[state.getStatus()] },
+    { title: 'Ping', value: state => state.header.ping, format: value => `${value} ms` },
+    { title: 'Peers', value: state => state.header.peer_count },
+    { title: 'Ledger', value: state => state.header.ledger_seq },
+    { title: 'Load', value: state => state.header.load_avg_1min, format: value => value.toFixed(2) },
+    {
+        title: 'Memory',
+        value: state => percentOf(state.header.system_memory_used, state.header.system_memory_total),
+        format: formatPercent
+    },
+    {
+        title: 'Disk',
+        value: state => percentOf(state.header.system_disk_used, state.header.system_disk_total),
+        format: formatPercent
+    }
+];
+
+// Missing values sort after all others
+function compareValues(a, b) {
+    if (a === null || b === null) return (a === null) - (b === null);
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+// Sort the states in place by a column; grouped, the groups come first in
+// title order, each sorted by the column
+function sortStates(states, column, descending = false, groupBy = 'none') {
+    return states.sort((a, b) => {
+        if (groupBy !== 'none') {
+            const order = compareValues(groupTitle(a, groupBy), groupTitle(b, groupBy));
+            if (order !== 0) return order;
+        }
+        return compareValues(column.value(a), column.value(b)) * (descending ? -1 : 1);
+    });
+}
+
+module.exports = {
+    CARD_HEIGHTS,
+    GROUP_MODES,
+    STATUS_LABELS,
+    TABLE_COLUMNS,
+    abbreviateNodeId,
+    computeLayout,
+    countPages,
+    groupStates,
+    groupTitle,
+    sortStates
+};
@@ -1,260 +1,311 @@
-const dgram = require('dgram');
 const blessed = require('blessed');
 const moment = require('moment');
-const { encodeNodePublic } = require('ripple-address-codec');
-
-// Constants from original code
-const SERVER_INFO_MAGIC = 0x4D474458;
-const SERVER_INFO_VERSION = 1;
-const SERVER_TIMEOUT = 2000;
-
-const WARNING_FLAGS = {
-    AMENDMENT_BLOCKED: 1 << 0,
-    UNL_BLOCKED: 1 << 1,
-    AMENDMENT_WARNED: 1 << 2,
-    NOT_SYNCED: 1 << 3
-};
-
-const HEADER_SIZE = 708;
+const fs = require('fs');
+const os = require('os');
+const { PacketError } = require('./lib/errors');
+const { Authenticator, loadAllowlist, splitAuthTrailer } = require('./lib/auth');
+const { formatListenSpec, openListeners, parseListenSpec } = require('./lib/listen');
+const { Config, DEFAULT_CONFIG } = require('./lib/config');
+const { startMetricsServer } = require('./lib/metrics');
+const { startApiServer } = require('./lib/api');
+const { ServerRegistry, WARNING_FLAGS, encodeNodeId } = require('./lib/model');
+const { HISTORY_METRICS } = require('./lib/history');
+const { SnapshotStore, queryRecords } = require('./lib/storage');
+const { CaptureWriter, replayCapture } = require('./lib/capture');
+const { NotificationDispatcher } = require('./lib/notifiers');
+const { RuleEngine, formatRuleValues, parseDuration } = require('./lib/rules');
+const { countLedgers, formatRanges, intersectRanges } = require('./lib/coverage');
+const { COUNTER_RATES, HIT_RATIOS } = require('./lib/counters');
+const { formatSpan } = require('./lib/objects');
+const { Forwarder, parsePeers, unwrapping } = require('./lib/relay');
+const { FleetSimulator, parseScenario } = require('./lib/simulator');
+const { parsePacket } = require('./lib/parser');
+const {
+    GROUP_MODES, STATUS_LABELS, TABLE_COLUMNS, abbreviateNodeId, computeLayout, countPages, groupStates, groupTitle, sortStates
+} = require('./lib/views');
 
 // Add command line argument parsing
 const args = process.argv.slice(2);
 const RAW_MODE = args.includes('--raw') || args.includes('-r');
-
-// Helper functions
-function readUInt64LE(buffer, offset) {
-    const low = buffer.readUInt32LE(offset);
-    const high = buffer.readUInt32LE(offset + 4);
-    return BigInt(high) * BigInt(0x100000000) + BigInt(low);
+const DAEMON_MODE = args.includes('--daemon') || args.includes('-d');
+const QUERY_MODE = args[0] === 'query';
+const SIMULATE_MODE = args[0] === 'simulate';
+
+function getArgValue(...names) {
+    for (const name of names) {
+        const index = args.indexOf(name);
+        if (index !== -1 && index + 1 < args.length) return args[index + 1];
+    }
+    return null;
 }
 
-function readDoubleLE(buffer, offset) {
-    return buffer.readDoubleLE(offset);
+// All values of a repeatable option; each value may also be comma separated
+function getArgValues(...names) {
+    const values = [];
+    args.forEach((arg, index) => {
+        if (names.includes(arg) && index + 1 < args.length) {
+            values.push(...args[index + 1].split(',').filter(Boolean));
+        }
+    });
+    return values;
 }
 
-function formatBytes(bytes) {
-    const sizes = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
-    if (bytes === 0) return '0 B';
-    const i = Math.floor(Math.log(bytes) / Math.log(1024));
-    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+function loadConfig() {
+    try {
+        return new Config(getArgValue('--config', '-c'), { nodeRegistry: getArgValue('--nodes') });
+    } catch (err) {
+        console.error(`Configuration error: ${err.message}`);
+        process.exit(1);
+    }
 }
 
-function formatRate(bytesPerSec) {
-    if (bytesPerSec === 0) return '0 B/s';
-    const sizes = ['B/s', 'KiB/s', 'MiB/s', 'GiB/s', 'TiB/s'];
-    const i = Math.floor(Math.log(bytesPerSec) / Math.log(1024));
-    return `${(bytesPerSec / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
-}
+const config = loadConfig();
 
-function parseRateStats(buffer, offset) {
-    return {
-        rate_1m: readDoubleLE(buffer, offset),
-        rate_5m: readDoubleLE(buffer, offset + 8),
-        rate_1h: readDoubleLE(buffer, offset + 16),
-        rate_24h: readDoubleLE(buffer, offset + 24)
-    };
-}
+// Command line endpoints win over the config file; listen changes need a restart
+const LISTEN_SPECS = getArgValues('--listen', '-l').length > 0 ?
+    getArgValues('--listen', '-l') :
+    config.listen;
 
-function parseObjectCounts(buffer, header) {
+function createAuthenticator() {
+    const secretFile = getArgValue('--auth-secret-file');
+    const allowlistFile = getArgValue('--allowlist');
     try {
-        const objectCountOffset = HEADER_SIZE + (header.ledger_range_count * 8);
-        const counts = [];
-        const remainingBytes = buffer.length - objectCountOffset;
-        const numObjects = Math.floor(remainingBytes / 64); // Each record is 56 + 8 = 64 bytes
-
-        for (let i = 0; i < numObjects; i++) {
-            const offset = objectCountOffset + (i * 64);
-
-            // Read the name (56 bytes)
-            const nameBuffer = buffer.slice(offset, offset + 56);
-            const name = nameBuffer.toString('utf8').replace(/\0+$/, ''); // Remove null padding
-
-            // Read the count (8 bytes) as a 64-bit integer
-            const count = Number(readUInt64LE(buffer, offset + 56));
-
-            // Only add non-empty names
-            if (name.length > 0) {
-                counts.push({ name, count });
-            }
-        }
-        return counts;
+        return new Authenticator({
+            secret: secretFile ? fs.readFileSync(secretFile, 'utf8').trim() : getArgValue('--auth-secret'),
+            signatures: args.includes('--auth-signatures'),
+            allowlist: allowlistFile ? loadAllowlist(allowlistFile) : null,
+            maxAge: getArgValue('--auth-max-age') ? parseDuration(getArgValue('--auth-max-age')) : undefined
+        });
     } catch (err) {
-        console.debug('Error parsing object counts:', err.message);
-        return [];
+        console.error(`Authentication setup failed: ${err.message}`);
+        process.exit(1);
     }
 }
 
-// Parse server info header
-function parseServerInfoHeader(buffer) {
-//    if (buffer.length < 512) {
-//        throw new Error('Packet too small');
-//    }
+const authenticator = createAuthenticator();
 
-    function bigIntToNumber(value) {
-        return typeof value === 'bigint' ? Number(value) : value;
-    }
+// All modes share one registry of decoded server state
+const registry = new ServerRegistry(config);
 
-    const header = {};
+const METRICS_SPEC = getArgValue('--metrics') || config.metrics;
+const API_SPEC = getArgValue('--api') || config.api || (DAEMON_MODE ? '127.0.0.1:8080' : null);
 
-    // Fixed header fields (32-bit values)
-    header.magic = buffer.readUInt32LE(0);                       // 0
-    header.version = buffer.readUInt32LE(4);                     // 4
-    header.network_id = buffer.readUInt32LE(8);                  // 8
-    header.server_state = buffer.readUInt32LE(12);               // 12
-    header.peer_count = buffer.readUInt32LE(16);                 // 16
-    header.node_size = buffer.readUInt32LE(20);                  // 20
-    header.cpu_cores = buffer.readUInt32LE(24);                  // 24
-    header.ledger_range_count = buffer.readUInt32LE(28);         // 28
-    header.warning_flags = buffer.readUInt32LE(32);              // 32
-    
-     // padding_1                                                // 36
-
-    // 64-bit metrics starting at offset 40
-    header.timestamp = bigIntToNumber(readUInt64LE(buffer, 40));
-    header.ping = Math.ceil(Date.now() - (header.timestamp/1000))
-    header.uptime = bigIntToNumber(readUInt64LE(buffer, 48));
-    header.io_latency_us = bigIntToNumber(readUInt64LE(buffer, 56));
-    header.validation_quorum = bigIntToNumber(readUInt64LE(buffer, 64));
-    header.fetch_pack_size = bigIntToNumber(readUInt64LE(buffer, 72));
-    header.proposer_count = bigIntToNumber(readUInt64LE(buffer, 80));
-    header.converge_time_ms = bigIntToNumber(readUInt64LE(buffer, 88));
-    header.load_factor = bigIntToNumber(readUInt64LE(buffer, 96));
-    header.load_base = bigIntToNumber(readUInt64LE(buffer, 104));
-    header.reserve_base = bigIntToNumber(readUInt64LE(buffer, 112));
-    header.reserve_inc = bigIntToNumber(readUInt64LE(buffer, 120));
-    header.ledger_seq = bigIntToNumber(readUInt64LE(buffer, 128));
-
-    // Fixed-size byte arrays
-    header.ledger_hash = buffer.slice(136, 168).toString('hex');     // 32 bytes
-    header.node_public_key = buffer.slice(168, 201).toString('hex'); // 33 bytes
-    // padding 7 bytes
-    // Version string (32 bytes) starting at offset 201
-    header.version_string = buffer.slice(201, 233).toString('utf8').replace(/\0+$/, ''); // 32 bytes, trim null padding
-    
-    // System metrics
-    header.process_memory_pages = bigIntToNumber(readUInt64LE(buffer, 240));  // 208 + 32
-    header.system_memory_total = bigIntToNumber(readUInt64LE(buffer, 248));   // 216 + 32
-    header.system_memory_free = bigIntToNumber(readUInt64LE(buffer, 256));    // 224 + 32
-    header.system_memory_used = bigIntToNumber(readUInt64LE(buffer, 264));    // 232 + 32
-    header.system_disk_total = bigIntToNumber(readUInt64LE(buffer, 272));     // 240 + 32
-    header.system_disk_free = bigIntToNumber(readUInt64LE(buffer, 280));      // 248 + 32
-    header.system_disk_used = bigIntToNumber(readUInt64LE(buffer, 288));      // 256 + 32
-    header.io_wait_time = bigIntToNumber(readUInt64LE(buffer, 296));         // 264 + 32
-
-    // Load averages (doubles)
-    header.load_avg_1min = readDoubleLE(buffer, 304);    // 272 + 32
-    header.load_avg_5min = readDoubleLE(buffer, 312);    // 280 + 32
-    header.load_avg_15min = readDoubleLE(buffer, 320);   // 288 + 32
-    
-    // State transitions
-    header.state_transitions = [];
-    for (let i = 0; i < 5; i++) {
-        header.state_transitions.push(
-            bigIntToNumber(readUInt64LE(buffer, 328 + (i * 8)))  // 296 + 32
-        );
+// Start the optional Prometheus and JSON API endpoints; onStarted receives a
+// line describing each endpoint, or why it failed
+function startHttpEndpoints(onStarted) {
+    if (METRICS_SPEC) {
+        startMetricsServer(METRICS_SPEC, () => registry.snapshots(), () => registry.rejectionTotals).then((server) => {
+            onStarted(`Metrics on http://${formatListenSpec(server.endpoint)}/metrics`);
+        }).catch((err) => {
+            onStarted(err.message);
+        });
     }
-
-    // State durations
-    header.state_durations = [];
-    for (let i = 0; i < 5; i++) {
-        header.state_durations.push(
-            bigIntToNumber(readUInt64LE(buffer, 368 + (i * 8)))  // 336 + 32
-        );
+    if (API_SPEC) {
+        startApiServer(API_SPEC, registry).then((server) => {
+            onStarted(`API on http://${formatListenSpec(server.endpoint)}/api/servers`);
+        }).catch((err) => {
+            onStarted(err.message);
+        });
     }
+}
 
-    header.initial_sync_us = bigIntToNumber(readUInt64LE(buffer, 408));  // 376 + 32
-    
-    // Network and disk rates
-    header.rates = {
-        network_in: {
-            rate_1m: readDoubleLE(buffer, 416),   // 384 + 32
-            rate_5m: readDoubleLE(buffer, 424),   // 392 + 32
-            rate_1h: readDoubleLE(buffer, 432),   // 400 + 32
-            rate_24h: readDoubleLE(buffer, 440)   // 408 + 32
-        },
-        network_out: {
-            rate_1m: readDoubleLE(buffer, 448),   // 416 + 32
-            rate_5m: readDoubleLE(buffer, 456),   // 424 + 32
-            rate_1h: readDoubleLE(buffer, 464),   // 432 + 32
-            rate_24h: readDoubleLE(buffer, 472)   // 440 + 32
-        },
-        disk_read: {
-            rate_1m: readDoubleLE(buffer, 480),   // 448 + 32
-            rate_5m: readDoubleLE(buffer, 488),   // 456 + 32
-            rate_1h: readDoubleLE(buffer, 496),   // 464 + 32
-            rate_24h: readDoubleLE(buffer, 504)   // 472 + 32
-        },
-        disk_write: {
-            rate_1m: readDoubleLE(buffer, 512),   // 480 + 32
-            rate_5m: readDoubleLE(buffer, 520),   // 488 + 32
-            rate_1h: readDoubleLE(buffer, 528),   // 496 + 32
-            rate_24h: readDoubleLE(buffer, 536)   // 504 + 32
-        }
+// Relay mode: --forward upstreams win over the config file's; relay changes
+// need a restart
+function createForwarder() {
+    const relay = config.relay;
+    const upstreams = getArgValues('--forward').length > 0 ? getArgValues('--forward') : relay.upstreams;
+    try {
+        return new Forwarder({
+            name: getArgValue('--relay-name') || relay.name || os.hostname(),
+            upstreams,
+            wrap: relay.wrap && !args.includes('--forward-raw'),
+            nodes: relay.nodes,
+            networks: relay.networks
+        }, (err, upstream) => {
+            registry.addAlert(`Forwarding to ${upstream} failed: ${err.message}`, 'relay', {
+                type: 'relay',
+                severity: 'warning',
+                condition: upstream
+            });
+        });
+    } catch (err) {
+        console.error(`Relay setup failed: ${err.message}`);
+        process.exit(1);
     }
+}
 
-
-    return header;
+// Only the modes that receive datagrams forward them; query and simulate runs
+// must not connect to the upstreams
+const forwarder = QUERY_MODE || SIMULATE_MODE ? null : createForwarder();
+
+// Strip and check the auth trailer, validate and parse the datagram, see
+// lib/parser.js. Throws a PacketError for anything that must be dropped.
+function decodePacket(msg, receivedAt) {
+    const { body, trailer } = splitAuthTrailer(msg);
+    const packet = parsePacket(body, receivedAt);
+    const auth = authenticator.verify(body, trailer, packet.header, receivedAt);
+    return Object.assign(packet, { auth });
 }
 
-function bigIntToNumber(x)
-{
-    return Number(x + '')
+// Decode a datagram and record it in the registry
+function ingestPacket(msg, rinfo) {
+    const { header, debugCounters, ranges, objectCounts, auth } = decodePacket(msg, rinfo.receivedAt);
+    const state = registry.ingest({ header, rinfo, auth, ranges, debugCounters, objectCounts });
+    // Upstream gets the datagram as the server sent it, auth trailer included
+    if (forwarder) forwarder.forward(msg, rinfo, header);
+    return state;
 }
 
-function parseDebugCounters(buffer) {
-    // Start at offset 544 as per specification
+// Socket handler for the dashboard and daemon modes
+function receivePacket(msg, rinfo) {
     try {
-        return {
-            dbKBTotal: bigIntToNumber(readUInt64LE(buffer, 544)),
-            dbKBLedger: bigIntToNumber(readUInt64LE(buffer, 552)),
-            dbKBTransaction: bigIntToNumber(readUInt64LE(buffer, 560)),
-            localTxCount: bigIntToNumber(readUInt64LE(buffer, 568)),
-            writeLoad: buffer.readUInt32LE(576),
-            historicalPerMinute: buffer.readUInt32LE(580),
-            sleHitRate: buffer.readUInt32LE(584),
-            ledgerHitRate: buffer.readUInt32LE(588),
-            alSize: buffer.readUInt32LE(592),
-            alHitRate: buffer.readUInt32LE(596),
-            fullbelowSize: buffer.readUInt32LE(600),
-            treenodeCacheSize: buffer.readUInt32LE(604),
-            treenodeTrackSize: buffer.readUInt32LE(608),
-            shardFullbelowSize: buffer.readUInt32LE(612),
-            shardTreenodeCacheSize: buffer.readUInt32LE(616),
-            shardTreenodeTrackSize: buffer.readUInt32LE(620),
-            shardWriteLoad: buffer.readUInt32LE(624),
-            shardNodeWrites: bigIntToNumber(readUInt64LE(buffer, 628)),
-            shardNodeReadsTotal: bigIntToNumber(readUInt64LE(buffer, 636)),
-            shardNodeReadsHit: bigIntToNumber(readUInt64LE(buffer, 644)),
-            shardNodeWrittenBytes: bigIntToNumber(readUInt64LE(buffer, 652)),
-            shardNodeReadBytes: bigIntToNumber(readUInt64LE(buffer, 660)),
-            nodeWriteCount: bigIntToNumber(readUInt64LE(buffer, 668)),
-            nodeWriteSize: bigIntToNumber(readUInt64LE(buffer, 676)),
-            nodeFetchCount: bigIntToNumber(readUInt64LE(buffer, 684)),
-            nodeFetchHitCount: bigIntToNumber(readUInt64LE(buffer, 692)),
-            nodeFetchSize: bigIntToNumber(readUInt64LE(buffer, 700))
-        };
+        ingestPacket(msg, rinfo);
     } catch (err) {
-        console.debug('Error parsing debug counters:', err.message);
-        return null;
+        if (err instanceof PacketError) {
+            registry.recordRejection(rinfo, err.reason);
+            return;
+        }
+        console.debug('Error processing packet:', err.message);
+        // Don't rethrow - just log and continue
     }
 }
 
-function parseLedgerRanges(buffer, header) {
+// Run the registry's AWOL and re-alert checks, restarted when the refresh
+// interval is reloaded; onTick runs after each check
+let checkTimer = null;
+function startChecks(onTick) {
+    clearInterval(checkTimer);
+    checkTimer = setInterval(() => {
+        registry.check();
+        if (onTick) onTick();
+    }, config.display.refreshInterval);
+}
+
+const RECORD_FILE = getArgValue('--record');
+const REPLAY_FILE = getArgValue('--replay');
+const REPLAY_SPEED = Number(getArgValue('--speed') || 1);
+if (!Number.isFinite(REPLAY_SPEED) || REPLAY_SPEED < 0) {
+    console.error('--speed must be a non-negative number (0 replays without delays)');
+    process.exit(1);
+}
+
+// Open the packet source: the UDP listeners, or the capture file given with
+// --replay, in which case no port is bound. Datagrams the relay peers
+// (--relay-peer, else relay.peers) wrapped are unwrapped to their original
+// source; envelopes from anyone else are rejected. With --record every payload is
+// written to the capture file, as received, before it is handled. Resolves with a line
+// describing the source and, for replays, a promise of the replayed count.
+function startSource(handler, onSocketError) {
+    let peers;
     try {
-        const rangeOffset = HEADER_SIZE;
-        const ranges = [];
-        for (let i = 0; i < header.ledger_range_count; i++) {
-            const offset = rangeOffset + (i * 8);
-            ranges.push({
-                start: buffer.readUInt32LE(offset),
-                end: buffer.readUInt32LE(offset + 4)
-            });
-        }
-        return ranges;
+        peers = parsePeers(getArgValues('--relay-peer').length > 0 ? getArgValues('--relay-peer') : config.relay.peers);
     } catch (err) {
-        console.debug('Error parsing ledger range:', err.message);
-        return [];
+        return Promise.reject(new Error(`--relay-peer: ${err.message}`));
     }
+    handler = unwrapping(handler, (rinfo, err) => {
+        console.debug(`Relay envelope from ${rinfo.address} rejected: ${err.message}`);
+        registry.recordRejection(rinfo, err.reason);
+    }, peers);
+    if (RECORD_FILE) {
+        let recorder;
+        try {
+            recorder = new CaptureWriter(RECORD_FILE);
+        } catch (err) {
+            return Promise.reject(new Error(`Cannot record to ${RECORD_FILE}: ${err.message}`));
+        }
+        process.on('exit', () => recorder.close());
+        handler = recorder.wrap(handler);
+    }
+
+    const recording = RECORD_FILE ? `, recording to ${RECORD_FILE}` : '';
+    if (REPLAY_FILE) {
+        return Promise.resolve({
+            description: `Replaying ${REPLAY_FILE}` + (REPLAY_SPEED !== 1 ? ` at ${REPLAY_SPEED ? `${REPLAY_SPEED}x` : 'full'} speed` : '') + recording,
+            replay: replayCapture(REPLAY_FILE, handler, { speed: REPLAY_SPEED })
+        });
+    }
+    return openListeners(LISTEN_SPECS, handler, onSocketError).then(sockets => ({
+        description: `Listening on ${sockets.map(socket => formatListenSpec(socket.endpoint)).join(', ')}` + recording
+    }));
+}
+
+// Alerts go out to the configured notifiers in every mode; failures come back
+// as 'notifier' alerts, which the dispatcher does not send on
+const dispatcher = new NotificationDispatcher((err) => {
+    registry.addAlert(`Notification failed: ${err.message}`, 'notify', { type: 'notifier', severity: 'warning' });
+});
+try {
+    dispatcher.configure(config.notifiers);
+} catch (err) {
+    console.error(`Configuration error: ${err.message}`);
+    process.exit(1);
+}
+registry.on('alert', (alert, change) => dispatcher.dispatch(alert, change));
+
+// Configured alert rules are checked against every update
+const rules = new RuleEngine(config);
+registry.on('updated', (state) => {
+    const { firing, resolved } = rules.evaluate(state);
+    firing.forEach(({ rule, values }) => {
+        registry.addAlert(`Rule ${rule.name} (${formatRuleValues(values)})`, state.nodeId, {
+            type: 'rule',
+            severity: rule.severity,
+            condition: rule.name
+        });
+    });
+    resolved.forEach(({ rule }) => registry.resolveAlert(state.nodeId, 'rule', rule.name));
+});
+// The registry resolves the rule alerts of servers that go AWOL or depart;
+// their rules start over once they are heard from again
+registry.on('awol', state => rules.forget(state.nodeKey));
+registry.on('departed', state => rules.forget(state.nodeKey));
+
+const STORAGE_DIR = getArgValue('--store') || config.storage.dir;
+
+// Persist snapshots and alerts when a storage directory is configured;
+// retention and downsampling run at startup and then hourly
+function startStorage(onError) {
+    if (!STORAGE_DIR) return;
+    const store = new SnapshotStore(Object.assign({}, config.storage, { dir: STORAGE_DIR, onError }));
+
+    registry.on('updated', state => store.recordSnapshot(state));
+    registry.on('alert', (alert, change) => store.recordAlert(alert, change));
+
+    const maintain = () => store.maintain().catch(onError);
+    maintain();
+    setInterval(maintain, 60 * 60 * 1000);
+    process.on('exit', () => store.close());
+}
+
+// Reload the config file on SIGHUP; a broken file keeps the old settings
+function handleReload(onReloaded, onError) {
+    process.on('SIGHUP', () => {
+        try {
+            config.reload();
+            registry.refreshNodeInfo();
+            dispatcher.configure(config.notifiers);
+            rules.reset();
+            registry.resolveAlerts(alert => alert.type === 'rule');
+            onReloaded();
+        } catch (err) {
+            onError(err);
+        }
+    });
+}
+
+// Helper functions
+function formatBytes(bytes) {
+    const sizes = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    if (bytes === 0) return '0 B';
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+}
+
+function formatRate(bytesPerSec) {
+    if (bytesPerSec === 0) return '0 B/s';
+    const sizes = ['B/s', 'KiB/s', 'MiB/s', 'GiB/s', 'TiB/s'];
+    const i = Math.floor(Math.log(bytesPerSec) / Math.log(1024));
+    return `${(bytesPerSec / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
 }
 
 function formatAddress(address, port, maxLength = 15) {
@@ -278,79 +329,104 @@ function formatAddress(address, port, maxLength = 15) {
     return { ip, port };
 }
 
+// "name (node ID)" for servers the node registry names, the node ID otherwise
+function formatServerName(name, nodeId) {
+    return name ? `${name} (${nodeId})` : nodeId;
+}
+
+// The relays a datagram came through and the address of the last one, e.g.
+// "edge-1 > region-eu (10.0.0.5:40122)"
+function formatRelayPath(rinfo) {
+    return `${rinfo.via.join(' > ') || '?'} (${rinfo.relay.address}:${rinfo.relay.port})`;
+}
+
+// A timeline of ledger ranges over [first, last], one character per slice:
+// all of it held, part of it held, or none of it
+function coverageBar(ranges, first, last, width) {
+    const size = (last - first + 1) / width;
+    let bar = '';
+    for (let i = 0; i < width; i++) {
+        const start = first + Math.floor(i * size);
+        const end = Math.max(start, first + Math.floor((i + 1) * size) - 1);
+        const held = countLedgers(intersectRanges([ranges, [{ start, end }]]));
+        bar += held === 0 ? '·' : held >= end - start + 1 ? '█' : '▒';
+    }
+    return bar;
+}
+
 function bytesToMBps(bytesPerSec) {
     return bytesPerSec / (1024 * 1024);
 }
 
-function colorRateNetwork(bytesPerSec) {
+function colorRateNetwork(bytesPerSec, limits = DEFAULT_CONFIG.thresholds.networkRate) {
     const rate = bytesToMBps(bytesPerSec);
     const formatted = formatRate(bytesPerSec);
     
     if (bytesPerSec === 0) {
         return `{red-fg}${formatted}{/red-fg}`;
-    } else if (rate > 120) {
+    } else if (rate > limits.crit) {
         return `{red-fg}${formatted}{/red-fg}`;
-    } else if (rate > 100) {
+    } else if (rate > limits.warn) {
         return `{yellow-fg}${formatted}{/yellow-fg}`;
     } else {
         return `{green-fg}${formatted}{/green-fg}`;
     }
 }
 
-function colorRateDisk(bytesPerSec) {
+function colorRateDisk(bytesPerSec, limits = DEFAULT_CONFIG.thresholds.diskRate) {
     const rate = bytesToMBps(bytesPerSec);
     const formatted = formatRate(bytesPerSec);
     
     if (bytesPerSec === 0) {
         return `{green-fg}${formatted}{/green-fg}`;
-    } else if (rate > 1000) {
+    } else if (rate > limits.crit) {
         return `{red-fg}${formatted}{/red-fg}`;
-    } else if (rate > 500) {
+    } else if (rate > limits.warn) {
         return `{yellow-fg}${formatted}{/yellow-fg}`;
     } else {
         return `{green-fg}${formatted}{/green-fg}`;
     }
 }
 
-function colorLoadAverage(loadAvg, cpuCores) {
+function colorLoadAverage(loadAvg, cpuCores, limits = DEFAULT_CONFIG.thresholds.loadPerCore) {
     const load = loadAvg.toFixed(2);
     const perCoreLoad = loadAvg / cpuCores;
     
-    if (perCoreLoad >= 0.8) {
+    if (perCoreLoad >= limits.crit) {
         return `{red-fg}${load}{/red-fg}`;
-    } else if (perCoreLoad >= 0.6) {
+    } else if (perCoreLoad >= limits.warn) {
         return `{yellow-fg}${load}{/yellow-fg}`;
     } else {
         return `{green-fg}${load}{/green-fg}`;
     }
 }
 
-function colorMemoryUsage(used, total) {
+function colorMemoryUsage(used, total, limits = DEFAULT_CONFIG.thresholds.memoryPercent) {
     const usedNum = typeof used === 'bigint' ? Number(used) : used;
     const totalNum = typeof total === 'bigint' ? Number(total) : total;
     
     const usagePercent = (usedNum / totalNum) * 100;
     const usageStr = formatBytes(usedNum);
     
-    if (usagePercent >= 90) {
+    if (usagePercent >= limits.crit) {
         return `{red-fg}${usageStr}{/red-fg}`;
-    } else if (usagePercent >= 75) {
+    } else if (usagePercent >= limits.warn) {
         return `{yellow-fg}${usageStr}{/yellow-fg}`;
     } else {
         return `{green-fg}${usageStr}{/green-fg}`;
     }
 }
 
-function colorDiskUsage(used, total) {
+function colorDiskUsage(used, total, limits = DEFAULT_CONFIG.thresholds.diskPercent) {
     const usedNum = typeof used === 'bigint' ? Number(used) : used;
     const totalNum = typeof total === 'bigint' ? Number(total) : total;
     
     const usagePercent = (usedNum / totalNum) * 100;
     const usageStr = formatBytes(usedNum);
     
-    if (usagePercent >= 95) {
+    if (usagePercent >= limits.crit) {
         return `{red-fg}${usageStr}{/red-fg}`;
-    } else if (usagePercent >= 80) {
+    } else if (usagePercent >= limits.warn) {
         return `{yellow-fg}${usageStr}{/yellow-fg}`;
     } else {
         return `{green-fg}${usageStr}{/green-fg}`;
@@ -361,13 +437,13 @@ function colorDiskUsage(used, total) {
 function handleRawPacket(msg, rinfo) {
     console.log('\n--- New Packet Received ---');
     console.log('From:', rinfo.address, 'Port:', rinfo.port);
+    if (rinfo.relay) console.log('Relayed via:', formatRelayPath(rinfo));
     console.log('Raw Hex:', msg.toString('hex'));
     
     try {
-        const header = parseServerInfoHeader(msg);
-        const ranges = parseLedgerRanges(msg, header);
-        const objectCounts = parseObjectCounts(msg, header);
+        const { header, ranges, objectCounts, auth } = ingestPacket(msg, rinfo);
         
+        console.log('\nAuthenticated:', auth || 'no');
         console.log('\nParsed Header:');
         console.log(JSON.stringify(header, (key, value) => {
             if (typeof value === 'bigint') {
@@ -383,11 +459,54 @@ function handleRawPacket(msg, rinfo) {
         console.log(JSON.stringify(objectCounts, null, 2));
 
     } catch (err) {
-        console.error('Error parsing packet:', err);
+        if (err instanceof PacketError) {
+            registry.recordRejection(rinfo, err.reason);
+            const counts = [...registry.rejections.get(rinfo.address)]
+                .map(([reason, count]) => `${reason}=${count}`)
+                .join(' ');
+            console.log(`\nRejected (${err.reason}): ${err.message}`);
+            console.log(`Rejections from ${rinfo.address}: ${counts}`);
+            console.log(registry.formatRejections());
+        } else {
+            console.error('Error parsing packet:', err);
+        }
     }
     console.log('-'.repeat(50));
 }
 
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// Render samples as `width` columns spanning [since, until]. Samples falling in
+// the same column are averaged; columns without samples stay blank so gaps
+// (e.g. while a server was AWOL) are visible.
+function sparkline(samples, since, until, width) {
+    const sums = new Array(width).fill(0);
+    const counts = new Array(width).fill(0);
+    const span = (until - since) / width;
+
+    for (const { time, value } of samples) {
+        if (Number.isNaN(value)) continue;
+        const column = Math.min(width - 1, Math.floor((time - since) / span));
+        if (column < 0) continue;
+        sums[column] += value;
+        counts[column]++;
+    }
+
+    const averages = sums.map((sum, i) => counts[i] > 0 ? sum / counts[i] : null);
+    const present = averages.filter(value => value !== null);
+    if (present.length === 0) return { line: ' '.repeat(width), min: null, max: null };
+
+    const min = Math.min(...present);
+    const max = Math.max(...present);
+    const line = averages.map((value) => {
+        if (value === null) return ' ';
+        if (max === min) return SPARK_CHARS[0];
+        return SPARK_CHARS[Math.round((value - min) / (max - min) * (SPARK_CHARS.length - 1))];
+    }).join('');
+
+    return { line, min, max };
+}
+
 function formatDuration(microseconds) {
     if (microseconds === 0) return '0 μs';
 
@@ -411,20 +530,163 @@ function formatDuration(microseconds) {
     }
 }
 
-if (RAW_MODE) {
+// Accepts an absolute time (anything moment parses, e.g. 2024-05-01T03:00)
+// or a duration ago such as 90s, 30m, 6h, 2d or 1w
+function parseQueryTime(value, fallback) {
+    if (!value) return fallback;
+    const relative = value.match(/^(\d+)([smhdw])$/);
+    if (relative) {
+        return moment().subtract(Number(relative[1]), relative[2]).valueOf();
+    }
+    const time = moment(value);
+    if (!time.isValid()) throw new Error(`Invalid time '${value}'`);
+    return time.valueOf();
+}
+
+// xdgm query <node> [--from time] [--to time] [--json]
+async function runQuery() {
+    const node = args[1];
+    if (!node || node.startsWith('-')) {
+        throw new Error('Usage: monitor.js query <node> [--from time] [--to time] [--json] [--store dir]');
+    }
+    if (!STORAGE_DIR) {
+        throw new Error('No storage directory: pass --store <dir> or set storage.dir in the config file');
+    }
+    const to = parseQueryTime(getArgValue('--to'), Date.now());
+    const from = parseQueryTime(getArgValue('--from'), to - 60 * 60 * 1000);
+    const json = args.includes('--json');
+
+    const columns = [
+        ['Time', 19, r => moment(r.t).format('YYYY-MM-DD HH:mm:ss')],
+        ['Status', 10, r => r.header.warning_flags & WARNING_FLAGS.NOT_SYNCED ? 'NOT SYNCED' : 'SYNCED'],
+        ['Peers', 5, r => r.header.peer_count],
+        ['Ledger', 10, r => r.header.ledger_seq],
+        ['Load', 6, r => r.header.load_avg_1min.toFixed(2)],
+        ['Ping', 7, r => `${r.header.ping}ms`],
+        ['IO µs', 7, r => r.header.io_latency_us],
+        ['Net In', 12, r => formatRate(r.header.rates.network_in.rate_1m)],
+        ['Net Out', 12, r => formatRate(r.header.rates.network_out.rate_1m)],
+        ['Disk Write', 12, r => formatRate(r.header.rates.disk_write.rate_1m)],
+        ['Memory', 10, r => formatBytes(Number(r.header.process_memory_pages) * 4096)]
+    ];
+    const formatRow = values => values.map((value, i) => String(value).padEnd(columns[i][1])).join('  ');
+
+    if (!json) console.log(formatRow(columns.map(([title]) => title)));
+    let count = 0;
+    for await (const record of queryRecords(STORAGE_DIR, node, from, to)) {
+        count++;
+        if (json) {
+            console.log(JSON.stringify(record));
+        } else if (record.type === 'alert') {
+            const change = record.change && record.change !== 'fired' ? ` (${record.change})` : '';
+            console.log(`${moment(record.t).format('YYYY-MM-DD HH:mm:ss')}  ALERT: ${record.message}${change}`);
+        } else {
+            console.log(formatRow(columns.map(([, , get]) => get(record))));
+        }
+    }
+    if (!json && count === 0) {
+        console.log(`No records for ${node} between ${moment(from).format()} and ${moment(to).format()}`);
+    }
+}
+
+// Send datagrams for a fleet of fake servers, see lib/simulator.js
+function runSimulation() {
+    const target = parseListenSpec(getArgValue('--target') || '127.0.0.1:12345');
+    const interval = parseDuration(getArgValue('--interval') || '1s');
+    const duration = getArgValue('--duration');
+    const log = message => console.log(`${moment().format('HH:mm:ss')} ${message}`);
+
+    const simulator = new FleetSimulator({
+        count: Number(getArgValue('--count') || 5),
+        interval,
+        networkId: Number(getArgValue('--network') || 21337),
+        scenarios: getArgValues('--scenario').map(parseScenario)
+    }, target, log);
+
+    log(`Simulating ${simulator.servers.length} servers to ${formatListenSpec(target)}, one datagram each every ${interval} ms`);
+    simulator.servers.forEach(server => log(`${server.name} ${encodeNodeId(server.nodePublicKey)}`));
+    simulator.scenarios.forEach(({ name, server, start, duration: length }) => {
+        log(`${server.name}: ${name} from ${start / 1000}s for ${length / 1000}s`);
+    });
+    simulator.start();
+    if (duration) setTimeout(() => simulator.stop(), parseDuration(duration));
+}
+
+if (QUERY_MODE) {
+    runQuery().catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
+} else if (SIMULATE_MODE) {
+    try {
+        runSimulation();
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+} else if (RAW_MODE) {
     // Raw mode setup
-    const server = dgram.createSocket('udp4');
-    
-    server.on('error', (err) => {
-        console.error(`Server error:\n${err.stack}`);
-        server.close();
+    startSource(handleRawPacket, (err, endpoint) => {
+        console.error(`Socket error on ${formatListenSpec(endpoint)}: ${err.message}`);
+    }).then(({ description, replay }) => {
+        console.log(`XDGM Raw Mode: ${description}`);
+        if (replay) {
+            return replay.then((count) => {
+                console.log(`Replay finished: ${count} packets`);
+                process.exit(0);
+            });
+        }
+        console.log('Press Ctrl+C to exit');
+    }).catch((err) => {
+        console.error(err.message);
+        process.exit(1);
     });
-    
-    server.on('message', handleRawPacket);
-    
-    server.bind(12345);
-    console.log('XDGM Raw Mode: Listening on port 12345');
-    console.log('Press Ctrl+C to exit');
+
+    startHttpEndpoints(message => console.log(message));
+    startStorage(err => console.error(`Storage error: ${err.message}`));
+
+    handleReload(
+        () => console.log('Configuration reloaded'),
+        err => console.error(`Configuration reload failed: ${err.message}`)
+    );
+} else if (DAEMON_MODE) {
+    // Headless mode for running under systemd: no TTY, the state is served
+    // over the JSON API and events are logged to stdout
+    const log = message => console.log(`${moment().format('YYYY-MM-DD HH:mm:ss')} ${message}`);
+
+    registry.on('added', state => log(`New server ${formatServerName(state.name, state.nodeId)} from ${state.rinfo.address}:${state.rinfo.port}` +
+        (state.rinfo.relay ? ` via ${formatRelayPath(state.rinfo)}` : '')));
+    registry.on('alert', (alert, change) => {
+        if (change === 'fired' || change === 'repeated') {
+            const repeats = alert.count > 1 ? ` (x${alert.count})` : '';
+            log(`ALERT ${alert.severity.toUpperCase()} ${formatServerName(alert.serverName, alert.serverId)}: ${alert.message}${repeats}`);
+        } else if (change === 'resolved') {
+            log(`RESOLVED ${formatServerName(alert.serverName, alert.serverId)}: ${alert.message}`);
+        }
+    });
+
+    startSource(receivePacket, (err, endpoint) => {
+        registry.addAlert(`Socket error: ${err.message}`, formatListenSpec(endpoint), { severity: 'warning' });
+    }).then(({ description, replay }) => {
+        log(`XDGM Daemon Mode: ${description}`);
+        if (replay) {
+            return replay.then(count => log(`Replay finished: ${count} packets`));
+        }
+    }).catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
+
+    startHttpEndpoints(log);
+    startStorage(err => log(`Storage error: ${err.message}`));
+    startChecks();
+
+    handleReload(() => {
+        startChecks();
+        log('Configuration reloaded');
+    }, err => log(`Configuration reload failed: ${err.message}`));
+
+    process.on('SIGTERM', () => process.exit(0));
 } else {
     // UI Mode
     const screen = blessed.screen({
@@ -464,7 +726,7 @@ if (RAW_MODE) {
         left: 0,
         width: '100%',
         height: 1,
-        content: 'XDGM - Xahau/XRPL DataGram Monitor Dashboard - Press Q to quit',
+        content: 'XDGM - Xahau/XRPL DataGram Monitor Dashboard - Press ? for help, Q to quit',
         style: {
             fg: 'white',
             bg: 'blue',
@@ -472,20 +734,27 @@ if (RAW_MODE) {
         }
     });
 
-    // Create alerts panel
-    const alertsPanel = blessed.box({
+    // Create alerts panel; A focuses it and it grows while focused
+    const alertsPanel = blessed.list({
         parent: screen,
         bottom: 1,
         left: 0,
         width: '100%',
         height: 4,
         label: ' Alerts ',
+        tags: true,
+        keys: true,
+        vi: true,
+        mouse: true,
         border: {
             type: 'line'
         },
         style: {
             border: {
                 fg: 'yellow'
+            },
+            selected: {
+                inverse: true
             }
         },
         scrollable: true,
@@ -509,6 +778,7 @@ if (RAW_MODE) {
         width: '100%',
         height: 1,
         content: ' Active Servers: 0',
+        tags: true,
         style: {
             fg: 'white',
             bg: 'blue',
@@ -517,43 +787,130 @@ if (RAW_MODE) {
     });
 
     // Alert management
-    const alerts = [];
-    function addAlert(message, serverId) {
-        const timestamp = moment().format('HH:mm:ss');
-        const alert = `[${timestamp}] ${serverId}: ${message}`;
-        alerts.unshift(alert);
-        if (alerts.length > 100) alerts.pop();
-        alertsPanel.setContent(alerts.join('\n'));
+    const ALERT_COLORS = {
+        critical: 'red',
+        warning: 'yellow'
+    };
+    const SILENCE_DURATION = 60 * 60 * 1000;
+    const ALERTS_HEIGHT = 4;
+    const ALERTS_FOCUSED_HEIGHT = 12;
+
+    function formatAlert(alert) {
+        const time = moment(alert.state === 'resolved' ? alert.resolvedAt : alert.lastSeen).format('HH:mm:ss');
+        const marks = [
+            alert.count > 1 ? `x${alert.count}` : '',
+            alert.acknowledged ? 'ACK' : '',
+            alert.isSilenced() ? `SILENCED until ${moment(alert.silencedUntil).format('HH:mm')}` : ''
+        ].filter(Boolean).join(' ');
+        const level = alert.state === 'resolved' ? 'RESOLVED' : alert.severity.toUpperCase();
+        const source = formatServerName(alert.serverName, alert.serverId);
+        const line = blessed.escape(`[${time}] ${level.padEnd(8)} ${source}: ${alert.message}` + (marks ? `  [${marks}]` : ''));
+        const color = alert.state === 'resolved' ? 'gray' : ALERT_COLORS[alert.severity];
+        return color ? `{${color}-fg}${line}{/${color}-fg}` : line;
+    }
+
+    // Rebuild the list, keeping the selection on the same alert
+    function renderAlerts() {
+        const selected = registry.alerts[alertsPanel.selected];
+        alertsPanel.setItems(registry.alerts.map(formatAlert));
+        if (selected) {
+            const index = registry.alerts.indexOf(selected);
+            if (index !== -1) alertsPanel.select(index);
+        }
+
+        const firing = registry.activeAlerts.size;
+        const help = screen.focused === alertsPanel ?
+            ' - Enter: details  A: acknowledge  S: silence 1h  X: clear resolved  Esc: back ' : ' ';
+        alertsPanel.setLabel(` Alerts (${firing} firing)${help}`);
         screen.render();
     }
+    registry.on('alert', renderAlerts);
+
+    function selectedAlert() {
+        return registry.alerts[alertsPanel.selected] || null;
+    }
+
+    screen.key(['a'], () => {
+        if (screen.focused === alertsPanel) return;
+        alertsPanel.focus();
+    });
+
+    alertsPanel.on('focus', () => {
+        alertsPanel.height = ALERTS_FOCUSED_HEIGHT;
+        renderAlerts();
+    });
+
+    alertsPanel.on('blur', () => {
+        alertsPanel.height = ALERTS_HEIGHT;
+        renderAlerts();
+    });
+
+    alertsPanel.on('cancel', () => screen.focusPop());
+
+    alertsPanel.on('select', () => {
+        const alert = selectedAlert();
+        if (alert) showServerDetails(alert.serverId);
+    });
+
+    alertsPanel.key(['a'], () => {
+        const alert = selectedAlert();
+        if (alert) registry.acknowledgeAlert(alert.id);
+    });
+
+    alertsPanel.key(['s'], () => {
+        const alert = selectedAlert();
+        if (alert) registry.silenceAlert(alert.id, alert.isSilenced() ? 0 : SILENCE_DURATION);
+    });
+
+    alertsPanel.key(['x'], () => {
+        registry.clearResolved();
+        renderAlerts();
+    });
 
     function formatHitRate(rate) {
         // Convert decimal to percentage with 2 decimal places
         return (rate * 100).toFixed(2) + '%';
     }
 
-    // Calculate card dimensions
-    const ROWS = 4;
-    const COLS = 5;
-    const CARD_WIDTH = Math.floor(100 / COLS);
-    const CARD_HEIGHT = Math.floor(100 / ROWS);
+    const HISTORY_WINDOWS = [
+        { label: '5m', ms: 5 * 60 * 1000 },
+        { label: '1h', ms: 60 * 60 * 1000 },
+        { label: '24h', ms: 24 * 60 * 60 * 1000 }
+    ];
+
+    const HISTORY_FORMATS = {
+        load: value => value.toFixed(2),
+        ping: value => `${Math.round(value)} ms`,
+        io_latency: value => `${Math.round(value)}µs`,
+        net_in: formatRate,
+        net_out: formatRate,
+        disk_read: formatRate,
+        disk_write: formatRate,
+        memory: formatBytes
+    };
+
+    function formatHistoryValue(key, value) {
+        const format = HISTORY_FORMATS[key] || (v => Math.round(v).toLocaleString());
+        return format(value);
+    }
 
-    // Server card class to manage individual server displays
+    const AUTH_LABELS = {
+        hmac: 'AUTH:HMAC',
+        signature: 'AUTH:SIG',
+        'self-signed': 'SELF-SIGNED'
+    };
+
+    // The grid layout, see computeLayout
+    let layout = { cols: 1, rows: 1, width: 0, height: 0, size: 'normal' };
+
+    // Server card class to manage individual server displays. The decoded data
+    // lives in the registry's ServerState; the card only renders it.
     class ServerCard {
-        constructor(index) {
-            const CARDS_PER_ROW = 5;
-            const CARD_HEIGHT_PERCENT = 25; // 25% of visible area for 4 rows
-            
-            const row = Math.floor(index / CARDS_PER_ROW);
-            const col = index % CARDS_PER_ROW;
-            
-            this.lastUpdate = Date.now();
+        constructor(state) {
+            this.state = state;
             this.box = blessed.box({
                 parent: gridContainer,
-                top: row * CARD_HEIGHT_PERCENT + '%',
-                left: col * 20 + '%', // 20% for 5 columns
-                width: '20%',
-                height: CARD_HEIGHT_PERCENT + '%',
+                hidden: true,
                 border: {
                     type: 'line'
                 },
@@ -569,52 +926,49 @@ if (RAW_MODE) {
             });
 
             this.detailsBox = null;
-            this.objectCounts = [];
-            this.box.on('click', () => this.toggleDetails());
-            this.lastUpdate = 0;
-            this.isAwol = false;
-        }        
+            this.historyWindow = 0;
+            this.box.on('click', () => {
+                selectedKey = this.key;
+                this.toggleDetails();
+                layoutCards();
+            });
+        }
+
+        // Show the card in a slot of the current page
+        place(slot) {
+            this.box.top = Math.floor(slot / layout.cols) * layout.height;
+            this.box.left = (slot % layout.cols) * layout.width;
+            this.box.width = layout.width;
+            this.box.height = layout.height;
+            this.box.show();
+            this.updateDisplay();
+        }
+
+        remove() {
+            this.closeDetails();
+            this.box.destroy();
+        }
+
+        get key() { return this.state.nodeKey; }
+        get header() { return this.state.header; }
+        get rinfo() { return this.state.rinfo; }
+        get ranges() { return this.state.ranges; }
+        get objectCounts() { return this.state.objectCounts; }
+        get debugCounters() { return this.state.debugCounters; }
+        get auth() { return this.state.auth; }
+        get lastUpdate() { return this.state.lastUpdate; }
+        get isAwol() { return this.state.isAwol; }
 
         getNodeId() {
-            if (!this.header) return 'Unknown';
-            try {
-                const pubKeyBuffer = Buffer.from(this.header.node_public_key, 'hex');
-                return encodeNodePublic(pubKeyBuffer);
-            } catch (err) {
-                console.error('Error encoding node public key:' + this.header.node_public_key + ' size: ' + this.header.node_public_key.length, err);
-                return this.header.node_public_key.substring(0, 8);
-            }
+            return this.state.nodeId;
         }
 
-        getWarnings(header) {
-            if (!header) return [];
-            
-            const warnings = [];
-            if (header.warning_flags & WARNING_FLAGS.AMENDMENT_BLOCKED) warnings.push('Amendment Blocked');
-            if (header.warning_flags & WARNING_FLAGS.UNL_BLOCKED) warnings.push('UNL Blocked');
-            if (header.warning_flags & WARNING_FLAGS.AMENDMENT_WARNED) warnings.push('Amendment Warned');
-            if (header.warning_flags & WARNING_FLAGS.NOT_SYNCED) warnings.push('NOT SYNCED');
-            return warnings;
+        // Thresholds and timeouts for this node, after group and server overrides
+        getSettings() {
+            return registry.settingsFor(this.state);
         }
-        
-        update(header, rinfo, ranges, objectCounts, debugCounters) {
-            const isFirstUpdate = !this.header;
-            const hadWarnings = this.header ? this.getWarnings(this.header).length > 0 : false;
-            
-            this.lastUpdate = Date.now();
-            this.header = header;
-            this.rinfo = rinfo;
-            this.ranges = ranges;
-            this.objectCounts = objectCounts || [];
-            this.debugCounters = debugCounters;
-   
-            const currentWarnings = this.getWarnings(header);
-            if (!isFirstUpdate && currentWarnings.length > hadWarnings) {
-                currentWarnings.forEach(warning => {
-                    addAlert(warning, this.getNodeId());
-                });
-            }
 
+        update() {
             this.updateDisplay();
             if (this.detailsBox) {
                 this.updateDetailsBox();
@@ -622,6 +976,9 @@ if (RAW_MODE) {
         }
 
             updateDisplay() {
+            // Cards on other pages are brought up to date when placed
+            if (this.box.hidden) return;
+
             // If we don't have header data yet, show initializing state
             if (!this.header || !this.rinfo) {
                 const content = [
@@ -635,49 +992,71 @@ if (RAW_MODE) {
                 return;
             }
 
-            const warnings = this.getWarnings(this.header);
+            const warnings = this.state.getWarnings();
             const nodeId = this.getNodeId();
-            this.isAwol = (Date.now() - this.lastUpdate) > SERVER_TIMEOUT;
+            const { thresholds } = this.getSettings();
             const syncStatus = this.isAwol ?
                 '{red-fg}AWOL{/red-fg}' :
                 (this.header.warning_flags & WARNING_FLAGS.NOT_SYNCED) ?
                     '{red-fg}NOT SYNCED{/red-fg}' :
                     '{green-fg}SYNCED{/green-fg}';
 
-            const { ip, port } = formatAddress(this.rinfo.address, this.rinfo.port);
-            const loadAvgColored = colorLoadAverage(this.header.load_avg_1min, this.header.cpu_cores);
-
-            const content = [
-                `Node: ${nodeId.slice(0, 6)}...${nodeId.slice(-6)}`,
-                `Ver: ${this.header.version_string.trim().slice(0, 23)}`,
-                `IP: ${ip}`,
-                `NetID: ${this.header.network_id}`,
-                `Ping: ${this.header.ping} ms`,
-                `Status: ${syncStatus}`,
-                `Peers: ${this.header.peer_count}`,
-                `Ledger: ${this.header.ledger_seq}`,
-                `Load: ${loadAvgColored}`,
-                warnings.length > 0 ? `Warnings: ${warnings.join(', ')}` : ''
-            ].filter(Boolean).join('\n');
+            const innerWidth = layout.width - 2;
+            const { ip, port } = formatAddress(this.rinfo.address, this.rinfo.port, Math.max(15, innerWidth - 4));
+            const loadAvgColored = colorLoadAverage(this.header.load_avg_1min, this.header.cpu_cores, thresholds.loadPerCore);
+
+            let lines;
+            if (layout.size === 'compact') {
+                lines = [
+                    `${blessed.escape(this.state.name || abbreviateNodeId(nodeId, innerWidth - 12))} ${syncStatus}`,
+                    `Peers: ${this.header.peer_count}  Ledger: ${this.header.ledger_seq}${this.consensusMarker()}`,
+                    `Ping: ${this.header.ping} ms  Load: ${loadAvgColored}`
+                ];
+            } else {
+                lines = [
+                    `Node: ${abbreviateNodeId(nodeId, innerWidth - 6)}`,
+                    `Ver: ${this.header.version_string.trim().slice(0, innerWidth - 5)}`,
+                    `IP: ${ip}`,
+                    `NetID: ${this.header.network_id}`,
+                    `Ping: ${this.header.ping} ms`,
+                    `Status: ${syncStatus}`,
+                    `Peers: ${this.header.peer_count}`,
+                    `Ledger: ${this.header.ledger_seq}${this.consensusMarker()}`,
+                    `Load: ${loadAvgColored}`
+                ];
+                if (layout.size === 'expanded') {
+                    const { rates } = this.header;
+                    lines.push(
+                        `Uptime: ${moment.duration(Number(this.header.uptime), 'seconds').humanize()}`,
+                        `IO Latency: ${Number(this.header.io_latency_us)}µs`,
+                        `Memory: ${colorMemoryUsage(this.header.system_memory_used, this.header.system_memory_total, thresholds.memoryPercent)}`,
+                        `Disk: ${colorDiskUsage(this.header.system_disk_used, this.header.system_disk_total, thresholds.diskPercent)}`,
+                        `Net: ${colorRateNetwork(rates.network_in.rate_1m, thresholds.networkRate)} in, ${colorRateNetwork(rates.network_out.rate_1m, thresholds.networkRate)} out`,
+                        `I/O: ${colorRateDisk(rates.disk_read.rate_1m, thresholds.diskRate)} r, ${colorRateDisk(rates.disk_write.rate_1m, thresholds.diskRate)} w`
+                    );
+                }
+                if (warnings.length > 0) lines.push(`Warnings: ${warnings.join(', ')}`);
+            }
+            const content = lines.join('\n');
 
             this.box.setContent(content);
+            const label = [this.state.name, AUTH_LABELS[this.auth]].filter(Boolean).join(' · ');
+            if (label) {
+                this.box.setLabel(` ${blessed.escape(label)} `);
+            } else {
+                this.box.removeLabel();
+            }
 
-            // Update card color based on state
+            // Update card color based on state; the keyboard selection
+            // gets a highlighted border
             if (this.isAwol) {
                 this.box.style.border.fg = 'grey';
-                if (!this.lastAwolAlert || Date.now() - this.lastAwolAlert > 300000) {
-                    addAlert('Server is AWOL', nodeId);
-                    this.lastAwolAlert = Date.now();
-                }
             } else if (warnings.length > 0) {
                 this.box.style.border.fg = 'red';
-                if (!this.lastWarningTime || Date.now() - this.lastWarningTime > 300000) {
-                    warnings.forEach(warning => addAlert(warning, nodeId));
-                    this.lastWarningTime = Date.now();
-                }
             } else {
                 this.box.style.border.fg = 'green';
             }
+            this.box.style.border.bg = selectedKey === this.key ? 'blue' : undefined;
 
             screen.render();
         }
@@ -710,7 +1089,7 @@ if (RAW_MODE) {
                 border: {
                     type: 'line'
                 },
-                label: ` Server Details - ${nodeId.slice(0, 6)}...${nodeId.slice(-6)} - Click anywhere to close `,
+                label: ` Server Details - ${blessed.escape(this.state.name || `${nodeId.slice(0, 6)}...${nodeId.slice(-6)}`)} - Click anywhere to close `,
                 style: {
                     border: {
                         fg: 'white'
@@ -743,10 +1122,104 @@ if (RAW_MODE) {
                 screen.render();
             });
 
+            this.detailsBox.key(['w'], () => {
+                this.historyWindow = (this.historyWindow + 1) % HISTORY_WINDOWS.length;
+                this.updateDetailsBox();
+            });
+
+            this.detailsBox.focus();
             this.updateDetailsBox();
             screen.render();
         }
 
+        // Ping split into clock offset and transit, plus cadence and loss
+        formatTiming(limits) {
+            const timing = this.state.timing;
+            if (!timing) return ['Clock Offset: waiting for more datagrams'];
+            const offset = Math.round(timing.offset);
+            const magnitude = Math.abs(offset);
+            const color = magnitude >= limits.crit ? 'red' : magnitude >= limits.warn ? 'yellow' : 'green';
+            const direction = offset === 0 ? '' : offset > 0 ? ' (server behind the monitor)' : ' (server ahead of the monitor)';
+            return [
+                `Clock Offset: {${color}-fg}${offset > 0 ? '+' : ''}${offset} ms{/${color}-fg}${direction}`,
+                `Transit: ${Math.round(timing.delay - timing.offset)} ms over the fastest, jitter ${timing.jitter.toFixed(1)} ms`,
+                `Datagrams: every ${(timing.cadence / 1000).toFixed(2)} s, ` +
+                    `${timing.loss.toFixed(1)}% lost (${timing.missed} of the last ${timing.expected})`
+            ];
+        }
+
+        // Object counts with their growth over the trend window; steadily
+        // growing types are colored by thresholds.objectGrowth
+        formatObjectCounts(limits) {
+            if (!this.objectCounts || this.objectCounts.length === 0) return ['No object counts available'];
+            const trends = new Map(this.state.objectTrends.map(trend => [trend.name, trend]));
+            return this.objectCounts.map(({ name, count }) => {
+                const trend = trends.get(name);
+                if (!trend || trend.percent === null) return `${name}: ${count.toLocaleString()}`;
+                const growth = `${trend.perHour >= 0 ? '+' : ''}${Math.round(trend.perHour).toLocaleString()}/h, ` +
+                    `${trend.percent >= 0 ? '+' : ''}${trend.percent.toFixed(1)}% in ${formatSpan(trend.span)}` +
+                    (trend.peers && trend.peers.ratio !== null && trend.peers.ratio >= 2 ? `, ${trend.peers.ratio.toFixed(1)}x peers` : '');
+                const color = !trend.growing || trend.percent < limits.warn ? null : trend.percent >= limits.crit ? 'red' : 'yellow';
+                return `${name}: ${count.toLocaleString()}  ` +
+                    (color ? `{${color}-fg}${growth}, growing steadily{/${color}-fg}` : growth);
+            });
+        }
+
+        // Ledger marker for the cards: FORK when the hash differs from most
+        // servers, otherwise the lag behind the network once it is worth a warning
+        consensusMarker() {
+            const { consensus } = this.state;
+            if (!consensus) return '';
+            if (consensus.comparison && consensus.comparison.diverged) return ' {red-fg}FORK{/red-fg}';
+            const { warn, crit } = this.getSettings().thresholds.ledgerLag;
+            if (consensus.lag >= crit) return ` {red-fg}-${consensus.lag}{/red-fg}`;
+            if (consensus.lag >= warn) return ` {yellow-fg}-${consensus.lag}{/yellow-fg}`;
+            return '';
+        }
+
+        formatConsensus() {
+            const { consensus } = this.state;
+            if (!consensus) return 'not checked yet';
+            const lag = consensus.lag === 0 ? 'at the network\'s highest ledger' :
+                `${consensus.lag} behind the network's highest ledger ${consensus.maxSeq}`;
+            const { comparison } = consensus;
+            if (!comparison) return `${lag}, no other server to compare hashes with`;
+            const agreement = `${comparison.agreeing} of ${comparison.reporting} servers agree on ledger ${comparison.seq}`;
+            return comparison.diverged ?
+                `${lag}, {red-fg}diverged: ${agreement}{/red-fg}` :
+                `${lag}, ${agreement}`;
+        }
+
+        // Name, group and tags from the node registry, where known
+        formatIdentity() {
+            const tags = Object.entries(this.state.tags).map(([tag, value]) => `${tag}=${value}`);
+            return [
+                this.state.name ? `Name: ${this.state.name}` : '',
+                this.state.group ? `Group: ${this.state.group}` : '',
+                tags.length > 0 ? `Tags: ${tags.join(', ')}` : ''
+            ].filter(Boolean).map(line => blessed.escape(line));
+        }
+
+        // Sparklines of the recorded metrics over the selected window
+        formatHistorySection() {
+            const window = HISTORY_WINDOWS[this.historyWindow];
+            const now = Date.now();
+            const since = now - window.ms;
+            const width = Math.max(10, Math.min(120, this.detailsBox.width - 60));
+
+            return [
+                `History (last ${window.label}, press W to change window):`,
+                ...HISTORY_METRICS.map(({ key, label }) => {
+                    const samples = this.state.history.series(key, since);
+                    const { line, min, max } = sparkline(samples, since, now, width);
+                    const last = samples.length > 0 ? samples[samples.length - 1].value : null;
+                    const stats = min === null ? 'no data' :
+                        `now ${formatHistoryValue(key, last)}  min ${formatHistoryValue(key, min)}  max ${formatHistoryValue(key, max)}`;
+                    return `${label.padEnd(12)}{cyan-fg}${line}{/cyan-fg}  ${stats}`;
+                })
+            ].join('\n');
+        }
+
         updateDetailsBox() {
             if (!this.detailsBox || !this.header || !this.rinfo) return;
 
@@ -757,7 +1230,7 @@ if (RAW_MODE) {
                 return;
             }
 
-            const warnings = this.getWarnings(this.header);
+            const warnings = this.state.getWarnings();
             const { ip, port } = formatAddress(this.rinfo.address, this.rinfo.port, 45);
 
             if (this.isAwol) {
@@ -766,7 +1239,9 @@ if (RAW_MODE) {
                     `Last seen: ${moment(this.lastUpdate).format('YYYY-MM-DD HH:mm:ss')}\n` +
                     `IP Address: ${ip}\n` +
                     `Port: ${port}\n` +
-                    `Node ID: ${this.getNodeId()}`
+                    (this.rinfo.relay ? `Relayed via: ${formatRelayPath(this.rinfo)}\n` : '') +
+                    `Node ID: ${this.getNodeId()}\n` +
+                    this.formatIdentity().join('\n')
                 );
                 return;
             }
@@ -774,6 +1249,9 @@ if (RAW_MODE) {
             const isNotSynced = !!(this.header.warning_flags & WARNING_FLAGS.NOT_SYNCED);
             const syncStatus = isNotSynced ? '{red-fg}NOT SYNCED{/red-fg}' : '{green-fg}SYNCED{/green-fg}';
             const processMemory = Number(this.header.process_memory_pages) * 4096;
+            const { thresholds } = this.getSettings();
+            const colorNetwork = rate => colorRateNetwork(rate, thresholds.networkRate);
+            const colorDisk = rate => colorRateDisk(rate, thresholds.diskRate);
 
             const periods = ['rate_1m', 'rate_5m', 'rate_1h', 'rate_24h'];
             const formatPeriodHeader = () => {
@@ -840,6 +1318,23 @@ if (RAW_MODE) {
                 ['Node Written Bytes', formatBytes(debugCounters.nodeWriteSize)]
             ]);
 
+            // Rates between the last two datagrams, from the cumulative counters
+            const { counterRates, counterResets, lastCounterReset } = this.state;
+            const formatCounterRate = (value, bytes) => {
+                if (!bytes) return `${value.toFixed(1)}/s`;
+                return value < 1 ? `${value.toFixed(2)} B/s` : formatRate(value);
+            };
+            const ratesSection = debugCounters ? [
+                '',
+                'Counter Rates:',
+                ...(counterRates ? [
+                    ...COUNTER_RATES.map(({ key, label, bytes }) => `${label}: ${formatCounterRate(counterRates[key], bytes)}`),
+                    ...HIT_RATIOS.map(({ key, label }) =>
+                        `${label}: ${counterRates[key] === null ? 'no lookups' : formatHitRate(counterRates[key] / 100)}`)
+                ] : ['Waiting for the next datagram']),
+                ...(counterResets > 0 ? [`Counter Resets: ${counterResets}, last ${moment(lastCounterReset).fromNow()}`] : [])
+            ].join('\n') : '';
+
             // Memory objects section
             const memorySection = createSection('Memory Objects', [
                 ['STObject Count', debugCounters.ripple_STObject],
@@ -882,6 +1377,7 @@ if (RAW_MODE) {
                 dbSection,
                 cacheSection,
                 nodeSection,
+                ratesSection,
                 memorySection,
                 shaMapSection,
                 otherSection,
@@ -892,46 +1388,51 @@ if (RAW_MODE) {
             const objectCountsSection = [
                 '',
                 'Object Counts:',
-                ...(this.objectCounts && this.objectCounts.length > 0
-                    ? this.objectCounts.map(({name, count}) => 
-                        `${name}: ${count.toLocaleString()}`)
-                    : ['No object counts available'])
+                ...this.formatObjectCounts(thresholds.objectGrowth)
             ].join('\n');
 
             const content = [
                 `Server: ${this.rinfo.address}:${this.rinfo.port}`,
+                ...(this.rinfo.relay ? [`Relayed via: ${formatRelayPath(this.rinfo)}`] : []),
                 `Node ID: ${this.getNodeId()}`,
+                ...this.formatIdentity(),
                 `Network ID: ${this.header.network_id}`,
                 `Sync Status: ${syncStatus}`,
                 `Uptime: ${moment.duration(Number(this.header.uptime), 'seconds').humanize()}`,
                 `Ping: ${this.header.ping} ms`,
+                ...this.formatTiming(thresholds.clockOffset),
                 `IO Latency: ${Number(this.header.io_latency_us)}µs`,
                 `Peer Count: ${this.header.peer_count}`,
                 `Node Size: ${this.header.node_size}`,
                 `Server State: ${this.header.server_state}`,
                 `Ledger Sequence: ${this.header.ledger_seq}`,
                 `Ledger Hash: ${this.header.ledger_hash}`,
+                `Consensus: ${this.formatConsensus()}`,
                 `Node Public Key: ${this.header.node_public_key}`,
+                `Authentication: ${this.auth && this.auth !== 'self-signed' ? `{green-fg}${AUTH_LABELS[this.auth]}{/green-fg}` :
+                    `{yellow-fg}${this.auth ? 'self-signed, key not in an allowlist' : 'none'}{/yellow-fg}`}`,
                 warnings.length > 0 ? `\nWarnings: {red-fg}${warnings.join(', ')}{/red-fg}` : '',
                 '',
                 'System Metrics:',
                 `CPU Cores: ${this.header.cpu_cores}`,
-                `Memory Usage: ${colorMemoryUsage(processMemory, this.header.system_memory_total)}`,
-                `System Memory: ${colorMemoryUsage(this.header.system_memory_used, this.header.system_memory_total)} / ${formatBytes(Number(this.header.system_memory_total))}`,
-                `Disk Usage: ${colorDiskUsage(this.header.system_disk_used, this.header.system_disk_total)} / ${formatBytes(Number(this.header.system_disk_total))}`,
-                `Load Average: ${colorLoadAverage(this.header.load_avg_1min, this.header.cpu_cores)}, ${colorLoadAverage(this.header.load_avg_5min, this.header.cpu_cores)}, ${colorLoadAverage(this.header.load_avg_15min, this.header.cpu_cores)}`,
+                `Memory Usage: ${colorMemoryUsage(processMemory, this.header.system_memory_total, thresholds.memoryPercent)}`,
+                `System Memory: ${colorMemoryUsage(this.header.system_memory_used, this.header.system_memory_total, thresholds.memoryPercent)} / ${formatBytes(Number(this.header.system_memory_total))}`,
+                `Disk Usage: ${colorDiskUsage(this.header.system_disk_used, this.header.system_disk_total, thresholds.diskPercent)} / ${formatBytes(Number(this.header.system_disk_total))}`,
+                `Load Average: ${colorLoadAverage(this.header.load_avg_1min, this.header.cpu_cores, thresholds.loadPerCore)}, ${colorLoadAverage(this.header.load_avg_5min, this.header.cpu_cores, thresholds.loadPerCore)}, ${colorLoadAverage(this.header.load_avg_15min, this.header.cpu_cores, thresholds.loadPerCore)}`,
+                '',
+                this.formatHistorySection(),
                 '',
                 'Network Rates:',
                 formatPeriodHeader(),
-                formatRateRow('In: ', this.header.rates.network_in, colorRateNetwork),
-                formatRateRow('Out:', this.header.rates.network_out, colorRateNetwork),
+                formatRateRow('In: ', this.header.rates.network_in, colorNetwork),
+                formatRateRow('Out:', this.header.rates.network_out, colorNetwork),
                 '',
                 'Disk Rates:',
                 formatPeriodHeader(),
-                formatRateRow('Read: ', this.header.rates.disk_read, colorRateDisk),
-                formatRateRow('Write:', this.header.rates.disk_write, colorRateDisk),
+                formatRateRow('Read: ', this.header.rates.disk_read, colorDisk),
+                formatRateRow('Write:', this.header.rates.disk_write, colorDisk),
                 '',            
-                'Complete Ledger Ranges:',
+                `Complete Ledger Ranges: ${countLedgers(this.ranges).toLocaleString()} ledgers of history`,
                 ...(this.ranges ? this.ranges.map(range => 
                     `${range.start.toLocaleString()} - ${range.end.toLocaleString()}`
                 ) : ['No ranges available']),
@@ -950,83 +1451,973 @@ if (RAW_MODE) {
         }
     }
 
-    // Server management
+    // A card heading a group of servers when the grid is grouped by group or
+    // network ID. It sums up its members and collapses or expands them.
+    class GroupCard {
+        constructor(key, title) {
+            this.key = key;
+            this.title = title;
+            this.members = [];
+            this.box = blessed.box({
+                parent: gridContainer,
+                hidden: true,
+                border: {
+                    type: 'line'
+                },
+                style: {
+                    border: {
+                        fg: 'cyan'
+                    }
+                },
+                mouse: true,
+                clickable: true,
+                tags: true
+            });
+            this.box.on('click', () => {
+                selectedKey = this.key;
+                toggleGroup(this.key);
+            });
+        }
+
+        get collapsed() {
+            return collapsedGroups.has(this.key);
+        }
+
+        place(slot) {
+            this.box.top = Math.floor(slot / layout.cols) * layout.height;
+            this.box.left = (slot % layout.cols) * layout.width;
+            this.box.width = layout.width;
+            this.box.height = layout.height;
+            this.box.show();
+            this.updateDisplay();
+        }
+
+        remove() {
+            this.box.destroy();
+        }
+
+        updateDisplay() {
+            if (this.box.hidden) return;
+            const counts = { synced: 0, not_synced: 0, awol: 0 };
+            const ledgers = [];
+            for (const state of this.members) {
+                counts[state.getStatus()]++;
+                if (!state.isAwol) ledgers.push(state.header.ledger_seq);
+            }
+            const ledger = ledgers.length === 0 ? 'n/a' :
+                Math.min(...ledgers) === Math.max(...ledgers) ? `${ledgers[0]}` :
+                `${Math.min(...ledgers)}-${Math.max(...ledgers)}`;
+            const lines = [
+                `{bold}${blessed.escape(this.title)}{/bold} ${this.members.length} server${this.members.length === 1 ? '' : 's'}`,
+                `{green-fg}${counts.synced} synced{/green-fg}  ` +
+                    `{${counts.not_synced ? 'red' : 'grey'}-fg}${counts.not_synced} not synced{/}  ` +
+                    `{${counts.awol ? 'yellow' : 'grey'}-fg}${counts.awol} AWOL{/}`,
+                `Ledger: ${ledger}`
+            ];
+            if (layout.size !== 'compact') {
+                lines.push('', this.collapsed ? 'Enter to expand' : 'Enter to collapse');
+            }
+            this.box.setLabel(` ${this.collapsed ? '+' : '-'} Group `);
+            this.box.setContent(lines.join('\n'));
+            this.box.style.border.fg = counts.not_synced || counts.awol ? 'yellow' : 'cyan';
+            this.box.style.border.bg = selectedKey === this.key ? 'blue' : undefined;
+        }
+    }
+
+    // The `/` filter, shared by the cards and the table. Plain text matches
+    // part of the node ID, name, group, tags, IP, relays, version or status; a prefix
+    // such as `name:` or `status:` narrows it to one field, and `status:`
+    // must match the whole status.
+    const FILTER_FIELDS = {
+        node: state => state.nodeId,
+        name: state => state.name || '',
+        group: state => state.group || '',
+        tag: state => Object.entries(state.tags).map(([tag, value]) => `${tag}=${value}`).join(' '),
+        ip: state => state.rinfo.address,
+        via: state => (state.rinfo.via || []).join(' '),
+        version: state => state.header.version_string,
+        status: state => STATUS_LABELS[state.getStatus()]
+    };
+    let filterText = '';
+
+    function matchesFilter(state) {
+        if (!filterText) return true;
+        if (!state.header) return false;
+
+        const prefixed = filterText.match(/^(\w+):\s*(.*)$/);
+        const field = prefixed && FILTER_FIELDS[prefixed[1].toLowerCase()] ? prefixed[1].toLowerCase() : null;
+        const needle = (field ? prefixed[2] : filterText).trim().toLowerCase();
+        if (field === 'status') return FILTER_FIELDS.status(state).toLowerCase() === needle;
+
+        const fields = field ? [FILTER_FIELDS[field]] : Object.values(FILTER_FIELDS);
+        return fields.some(read => String(read(state)).toLowerCase().includes(needle));
+    }
+
+    // Server management. Cards are paged, one screenful of the layout at a
+    // time, in the order the servers were first seen.
     const servers = new Map();
-    let nextSlot = 0;
+    let page = 0;
+    let shownCount = 0;
+    let filteredCount = 0;
+
+    function cardsPerPage() {
+        return layout.cols * layout.rows;
+    }
+
+    function pageCount() {
+        return countPages(shownCount, layout);
+    }
 
-    function getNextSlot() {
-        if (nextSlot >= 20) return null;
-        return nextSlot++;
+    // Cards that pass the filter, in first-seen order unless a sort was
+    // chosen with :sort
+    function shownCards() {
+        const shown = [...servers.values()].filter(card => matchesFilter(card.state));
+        if (!cardsSorted) return shown;
+        const states = sortStates(shown.map(card => card.state), TABLE_COLUMNS[sortColumn], sortDescending);
+        return states.map(state => servers.get(state.nodeKey));
     }
 
-    function updateServerCount() {
-        footer.setContent(` Active Servers: ${servers.size}`);
+    // Grouping of the grid, cycled with G: each group gets a GroupCard
+    // followed by its members unless it is collapsed
+    let groupBy = config.display.groupBy;
+    const groupCards = new Map();
+    const collapsedGroups = new Set();
+
+    // The cards and group cards in grid order, each known by a key: the node
+    // key for servers, `group:<title>` for groups
+    function gridItems(cards = shownCards()) {
+        if (groupBy === 'none') return cards;
+
+        const items = [];
+        for (const [title, members] of groupStates(cards.map(card => card.state), groupBy)) {
+            const key = `group:${title}`;
+            let group = groupCards.get(key);
+            if (!group) {
+                group = new GroupCard(key, title);
+                groupCards.set(key, group);
+            }
+            group.members = members;
+            items.push(group);
+            if (!group.collapsed) items.push(...members.map(state => servers.get(state.nodeKey)));
+        }
+        // Group cards of groups that no longer have shown members go away
+        for (const [key, group] of groupCards) {
+            if (!items.includes(group)) {
+                group.remove();
+                groupCards.delete(key);
+            }
+        }
+        return items;
+    }
+
+    function setGroupBy(mode) {
+        if (!GROUP_MODES.includes(mode)) {
+            throw new Error(`Unknown grouping '${mode}', use ${GROUP_MODES.join(', ')}`);
+        }
+        groupBy = mode;
+        for (const group of groupCards.values()) group.remove();
+        groupCards.clear();
+        collapsedGroups.clear();
+        page = 0;
+        layoutCards();
+        renderTable();
+        return mode === 'none' ? 'Servers ungrouped' : `Servers grouped by ${mode}`;
+    }
+
+    function toggleGroup(key) {
+        if (collapsedGroups.has(key)) {
+            collapsedGroups.delete(key);
+        } else {
+            collapsedGroups.add(key);
+        }
+        layoutCards();
+    }
+
+    function layoutCards() {
+        const cards = shownCards();
+        const items = gridItems(cards);
+        filteredCount = cards.length;
+        shownCount = items.length;
+        layout = computeLayout(gridContainer.width, gridContainer.height, shownCount, config.display);
+        page = Math.min(page, pageCount() - 1);
+        const first = page * cardsPerPage();
+        const onPage = tableMode ? [] : items.slice(first, first + cardsPerPage());
+        for (const item of [...servers.values(), ...groupCards.values()]) {
+            const slot = onPage.indexOf(item);
+            if (slot !== -1) {
+                item.place(slot);
+            } else {
+                item.box.hide();
+            }
+        }
+        updateFooter();
+    }
+
+    screen.on('resize', layoutCards);
+
+    function changePage(delta) {
+        page = Math.max(0, Math.min(pageCount() - 1, page + delta));
+        layoutCards();
+    }
+
+    // Keyboard selection, kept by key so it survives re-sorting
+    let selectedKey = null;
+
+    function selectCard(card) {
+        selectedKey = card.key;
+        let items = gridItems();
+        // Selecting a server in a collapsed group expands the group
+        if (!items.includes(card) && groupBy !== 'none' && card.state) {
+            collapsedGroups.delete(`group:${groupTitle(card.state, groupBy)}`);
+            items = gridItems();
+        }
+        const index = items.indexOf(card);
+        if (index !== -1) page = Math.floor(index / cardsPerPage());
+        layoutCards();
+    }
+
+    function moveSelection(delta) {
+        const items = gridItems();
+        if (items.length === 0) return;
+        const current = items.findIndex(item => item.key === selectedKey);
+        const index = current === -1 ? 0 : Math.max(0, Math.min(items.length - 1, current + delta));
+        selectCard(items[index]);
+    }
+
+    gridContainer.key(['left', 'h'], () => moveSelection(-1));
+    gridContainer.key(['right', 'l'], () => moveSelection(1));
+    gridContainer.key(['up', 'k'], () => moveSelection(-layout.cols));
+    gridContainer.key(['down', 'j'], () => moveSelection(layout.cols));
+    gridContainer.key(['enter'], () => {
+        if (groupCards.has(selectedKey)) {
+            toggleGroup(selectedKey);
+            return;
+        }
+        const card = servers.get(selectedKey);
+        if (card) showServerDetails(card.state.nodeId);
+    });
+    // The view keys only act from the cards or the table, or from the box they
+    // close, so they do not open one box over the details or the alerts
+    function viewFocused(box) {
+        return screen.focused === gridContainer || screen.focused === serverTable || (box && screen.focused === box);
+    }
+
+    screen.key(['g'], () => {
+        if (!viewFocused()) return;
+        flashMessage(setGroupBy(GROUP_MODES[(GROUP_MODES.indexOf(groupBy) + 1) % GROUP_MODES.length]));
+    });
+
+    // A short message in place of the footer, e.g. the result of a command
+    let footerMessage = null;
+    let footerMessageTimer = null;
+
+    function flashMessage(message) {
+        footerMessage = message;
+        clearTimeout(footerMessageTimer);
+        footerMessageTimer = setTimeout(() => {
+            footerMessage = null;
+            updateFooter();
+        }, 5000);
+        updateFooter();
+    }
+
+    function updateFooter() {
+        if (footerMessage) {
+            footer.setContent(` ${footerMessage}`);
+            screen.render();
+            return;
+        }
+        const rejections = registry.formatRejections();
+        const departed = registry.departed.length;
+        const pages = pageCount();
+        footer.setContent(` Active Servers: ${servers.size}` +
+            (filterText ? ` | Filter "${blessed.escape(filterText)}": ${filteredCount} shown` : '') +
+            (departed ? ` | Departed: ${departed} (D to list)` : '') +
+            (pages > 1 && !tableMode ? ` | Page ${page + 1}/${pages} (PgUp/PgDn)` : '') +
+            (rejections ? ` | ${rejections}` : ''));
         screen.render();
     }
 
-    // Set up the UDP server
-    const server = dgram.createSocket('udp4');
+    registry.on('added', (state) => {
+        servers.set(state.nodeKey, new ServerCard(state));
+        layoutCards();
+        renderDeparted();
+        renderTable();
+    });
+
+    registry.on('updated', (state) => {
+        const card = servers.get(state.nodeKey);
+        if (card) card.update();
+    });
 
-    server.on('error', (err) => {
-        console.error(`Server error:\n${err.stack}`);
-        server.close();
+    registry.on('departed', (state) => {
+        const card = servers.get(state.nodeKey);
+        if (card) {
+            card.remove();
+            servers.delete(state.nodeKey);
+        }
+        layoutCards();
+        renderDeparted();
+        renderTable();
     });
 
-    server.on('message', (msg, rinfo) => {
-        try {
-            // First validate minimum packet size
-//            if (msg.length < HEADER_SIZE) {
-//                console.debug(`Packet too small: ${msg.length} bytes (minimum ${HEADER_SIZE} required)`);
-//                return;
-//            }
-
-            const header = parseServerInfoHeader(msg);
-            const serverKey = header.node_public_key;
-            const ranges = parseLedgerRanges(msg, header);
-            const debugCounters = parseDebugCounters(msg);
-            const objectCounts = parseObjectCounts(msg, header);
-        
-            if (!servers.has(serverKey)) {
-                const slot = getNextSlot();
-                if (slot !== null) {
-                    const card = new ServerCard(slot);
-                    servers.set(serverKey, card);
-                    updateServerCount();
+    screen.key(['pagedown'], () => changePage(1));
+    screen.key(['pageup'], () => changePage(-1));
+
+    // Servers evicted after being AWOL for departAfter, toggled with D
+    const departedBox = blessed.box({
+        parent: screen,
+        top: 'center',
+        left: 'center',
+        width: '80%',
+        height: '60%',
+        label: ' Departed Servers - D or ESC to close ',
+        hidden: true,
+        tags: true,
+        keys: true,
+        vi: true,
+        mouse: true,
+        scrollable: true,
+        alwaysScroll: true,
+        border: {
+            type: 'line'
+        },
+        style: {
+            border: {
+                fg: 'gray'
+            }
+        },
+        padding: {
+            left: 1,
+            right: 1
+        }
+    });
+
+    function renderDeparted() {
+        if (departedBox.hidden) return;
+        const lines = registry.departed.map(entry => [
+            entry.nodeId.padEnd(54),
+            `${entry.address}:${entry.port}`.padEnd(42),
+            entry.version.padEnd(24),
+            `last seen ${moment(entry.lastUpdate).format('YYYY-MM-DD HH:mm:ss')}`,
+            `departed ${moment(entry.departedAt).fromNow()}`
+        ].join(' '));
+        departedBox.setContent(blessed.escape(lines.join('\n')) || 'No departed servers');
+        screen.render();
+    }
+
+    function toggleDeparted() {
+        if (departedBox.hidden) {
+            departedBox.show();
+            departedBox.setFront();
+            departedBox.focus();
+            renderDeparted();
+        } else {
+            departedBox.hide();
+            screen.render();
+        }
+    }
+
+    screen.key(['d'], () => {
+        if (viewFocused(departedBox)) toggleDeparted();
+    });
+    departedBox.key(['escape'], toggleDeparted);
+
+    // Network view, toggled with N: per network ID, the live servers by
+    // ledger sequence with their lag behind the highest one and whether
+    // their hash agrees with the others, then the sequences with forks
+    const networkBox = blessed.box({
+        parent: screen,
+        top: 'center',
+        left: 'center',
+        width: '90%',
+        height: '80%',
+        label: ' Network Consensus - N or ESC to close ',
+        hidden: true,
+        tags: true,
+        keys: true,
+        vi: true,
+        mouse: true,
+        scrollable: true,
+        alwaysScroll: true,
+        border: {
+            type: 'line'
+        },
+        style: {
+            border: {
+                fg: 'cyan'
+            }
+        },
+        padding: {
+            left: 1,
+            right: 1
+        }
+    });
+
+    function renderNetwork() {
+        if (networkBox.hidden) return;
+        const hashOf = hash => hash.slice(0, 8).toUpperCase();
+        const lines = [];
+        for (const network of registry.consensus.view(registry.list())) {
+            const names = nodeKey => {
+                const state = registry.servers.get(nodeKey);
+                return state ? state.displayName : abbreviateNodeId(encodeNodeId(nodeKey), 16);
+            };
+            lines.push(
+                `{bold}Network ${network.networkId}{/bold}  highest ledger ${network.maxSeq}, ` +
+                    `${network.servers.length} servers, ${network.forks.length} forked ledgers`,
+                '',
+                '{underline}' + ['Server'.padEnd(24), 'Ledger'.padStart(10), 'Lag'.padStart(5), 'Hash'.padEnd(8),
+                    'Agree'.padStart(7), 'Quorum'.padStart(7), 'Proposers'.padStart(10), 'Converge'.padStart(9)].join(' ') +
+                    '{/underline}'
+            );
+            const rows = [...network.servers].sort((a, b) => b.seq - a.seq);
+            for (const { state, seq, lag, comparison } of rows) {
+                const { warn } = registry.settingsFor(state).thresholds.ledgerLag;
+                const row = blessed.escape([
+                    abbreviateNodeId(state.displayName, 24).padEnd(24),
+                    String(seq).padStart(10),
+                    String(lag).padStart(5),
+                    hashOf(state.header.ledger_hash).padEnd(8),
+                    (comparison ? `${comparison.agreeing}/${comparison.reporting}` : '-').padStart(7),
+                    String(state.header.validation_quorum).padStart(7),
+                    String(state.header.proposer_count).padStart(10),
+                    `${state.header.converge_time_ms} ms`.padStart(9)
+                ].join(' '));
+                if (comparison && comparison.diverged) {
+                    lines.push(`{red-fg}${row}  FORK at ${comparison.seq}{/red-fg}`);
+                } else if (lag >= warn) {
+                    lines.push(`{yellow-fg}${row}{/yellow-fg}`);
+                } else {
+                    lines.push(row);
+                }
+            }
+            if (network.forks.length > 0) {
+                lines.push('', 'Forked ledgers:');
+                for (const { seq, hashes } of network.forks) {
+                    const sides = hashes.map(({ hash, nodeKeys }) =>
+                        `${hashOf(hash)} (${nodeKeys.length}: ${nodeKeys.map(names).join(', ')})`);
+                    lines.push(blessed.escape(`  ${seq}: ${sides.join('  vs  ')}`));
                 }
             }
+            lines.push('');
+        }
+        networkBox.setContent(lines.join('\n') || 'No live servers');
+        screen.render();
+    }
+
+    function toggleNetwork() {
+        if (networkBox.hidden) {
+            networkBox.show();
+            networkBox.setFront();
+            networkBox.focus();
+            renderNetwork();
+        } else {
+            networkBox.hide();
+            screen.render();
+        }
+    }
+
+    screen.key(['n'], () => {
+        if (viewFocused(networkBox)) toggleNetwork();
+    });
+    networkBox.key(['escape'], toggleNetwork);
+
+    // Coverage view, toggled with C: per network ID, a timeline of each live
+    // server's ledger history, the union and intersection of them, the gaps
+    // no server covers and the ledgers lost since they were last held
+    const coverageBox = blessed.box({
+        parent: screen,
+        top: 'center',
+        left: 'center',
+        width: '90%',
+        height: '80%',
+        label: ' Ledger History Coverage - C or ESC to close ',
+        hidden: true,
+        tags: true,
+        keys: true,
+        vi: true,
+        mouse: true,
+        scrollable: true,
+        alwaysScroll: true,
+        border: {
+            type: 'line'
+        },
+        style: {
+            border: {
+                fg: 'cyan'
+            }
+        },
+        padding: {
+            left: 1,
+            right: 1
+        }
+    });
+
+    function renderCoverage() {
+        if (coverageBox.hidden) return;
+        const NAME_WIDTH = 20;
+        const barWidth = Math.max(10, coverageBox.width - 4 - NAME_WIDTH - 30);
+        const lines = [];
+        for (const network of registry.coverageView) {
+            lines.push(`{bold}Network ${network.networkId}{/bold}`);
+            if (network.union.length === 0) {
+                lines.push('No server reports complete ledgers', '');
+                continue;
+            }
+            const first = network.union[0].start;
+            const last = network.union[network.union.length - 1].end;
+            const row = (name, ranges, note) => blessed.escape(
+                `${abbreviateNodeId(name, NAME_WIDTH).padEnd(NAME_WIDTH)} ${coverageBar(ranges, first, last, barWidth)} ${note}`);
+
+            lines.push(' '.repeat(NAME_WIDTH + 1) + String(first).padEnd(barWidth - String(last).length) + last);
+            const servers = [...network.servers].sort((a, b) => countLedgers(b.ranges) - countLedgers(a.ranges));
+            for (const { state, ranges } of servers) {
+                const depth = countLedgers(ranges);
+                lines.push(row(state.displayName, ranges,
+                    depth > 0 ? `${depth.toLocaleString()} ledgers, ${ranges.length} range${ranges.length === 1 ? '' : 's'}` : 'no history'));
+            }
+            lines.push(
+                `{green-fg}${row('Union', network.union, `${countLedgers(network.union).toLocaleString()} ledgers`)}{/green-fg}`,
+                row('Intersection', network.intersection, `${countLedgers(network.intersection).toLocaleString()} ledgers`),
+                '',
+                blessed.escape(`Gaps no server covers: ${network.gaps.length > 0 ? formatRanges(network.gaps) : 'none'}`)
+            );
+            if (network.lost.length > 0) {
+                lines.push(`{red-fg}${blessed.escape(`Lost, held before but by no live server now: ${formatRanges(network.lost)}`)}{/red-fg}`);
+            }
+            lines.push('');
+        }
+        coverageBox.setContent(lines.join('\n') || 'No live servers');
+        screen.render();
+    }
+
+    function toggleCoverage() {
+        if (coverageBox.hidden) {
+            coverageBox.show();
+            coverageBox.setFront();
+            coverageBox.focus();
+            renderCoverage();
+        } else {
+            coverageBox.hide();
+            screen.render();
+        }
+    }
+
+    screen.key(['c'], () => {
+        if (viewFocused(coverageBox)) toggleCoverage();
+    });
+    coverageBox.key(['escape'], toggleCoverage);
+
+    // Table view, toggled with T: one row per server, see TABLE_COLUMNS
+    const STATUS_COLORS = {
+        SYNCED: 'green',
+        'NOT SYNCED': 'red',
+        AWOL: 'gray'
+    };
+
+    let tableMode = false;
+    let sortColumn = 0;
+    let sortDescending = false;
+    let cardsSorted = false;
+    let tableRows = [];
 
-            const card = servers.get(serverKey);
-            if (card) {
-                // Get ranges, but don't fail if parsing fails
-                let ranges = [];
-                try {
-                    ranges = parseLedgerRanges(msg, header);
-                } catch (err) {
-                    console.debug('Failed to parse ledger ranges:', err.message);
+    const serverTable = blessed.listtable({
+        parent: screen,
+        top: 1,
+        left: 0,
+        width: '100%',
+        height: '100%-6',
+        hidden: true,
+        tags: true,
+        keys: true,
+        vi: true,
+        mouse: true,
+        align: 'left',
+        noCellBorders: true,
+        style: {
+            header: {
+                fg: 'cyan',
+                bold: true
+            },
+            cell: {
+                selected: {
+                    inverse: true
                 }
-                card.update(header, rinfo, ranges, objectCounts, debugCounters);
             }
+        }
+    });
+
+    function renderTable() {
+        if (!tableMode) return;
+        const selected = tableRows[serverTable.selected - 1];
+
+        tableRows = sortStates(registry.list().filter(state => state.header && matchesFilter(state)),
+            TABLE_COLUMNS[sortColumn], sortDescending, groupBy);
+
+        const headers = TABLE_COLUMNS.map((col, index) =>
+            index === sortColumn ? `${col.title} ${sortDescending ? '▼' : '▲'}` : col.title);
+        serverTable.setData([headers, ...tableRows.map(state => TABLE_COLUMNS.map((col) => {
+            const value = col.value(state);
+            const text = blessed.escape(String(col.format ? col.format(value) : value));
+            const color = col.title === 'Status' && STATUS_COLORS[value];
+            return color ? `{${color}-fg}${text}{/${color}-fg}` : text;
+        }))]);
+
+        const index = tableRows.indexOf(selected);
+        serverTable.select(index !== -1 ? index + 1 : 1);
+        screen.render();
+    }
+
+    function toggleTable() {
+        tableMode = !tableMode;
+        if (tableMode) {
+            serverTable.show();
+            serverTable.focus();
+            renderTable();
+        } else {
+            serverTable.hide();
+            gridContainer.focus();
+        }
+        layoutCards();
+    }
+
+    // Sorting from the table keys only orders the table; :sort orders the
+    // cards as well
+    function setSort(column, descending = sortDescending, includeCards = false) {
+        sortColumn = column;
+        sortDescending = descending;
+        if (includeCards) {
+            cardsSorted = true;
+            layoutCards();
+        }
+        renderTable();
+    }
+
+    function setFilter(text) {
+        filterText = text.trim();
+        page = 0;
+        layoutCards();
+        renderTable();
+    }
+
+    screen.key(['t'], () => {
+        if (viewFocused()) toggleTable();
+    });
+    serverTable.key(['s'], () => setSort((sortColumn + 1) % TABLE_COLUMNS.length));
+    serverTable.key(['r'], () => setSort(sortColumn, !sortDescending));
+    serverTable.on('select', (item, index) => {
+        const state = tableRows[index - 1];
+        if (state) showServerDetails(state.nodeId);
+    });
+
+    // One-line prompt on the footer line, for the `/` filter and the `:`
+    // command palette. Escape cancels.
+    const promptBar = blessed.box({
+        parent: screen,
+        bottom: 0,
+        left: 0,
+        width: '100%',
+        height: 1,
+        hidden: true,
+        style: {
+            fg: 'white',
+            bg: 'black'
+        }
+    });
+    const promptInput = blessed.textbox({
+        parent: promptBar,
+        left: 0,
+        height: 1,
+        style: {
+            fg: 'white',
+            bg: 'black'
+        }
+    });
+
+    function prompt(label, initial, onEnter) {
+        promptBar.setContent(label);
+        promptInput.left = label.length;
+        promptInput.width = promptBar.width - label.length;
+        promptBar.show();
+        promptBar.setFront();
+        promptInput.setValue(initial);
+        screen.render();
+        promptInput.readInput((err, value) => {
+            promptBar.hide();
+            if (!err && typeof value === 'string') onEnter(value);
+            screen.render();
+        });
+    }
+
+    // Enter on an empty filter clears it
+    screen.key(['/'], () => prompt(' Filter: ', filterText, setFilter));
+
+    // Find a server by node ID, name, hex public key, a unique node ID prefix, or IP
+    function findServer(query) {
+        const states = registry.list().filter(state => state.header);
+        const exact = states.find(state => state.nodeId === query || state.name === query ||
+            state.nodeKey === query.toLowerCase() ||
+            state.rinfo.address === query || `${state.rinfo.address}:${state.rinfo.port}` === query);
+        if (exact) return exact;
+
+        const matches = states.filter(state => state.nodeId.startsWith(query));
+        if (matches.length > 1) throw new Error(`${matches.length} servers match '${query}'`);
+        if (matches.length === 0) throw new Error(`No server matches '${query}'`);
+        return matches[0];
+    }
+
+    function exportServers(file) {
+        const states = tableMode ? tableRows : shownCards().map(card => card.state);
+        const target = file || `xdgm-export-${moment().format('YYYYMMDD-HHmmss')}.json`;
+        if (target.endsWith('.csv')) {
+            const quote = value => `"${value === null ? '' : String(value).replace(/"/g, '""')}"`;
+            const rows = [
+                TABLE_COLUMNS.map(col => col.title),
+                ...states.map(state => TABLE_COLUMNS.map(col => col.value(state)))
+            ];
+            fs.writeFileSync(target, rows.map(row => row.map(quote).join(',')).join('\n') + '\n');
+        } else {
+            fs.writeFileSync(target, JSON.stringify(states.map(state => state.summary()), null, 2) + '\n');
+        }
+        return `Exported ${states.length} servers to ${target}`;
+    }
+
+    function silenceAlerts(target, duration) {
+        let alerts = [...registry.activeAlerts.values()];
+        if (target !== 'all') {
+            const state = findServer(target);
+            alerts = alerts.filter(alert => alert.serverId === state.nodeId);
+        }
+        alerts.forEach(alert => registry.silenceAlert(alert.id, duration));
+        return duration > 0 ?
+            `Silenced ${alerts.length} alerts for ${moment.duration(duration).humanize()}` :
+            `Lifted the silence on ${alerts.length} alerts`;
+    }
+
+    // Command palette. Each command returns an optional message for the footer
+    // and throws on bad input.
+    const COMMANDS = {
+        goto: {
+            usage: 'goto <node ID, name, prefix or IP>',
+            help: 'Select a server and open its details',
+            run: (args) => {
+                if (args.length === 0) throw new Error('Usage: :goto <node>');
+                const state = findServer(args[0]);
+                const card = servers.get(state.nodeKey);
+                if (card && matchesFilter(state)) selectCard(card);
+                showServerDetails(state.nodeId);
+            }
+        },
+        filter: {
+            usage: 'filter [text]',
+            help: 'Filter servers, as with /; without text the filter is cleared',
+            run: args => setFilter(args.join(' '))
+        },
+        sort: {
+            usage: 'sort <column> [asc|desc]',
+            help: `Sort the cards and the table by ${TABLE_COLUMNS.map(col => col.title.toLowerCase()).join(', ')}`,
+            run: (args) => {
+                const column = TABLE_COLUMNS.findIndex(col => col.title.toLowerCase() === (args[0] || '').toLowerCase());
+                if (column === -1) throw new Error(`Unknown column '${args[0] || ''}'`);
+                setSort(column, args[1] === 'desc', true);
+            }
+        },
+        export: {
+            usage: 'export [file.json|file.csv]',
+            help: 'Write the servers shown to a JSON or CSV file',
+            run: args => exportServers(args[0])
+        },
+        silence: {
+            usage: 'silence <node|all> [duration]',
+            help: 'Silence the firing alerts of a server or of all servers (1h by default, 0 lifts it)',
+            run: (args) => {
+                if (args.length === 0) throw new Error('Usage: :silence <node|all> [duration]');
+                return silenceAlerts(args[0], args[1] !== undefined ? parseDuration(args[1]) : SILENCE_DURATION);
+            }
+        },
+        group: {
+            usage: 'group <none|group|network>',
+            help: 'Group the cards and the table by configured group or network ID',
+            run: (args) => {
+                if (args.length === 0) throw new Error('Usage: :group <none|group|network>');
+                return setGroupBy(args[0]);
+            }
+        },
+        table: {
+            usage: 'table',
+            help: 'Switch between the cards and the table',
+            run: () => toggleTable()
+        },
+        help: {
+            usage: 'help',
+            help: 'Show the key bindings and commands',
+            run: () => toggleHelp()
+        },
+        quit: {
+            usage: 'quit',
+            help: 'Exit XDGM',
+            run: () => process.exit(0)
+        }
+    };
+
+    function runCommand(line) {
+        const [name, ...args] = line.trim().replace(/^:/, '').split(/\s+/);
+        if (!name) return;
+        const command = COMMANDS[name] || (name === 'q' && COMMANDS.quit);
+        try {
+            if (!command) throw new Error(`Unknown command '${name}', see :help`);
+            const message = command.run(args);
+            if (message) flashMessage(blessed.escape(message));
         } catch (err) {
-            console.debug('Error processing packet:', err.message);
-            // Don't rethrow - just log and continue
+            flashMessage(`{red-fg}${blessed.escape(err.message)}{/red-fg}`);
+        }
+    }
+
+    screen.key([':'], () => prompt(' :', '', runCommand));
+
+    const KEY_BINDINGS = [
+        ['Arrows, H J K L', 'Select a server card'],
+        ['Enter', 'Open the details of the selected server, alert or table row; collapse a group'],
+        ['Tab', 'Move focus between the cards or table, the alerts and the details'],
+        ['PgUp, PgDn', 'Page through the cards'],
+        ['G', 'Group the cards and the table by group, by network ID, or not at all'],
+        ['T', 'Switch between the cards and the table'],
+        ['S, R', 'In the table: sort by the next column, reverse the order'],
+        ['/', 'Filter servers by node ID, name, group, tag, IP, relay, version or status'],
+        [':', 'Command palette'],
+        ['A', 'Focus the alerts; then A acknowledges, S silences, X clears resolved'],
+        ['D', 'Show the departed servers'],
+        ['N', 'Show the consensus of each network: ledger lag and forks'],
+        ['C', 'Show the ledger history each server holds, and the gaps'],
+        ['W', 'In the details: change the history window'],
+        ['Esc', 'Close the details, the departed list, this help or the alerts focus'],
+        ['?', 'Show or hide this help'],
+        ['Q, Ctrl-C', 'Quit']
+    ];
+
+    const helpBox = blessed.box({
+        parent: screen,
+        top: 'center',
+        left: 'center',
+        width: 90,
+        height: KEY_BINDINGS.length + Object.keys(COMMANDS).length + 8,
+        label: ' Help - ? or ESC to close ',
+        hidden: true,
+        tags: true,
+        keys: true,
+        border: {
+            type: 'line'
+        },
+        style: {
+            border: {
+                fg: 'cyan'
+            }
+        },
+        padding: {
+            left: 1,
+            right: 1
+        },
+        content: [
+            '{bold}Keys{/bold}',
+            ...KEY_BINDINGS.map(([keys, action]) => `  ${keys.padEnd(18)}${action}`),
+            '',
+            '{bold}Commands{/bold}',
+            ...Object.values(COMMANDS).map(({ usage, help }) => blessed.escape(`  :${usage.padEnd(36)}${help}`))
+        ].join('\n')
+    });
+
+    function toggleHelp() {
+        if (helpBox.hidden) {
+            helpBox.show();
+            helpBox.setFront();
+            helpBox.focus();
+        } else {
+            helpBox.hide();
         }
+        screen.render();
+    }
+
+    screen.key(['?'], () => {
+        if (viewFocused(helpBox)) toggleHelp();
+    });
+    helpBox.key(['escape'], toggleHelp);
+
+    // Tab cycles the focus through the server view, the alerts and any open
+    // details box
+    screen.key(['tab'], () => {
+        const openCard = [...servers.values()].find(card => card.detailsBox);
+        const targets = [tableMode ? serverTable : gridContainer, alertsPanel, openCard && openCard.detailsBox]
+            .filter(Boolean);
+        targets[(targets.indexOf(screen.focused) + 1) % targets.length].focus();
+        screen.render();
     });
 
-    // Update cards periodically
-    setInterval(() => {
+    registry.on('rejected', updateFooter);
+
+    // Open the details of a server, e.g. the one an alert belongs to
+    function showServerDetails(serverId) {
+        const state = registry.get(serverId);
+        const card = state && servers.get(state.nodeKey);
+        if (!card) return;
+        if (!card.detailsBox) card.showDetails();
+        card.detailsBox.focus();
+        screen.render();
+    }
+
+    // Update cards periodically; the alert list too, as silences run out.
+    // A status filter can change what is shown and new values the sort order,
+    // so the grid is laid out again
+    function refreshCards() {
+        if (filterText || groupBy !== 'none' || cardsSorted) layoutCards();
         for (const card of servers.values()) {
             card.updateDisplay();
             if (card.detailsBox) {
                 card.updateDetailsBox();
             }
         }
-    }, 1000);
+        renderAlerts();
+        renderDeparted();
+        renderNetwork();
+        renderCoverage();
+        renderTable();
+    }
+    startChecks(refreshCards);
+
+    handleReload(() => {
+        startChecks(refreshCards);
+        layoutCards();
+        registry.addAlert('Configuration reloaded', config.file || 'config');
+    }, (err) => {
+        registry.addAlert(`Configuration reload failed: ${err.message}`, config.file || 'config', { severity: 'warning' });
+    });
+
+    // Quit on Ctrl-C anywhere, and on Q unless it closes a details box
+    screen.key(['C-c'], () => process.exit(0));
+    screen.key(['q'], () => {
+        if (screen.focused === gridContainer || screen.focused === serverTable) process.exit(0);
+    });
+
+    gridContainer.focus();
 
-    // Quit on Q
-    screen.key(['q', 'C-c'], () => process.exit(0));
+    // Start listening or replaying; a bind or capture failure is fatal, later
+    // socket errors are reported as alerts and the remaining sockets keep running
+    startSource(receivePacket, (err, endpoint) => {
+        registry.addAlert(`Socket error: ${err.message}`, formatListenSpec(endpoint), { severity: 'warning' });
+    }).then(({ description, replay }) => {
+        header.setContent(`XDGM - Xahau/XRPL DataGram Monitor Dashboard - ${description} - Press ? for help, Q to quit`);
+        screen.render();
+        if (replay) {
+            return replay.then(count => registry.addAlert(`Replay finished: ${count} packets`, 'replay'));
+        }
+    }).catch((err) => {
+        screen.destroy();
+        console.error(err.message);
+        process.exit(1);
+    });
 
-    // Start server
-    server.bind(12345);
+    startHttpEndpoints(message => registry.addAlert(message, 'http'));
+    startStorage(err => registry.addAlert(`Storage error: ${err.message}`, 'storage', { severity: 'warning' }));
 
     // Initial render
     screen.render();
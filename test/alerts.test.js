@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { Config } = require('../lib/config');
+const { ServerRegistry } = require('../lib/model');
+
+// A registry listing at most `maxAlerts` alerts, and what it emitted
+function createRegistry(maxAlerts) {
+    const config = new Config();
+    config.data.display.maxAlerts = maxAlerts;
+    const registry = new ServerRegistry(config);
+    const events = [];
+    registry.on('alert', (alert, change) => events.push(`${change} ${alert.key}`));
+    return { registry, events };
+}
+
+test('a repeat of a firing alert is not a new alert', () => {
+    const { registry, events } = createRegistry(100);
+    const first = registry.addAlert('Disk full', 'node-1', { type: 'rule', condition: 'disk' });
+    const again = registry.addAlert('Disk full', 'node-1', { type: 'rule', condition: 'disk' });
+    assert.strictEqual(again, first);
+    assert.strictEqual(first.count, 2);
+    assert.deepStrictEqual(events, ['fired node-1|rule|disk', 'repeated node-1|rule|disk']);
+});
+
+test('resolved alerts are dropped over the limit, oldest first', () => {
+    const { registry } = createRegistry(3);
+    for (let i = 0; i < 3; i++) registry.addAlert(`Alert ${i}`, `node-${i}`);
+    registry.resolveAlert('node-0', 'system', 'Alert 0');
+    registry.resolveAlert('node-1', 'system', 'Alert 1');
+    registry.addAlert('Alert 3', 'node-3');
+    assert.deepStrictEqual(registry.alerts.map(alert => alert.serverId), ['node-3', 'node-2', 'node-1']);
+});
+
+test('firing alerts are never dropped', () => {
+    const { registry, events } = createRegistry(3);
+    for (let i = 0; i < 5; i++) registry.addAlert(`Alert ${i}`, `node-${i}`);
+    assert.strictEqual(registry.alerts.length, 5);
+    assert.strictEqual(registry.activeAlerts.size, 5);
+
+    const oldest = registry.activeAlerts.get('node-0|system|Alert 0');
+    registry.acknowledgeAlert(oldest.id);
+    registry.addAlert('Alert 0', 'node-0');
+    assert.strictEqual(oldest.count, 2);
+    assert.strictEqual(oldest.acknowledged, true);
+    assert.strictEqual(events.filter(event => event.startsWith('fired')).length, 5);
+
+    // Once resolved, they make room again
+    registry.resolveAlert('node-1', 'system', 'Alert 1');
+    registry.resolveAlert('node-2', 'system', 'Alert 2');
+    assert.deepStrictEqual(registry.alerts.map(alert => alert.serverId), ['node-0', 'node-4', 'node-3']);
+});
+
+test('rejections are counted for a bounded number of sources', () => {
+    const { registry } = createRegistry(100);
+    registry.recordRejection({ address: '192.0.2.1' }, 'bad_magic');
+    for (let i = 0; i < 1500; i++) registry.recordRejection({ address: `10.0.${i >> 8}.${i & 255}` }, 'too_short');
+    assert.strictEqual(registry.rejections.size, 1000);
+    assert.strictEqual(registry.rejections.has('192.0.2.1'), false);
+
+    // 10.0.1.244 (the 500th) is the oldest left; rejecting it again keeps it
+    registry.recordRejection({ address: '10.0.1.244' }, 'bad_magic');
+    registry.recordRejection({ address: '192.0.2.2' }, 'bad_magic');
+    assert.deepStrictEqual([...registry.rejections.get('10.0.1.244')], [['too_short', 1], ['bad_magic', 1]]);
+    assert.strictEqual(registry.rejections.has('10.0.1.245'), false);
+    assert.strictEqual(registry.formatRejections(), 'Rejected: 1503 [bad_magic 3, too_short 1500] from over 1000 sources');
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { test } = require('node:test');
+const { AUTH_SCHEME, Authenticator, appendAuthTrailer, computeHmac, splitAuthTrailer } = require('../lib/auth');
+const { PacketError } = require('../lib/errors');
+
+const BODY = Buffer.from('4d4744580100000015530000', 'hex');
+const SECRET = 'fleet secret';
+
+// An Ed25519 node key, as the header carries it (hex, ED prefixed), and a
+// signer for it
+function createNodeKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+    return {
+        nodeKey: 'ed' + raw.toString('hex'),
+        sign: body => crypto.sign(null, body, privateKey)
+    };
+}
+
+const SENT_AT = 1700000000000;
+
+// What verify makes of a datagram: the method, or the rejection reason. It was
+// sent at sentAt, by its header timestamp, and arrives 40 ms later.
+function verdict(authenticator, datagram, nodeKey, sentAt = SENT_AT, receivedAt = sentAt + 40) {
+    const { body, trailer } = splitAuthTrailer(datagram);
+    try {
+        return authenticator.verify(body, trailer, { node_public_key: nodeKey, timestamp: sentAt * 1000 }, receivedAt);
+    } catch (err) {
+        assert.ok(err instanceof PacketError);
+        return err.reason;
+    }
+}
+
+test('the trailer splits off the body', () => {
+    const data = Buffer.from('0102030405', 'hex');
+    const { body, trailer } = splitAuthTrailer(appendAuthTrailer(BODY, AUTH_SCHEME.NODE_SIGNATURE, data));
+    assert.ok(body.equals(BODY));
+    assert.strictEqual(trailer.scheme, AUTH_SCHEME.NODE_SIGNATURE);
+    assert.ok(trailer.data.equals(data));
+
+    assert.deepStrictEqual(splitAuthTrailer(BODY), { body: BODY, trailer: null });
+    const overlong = appendAuthTrailer(BODY, AUTH_SCHEME.HMAC_SHA256, Buffer.alloc(4));
+    overlong.writeUInt16LE(1000, overlong.length - 8);
+    assert.throws(() => splitAuthTrailer(overlong), err => err.reason === 'auth_bad_trailer');
+});
+
+test('HMAC trailers are checked against the fleet secret', () => {
+    const { nodeKey } = createNodeKey();
+    const authenticator = new Authenticator({ secret: SECRET });
+    const signed = appendAuthTrailer(BODY, AUTH_SCHEME.HMAC_SHA256, computeHmac(SECRET, BODY));
+    assert.strictEqual(verdict(authenticator, signed, nodeKey), 'hmac');
+    const forged = appendAuthTrailer(BODY, AUTH_SCHEME.HMAC_SHA256, computeHmac('guess', BODY));
+    assert.strictEqual(verdict(authenticator, forged, nodeKey), 'auth_bad_hmac');
+    assert.strictEqual(verdict(authenticator, BODY, nodeKey), 'auth_missing');
+    assert.strictEqual(verdict(authenticator, appendAuthTrailer(BODY, 9, Buffer.alloc(1)), nodeKey), 'auth_bad_scheme');
+});
+
+test('signatures need an allowlist', () => {
+    assert.throws(() => new Authenticator({ signatures: true }), /need an allowlist/);
+
+    const listed = createNodeKey();
+    const stranger = createNodeKey();
+    const authenticator = new Authenticator({ signatures: true, allowlist: new Set([listed.nodeKey]) });
+    const sign = ({ sign: signer }) => appendAuthTrailer(BODY, AUTH_SCHEME.NODE_SIGNATURE, signer(BODY));
+    assert.strictEqual(verdict(authenticator, sign(listed), listed.nodeKey), 'signature');
+    assert.strictEqual(verdict(authenticator, sign(stranger), stranger.nodeKey), 'not_allowlisted');
+    assert.strictEqual(verdict(authenticator, sign(stranger), listed.nodeKey), 'auth_bad_signature');
+    assert.strictEqual(verdict(authenticator, BODY, listed.nodeKey), 'auth_missing');
+});
+
+test('without a scheme, signatures only count as self-signed', () => {
+    const { nodeKey, sign } = createNodeKey();
+    const datagram = appendAuthTrailer(BODY, AUTH_SCHEME.NODE_SIGNATURE, sign(BODY));
+    assert.strictEqual(verdict(new Authenticator(), datagram, nodeKey), 'self-signed');
+    assert.strictEqual(verdict(new Authenticator(), BODY, nodeKey), null);
+    assert.strictEqual(verdict(new Authenticator({ allowlist: new Set([nodeKey]) }), datagram, nodeKey), 'signature');
+});
+
+test('an authenticated datagram cannot be sent again', () => {
+    const { nodeKey } = createNodeKey();
+    const authenticator = new Authenticator({ secret: SECRET });
+    const signed = appendAuthTrailer(BODY, AUTH_SCHEME.HMAC_SHA256, computeHmac(SECRET, BODY));
+    assert.strictEqual(verdict(authenticator, signed, nodeKey), 'hmac');
+    assert.strictEqual(verdict(authenticator, signed, nodeKey), 'auth_replay');
+    assert.strictEqual(verdict(authenticator, signed, nodeKey, SENT_AT - 1000), 'auth_replay');
+    assert.strictEqual(verdict(authenticator, signed, nodeKey, SENT_AT + 1000), 'hmac');
+    // Each node has its own sequence
+    assert.strictEqual(verdict(authenticator, signed, createNodeKey().nodeKey), 'hmac');
+});
+
+test('an authenticated datagram must be fresh', () => {
+    const listed = createNodeKey();
+    const signed = appendAuthTrailer(BODY, AUTH_SCHEME.NODE_SIGNATURE, listed.sign(BODY));
+    const authenticator = new Authenticator({ signatures: true, allowlist: new Set([listed.nodeKey]), maxAge: 30000 });
+    assert.strictEqual(verdict(authenticator, signed, listed.nodeKey, SENT_AT, SENT_AT + 30001), 'auth_replay');
+    assert.strictEqual(verdict(authenticator, signed, listed.nodeKey, SENT_AT, SENT_AT - 30001), 'auth_replay');
+    assert.strictEqual(verdict(authenticator, signed, listed.nodeKey, SENT_AT, SENT_AT + 29000), 'signature');
+
+    // Unauthenticated and self-signed datagrams are not tracked
+    const open = new Authenticator();
+    const stranger = createNodeKey();
+    const selfSigned = appendAuthTrailer(BODY, AUTH_SCHEME.NODE_SIGNATURE, stranger.sign(BODY));
+    assert.strictEqual(verdict(open, selfSigned, stranger.nodeKey, SENT_AT, SENT_AT + 3600000), 'self-signed');
+    assert.strictEqual(verdict(open, selfSigned, stranger.nodeKey, SENT_AT, SENT_AT + 3600000), 'self-signed');
+    assert.strictEqual(open.lastTimestamps.size, 0);
+
+    const unchecked = new Authenticator({ secret: SECRET, maxAge: 0 });
+    const hmac = appendAuthTrailer(BODY, AUTH_SCHEME.HMAC_SHA256, computeHmac(SECRET, BODY));
+    assert.strictEqual(verdict(unchecked, hmac, listed.nodeKey, SENT_AT, SENT_AT + 3600000), 'hmac');
+});
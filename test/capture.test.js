@@ -0,0 +1,63 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { CaptureWriter, replayCapture } = require('../lib/capture');
+
+const RINFO = { address: '192.0.2.7', port: 51235, family: 'IPv4' };
+
+function tempFile(name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xdgm-capture-'));
+    return path.join(dir, name);
+}
+
+// Replays without delays; resolves with the count and what was handed on
+async function replay(file) {
+    const received = [];
+    const count = await replayCapture(file, (msg, rinfo) => received.push({ msg, rinfo }), { speed: 0 });
+    return { count, received };
+}
+
+function capture(file, times) {
+    const writer = new CaptureWriter(file);
+    times.forEach((t, i) => writer.write(Buffer.from([i]), RINFO, t));
+    writer.close();
+}
+
+test('a capture replays with its arrival times', async () => {
+    const file = tempFile('capture.ndjson');
+    capture(file, [1000, 2000, 3500]);
+    const { count, received } = await replay(file);
+    assert.strictEqual(count, 3);
+    assert.deepStrictEqual(received.map(({ rinfo }) => rinfo.receivedAt), [1000, 2000, 3500]);
+    assert.deepStrictEqual(received[2].rinfo, Object.assign({ size: 1, receivedAt: 3500 }, RINFO));
+    assert.ok(received[1].msg.equals(Buffer.from([1])));
+});
+
+test('torn and foreign lines are skipped', async () => {
+    const file = tempFile('torn.ndjson');
+    capture(file, [1000, 2000]);
+    fs.appendFileSync(file, '{"note":"not a datagram"}\n{"t":3000,"address":"192.0');
+    const { count } = await replay(file);
+    assert.strictEqual(count, 2);
+});
+
+test('a file that is not a capture is refused', async () => {
+    const file = tempFile('other.ndjson');
+    fs.writeFileSync(file, 'hello\n');
+    await assert.rejects(replay(file), /not an XDGM capture file/);
+    fs.writeFileSync(file, '');
+    await assert.rejects(replay(file), /is empty/);
+});
+
+test('recording a replay keeps the captured times', async () => {
+    const source = tempFile('source.ndjson');
+    const copy = tempFile('copy.ndjson');
+    capture(source, [1000, 2000]);
+    const writer = new CaptureWriter(copy);
+    await replayCapture(source, writer.wrap(() => {}), { speed: 0 });
+    writer.close();
+    const { received } = await replay(copy);
+    assert.deepStrictEqual(received.map(({ rinfo }) => rinfo.receivedAt), [1000, 2000]);
+});
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { Config, DEFAULT_CONFIG } = require('../lib/config');
+
+const HUB = 'ed' + '11'.repeat(32);
+const EDGE = 'ED' + '22'.repeat(32);
+const LONER = 'ed' + '33'.repeat(32);
+
+// Writes the files into a fresh directory; returns the path of the first
+function writeFiles(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xdgm-config-'));
+    for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+    return path.join(dir, Object.keys(files)[0]);
+}
+
+const CONFIG = `
+serverTimeout: 5000
+thresholds:
+  loadPerCore: { warn: 0.7 }
+groups:
+  hubs:
+    nodes: [${HUB}]
+    realertInterval: 60000
+    thresholds:
+      loadPerCore: { crit: 0.95 }
+      ledgerLag: { warn: 5 }
+servers:
+  ${HUB}:
+    thresholds:
+      ledgerLag: { warn: 2 }
+  ${EDGE}:
+    serverTimeout: 10000
+nodeRegistry: nodes.yaml
+`;
+
+const REGISTRY = `
+${HUB}:
+  name: hub-1
+  group: edges
+${EDGE}:
+  name: edge-1
+  group: edges
+  tags: { datacenter: fra1 }
+`;
+
+test('settings layer defaults, the file, the group and the server', () => {
+    const config = new Config(writeFiles({ 'config.yaml': CONFIG, 'nodes.yaml': REGISTRY }));
+
+    const hub = config.forNode(HUB);
+    assert.strictEqual(hub.serverTimeout, 5000);
+    assert.strictEqual(hub.realertInterval, 60000);
+    assert.strictEqual(hub.departAfter, DEFAULT_CONFIG.departAfter);
+    assert.deepStrictEqual(hub.thresholds.loadPerCore, { warn: 0.7, crit: 0.95 });
+    assert.deepStrictEqual(hub.thresholds.ledgerLag, { warn: 2, crit: 10 });
+    assert.deepStrictEqual(hub.thresholds.diskRate, DEFAULT_CONFIG.thresholds.diskRate);
+
+    // Node keys in any case; the registry's group is not a config group
+    const edge = config.forNode(EDGE.toLowerCase());
+    assert.strictEqual(edge.serverTimeout, 10000);
+    assert.strictEqual(edge.realertInterval, DEFAULT_CONFIG.realertInterval);
+    assert.deepStrictEqual(edge.thresholds.loadPerCore, { warn: 0.7, crit: 0.8 });
+
+    assert.strictEqual(config.forNode(LONER).serverTimeout, 5000);
+    assert.strictEqual(config.forNode(LONER).thresholds.ledgerLag.warn, 3);
+});
+
+test('config groups win over the node registry', () => {
+    const config = new Config(writeFiles({ 'config.yaml': CONFIG, 'nodes.yaml': REGISTRY }));
+    assert.deepStrictEqual(config.nodeInfo(HUB), { name: 'hub-1', group: 'hubs', tags: {} });
+    assert.deepStrictEqual(config.nodeInfo(EDGE.toLowerCase()), { name: 'edge-1', group: 'edges', tags: { datacenter: 'fra1' } });
+    assert.deepStrictEqual(config.nodeInfo(LONER), { name: null, tags: {}, group: null });
+});
+
+test('invalid settings name where they are', () => {
+    const file = writeFiles({ 'config.yaml': `groups:\n  hubs:\n    thresholds:\n      loadPerCore: { warn: -1 }\n` });
+    assert.throws(() => new Config(file), /groups\.hubs\.thresholds\.loadPerCore\.warn must be a non-negative number/);
+    fs.writeFileSync(file, 'servers:\n  nHub:\n    serverTimeout: 1\n');
+    assert.throws(() => new Config(file), /invalid node public key 'nHub'/);
+});
+
+test('rule names must be unique', () => {
+    const file = writeFiles({
+        'config.yaml': 'rules:\n  - { name: few-peers, expr: peer_count < 10 }\n  - { name: few-peers, expr: peer_count < 5 }\n'
+    });
+    assert.throws(() => new Config(file), /rules\[1\]: duplicate rule name 'few-peers'/);
+    // Unnamed rules are named by their expression
+    fs.writeFileSync(file, 'rules:\n  - peer_count < 10 => warning\n  - { expr: peer_count < 10, severity: critical }\n');
+    assert.throws(() => new Config(file), /rules\[1\]: duplicate rule name 'peer_count < 10'/);
+    fs.writeFileSync(file, 'rules:\n  - peer_count < 10 => warning\n  - peer_count < 10 for 60s => critical\n');
+    assert.strictEqual(new Config(file).rules.length, 2);
+});
+
+test('a failed reload keeps the previous settings', () => {
+    const file = writeFiles({ 'config.yaml': 'serverTimeout: 5000\n' });
+    const config = new Config(file);
+    assert.strictEqual(config.forNode(HUB).serverTimeout, 5000);
+    fs.writeFileSync(file, 'serverTimeout: 7000\n');
+    config.reload();
+    assert.strictEqual(config.forNode(HUB).serverTimeout, 7000);
+    fs.writeFileSync(file, 'serverTimeout: soon\n');
+    assert.throws(() => config.reload(), /serverTimeout must be a non-negative number/);
+    assert.strictEqual(config.forNode(HUB).serverTimeout, 7000);
+});
+
+test('a reload with a broken notifier changes nothing', () => {
+    const file = writeFiles({ 'config.yaml': 'serverTimeout: 5000\nnotifiers:\n  - { type: exec, command: /bin/true }\n' });
+    const config = new Config(file);
+    fs.writeFileSync(file, 'serverTimeout: 7000\nnotifiers:\n  - { type: webhook }\n');
+    assert.throws(() => config.reload(), /notifiers\[0\]: webhook notifier needs a url/);
+    fs.writeFileSync(file, 'serverTimeout: 7000\nnotifiers:\n  - { type: pager, url: "http://localhost/" }\n');
+    assert.throws(() => config.reload(), /notifiers\[0\]: unknown notifier type 'pager'/);
+    fs.writeFileSync(file, 'serverTimeout: 7000\nnotifiers: [webhook]\n');
+    assert.throws(() => config.reload(), /notifiers\[0\]: must be an object/);
+    assert.strictEqual(config.forNode(HUB).serverTimeout, 5000);
+    assert.deepStrictEqual(config.notifiers, [{ type: 'exec', command: '/bin/true' }]);
+});
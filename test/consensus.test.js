@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { ConsensusTracker, LEDGER_WINDOW } = require('../lib/consensus');
+
+const NETWORK = 21337;
+
+function hashOf(text) {
+    return Buffer.from(text.padEnd(32, '.')).toString('hex');
+}
+
+function state(nodeKey, seq, hash = `ledger-${seq}`, networkId = NETWORK) {
+    return { nodeKey, isAwol: false, header: { network_id: networkId, ledger_seq: seq, ledger_hash: hashOf(hash) } };
+}
+
+// A tracker that saw every state
+function track(...states) {
+    const tracker = new ConsensusTracker();
+    states.forEach(entry => tracker.record(entry));
+    return tracker;
+}
+
+test('the hash most servers reported is the majority', () => {
+    const tracker = track(state('aa', 100), state('bb', 100), state('cc', 100, 'fork'));
+    assert.deepStrictEqual(tracker.compare(NETWORK, 'cc'), {
+        seq: 100,
+        hash: hashOf('fork'),
+        majority: hashOf('ledger-100'),
+        agreeing: 1,
+        reporting: 3,
+        diverged: true
+    });
+    assert.strictEqual(tracker.compare(NETWORK, 'aa').diverged, false);
+    assert.strictEqual(tracker.compare(NETWORK, 'aa').agreeing, 2);
+    assert.deepStrictEqual(tracker.forks(NETWORK).map(fork => [fork.seq, fork.hashes.map(entry => entry.nodeKeys)]),
+        [[100, [['aa', 'bb'], ['cc']]]]);
+});
+
+test('on a tie every side has diverged', () => {
+    const tracker = track(state('aa', 100), state('bb', 100, 'fork'));
+    assert.strictEqual(tracker.compare(NETWORK, 'aa').majority, null);
+    assert.strictEqual(tracker.compare(NETWORK, 'aa').diverged, true);
+    assert.strictEqual(tracker.compare(NETWORK, 'bb').diverged, true);
+});
+
+test('servers are compared at their newest sequence someone else reported', () => {
+    const tracker = track(state('aa', 100), state('bb', 100), state('aa', 101, 'fork'), state('cc', 102));
+    const comparison = tracker.compare(NETWORK, 'aa');
+    assert.strictEqual(comparison.seq, 100);
+    assert.strictEqual(comparison.diverged, false);
+    // Alone at its sequence: nothing to compare
+    assert.strictEqual(tracker.compare(NETWORK, 'cc'), null);
+    assert.strictEqual(tracker.compare(99, 'aa'), null);
+});
+
+test('empty hashes and other networks are not compared', () => {
+    const unvalidated = state('bb', 100);
+    unvalidated.header.ledger_hash = '0'.repeat(64);
+    const tracker = track(state('aa', 100), unvalidated, state('cc', 100, 'other', 1));
+    assert.strictEqual(tracker.hashesAt(NETWORK, 100).length, 1);
+    assert.strictEqual(tracker.compare(NETWORK, 'aa'), null);
+    assert.strictEqual(tracker.compare(1, 'cc'), null);
+});
+
+test('old sequences leave the window, departed servers are forgotten', () => {
+    const tracker = track(state('aa', 100), state('bb', 100, 'fork'), state('aa', 101 + LEDGER_WINDOW));
+    assert.deepStrictEqual(tracker.forks(NETWORK), []);
+
+    const moved = track(state('aa', 100), state('bb', 100, 'fork'), state('bb', 5, 'testnet', 1));
+    assert.deepStrictEqual(moved.forks(NETWORK), []);
+    moved.forget('bb');
+    assert.deepStrictEqual(moved.hashesAt(1, 5), []);
+});
+
+test('the view gives each live server its lag behind the network', () => {
+    const awol = Object.assign(state('dd', 90), { isAwol: true });
+    const states = [state('aa', 105), state('bb', 103), state('cc', 7, 'x', 1), awol];
+    const view = track(...states).view(states);
+    assert.deepStrictEqual(view.map(network => [network.networkId, network.maxSeq]), [[1, 7], [NETWORK, 105]]);
+    assert.deepStrictEqual(view[1].servers.map(server => [server.state.nodeKey, server.lag]), [['aa', 0], ['bb', 2]]);
+});
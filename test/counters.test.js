@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { COUNTER_RATES, deriveCounterRates } = require('../lib/counters');
+
+// A sample `seconds` into the server's uptime, counters defaulting to zero
+function sample(seconds, counters = {}, uptime = seconds) {
+    const all = { nodeFetchHitCount: 0, shardNodeReadsHit: 0 };
+    for (const { counter } of COUNTER_RATES) all[counter] = 0;
+    return { uptime, timestamp: 1700000000e6 + seconds * 1e6, counters: Object.assign(all, counters) };
+}
+
+test('rates cover the interval between two samples', () => {
+    const { reset, rates } = deriveCounterRates(
+        sample(100, { nodeFetchCount: 1000, nodeFetchHitCount: 900, nodeWriteSize: 4096 }),
+        sample(104, { nodeFetchCount: 1400, nodeFetchHitCount: 1200, nodeWriteSize: 8192 }));
+    assert.strictEqual(reset, false);
+    assert.strictEqual(rates.interval_s, 4);
+    assert.strictEqual(rates.node_fetches_per_s, 100);
+    assert.strictEqual(rates.node_write_bytes_per_s, 1024);
+    assert.strictEqual(rates.local_tx_per_s, 0);
+    assert.strictEqual(rates.node_fetch_hit_percent, 75);
+    // No shard reads in the interval: no ratio rather than 0%
+    assert.strictEqual(rates.shard_read_hit_percent, null);
+});
+
+test('nothing is derived without a previous sample or counters', () => {
+    assert.deepStrictEqual(deriveCounterRates(null, sample(10)), { reset: false, rates: null });
+    assert.deepStrictEqual(deriveCounterRates({ uptime: 5, timestamp: 0, counters: null }, sample(10)), { reset: false, rates: null });
+    assert.deepStrictEqual(deriveCounterRates(sample(10), sample(10)), { reset: false, rates: null });
+});
+
+test('a restart or a counter going back is a reset', () => {
+    assert.deepStrictEqual(deriveCounterRates(sample(5000, { nodeFetchCount: 9000 }), sample(5004, { nodeFetchCount: 20 }, 3)),
+        { reset: true, rates: null });
+    assert.deepStrictEqual(deriveCounterRates(sample(100, { localTxCount: 50 }), sample(104, { localTxCount: 10 })),
+        { reset: true, rates: null });
+    assert.deepStrictEqual(deriveCounterRates(sample(100, { nodeFetchHitCount: 50 }), sample(104, { nodeFetchHitCount: 10 })),
+        { reset: true, rates: null });
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { Config } = require('../lib/config');
+const {
+    CoverageTracker, countLedgers, formatRanges, intersectRanges, mergeRanges, rangeGaps, subtractRanges, unionRanges
+} = require('../lib/coverage');
+const { ServerRegistry } = require('../lib/model');
+
+const NETWORK = 21337;
+
+// [[start, end], ...] to ranges
+function r(...pairs) {
+    return pairs.map(([start, end]) => ({ start, end }));
+}
+
+function server(nodeKey, ranges, extra = {}) {
+    return Object.assign({ nodeKey, nodeId: nodeKey, isAwol: false, header: { network_id: NETWORK }, ranges }, extra);
+}
+
+test('ranges merge when they overlap or touch', () => {
+    assert.deepStrictEqual(mergeRanges(r([20, 30], [1, 5], [6, 10], [25, 40], [50, 49])), r([1, 10], [20, 40]));
+    assert.deepStrictEqual(mergeRanges([]), []);
+    assert.deepStrictEqual(unionRanges([r([1, 5]), r([7, 9]), r([4, 6])]), r([1, 9]));
+});
+
+test('intersection, subtraction and gaps', () => {
+    assert.deepStrictEqual(intersectRanges([r([1, 100]), r([50, 150], [10, 20]), r([15, 60])]), r([15, 20], [50, 60]));
+    assert.deepStrictEqual(intersectRanges([r([1, 5]), r([6, 9])]), []);
+    assert.deepStrictEqual(intersectRanges([]), []);
+    assert.deepStrictEqual(subtractRanges(r([1, 100]), r([10, 20], [90, 120])), r([1, 9], [21, 89]));
+    assert.deepStrictEqual(subtractRanges(r([10, 20]), r([1, 100])), []);
+    assert.deepStrictEqual(rangeGaps(r([50, 60], [1, 10], [12, 20])), r([11, 11], [21, 49]));
+    assert.strictEqual(countLedgers(r([1, 10], [21, 21])), 11);
+    assert.strictEqual(formatRanges(r([1, 10], [21, 21])), '1-10, 21');
+});
+
+test('the view shows union, intersection and gaps of the live servers', () => {
+    const [network] = new CoverageTracker().check([
+        server('aa', r([1, 100])),
+        server('bb', r([50, 200], [300, 400])),
+        server('cc', r([1, 1000]), { isAwol: true })
+    ]);
+    assert.deepStrictEqual(network.union, r([1, 200], [300, 400]));
+    assert.deepStrictEqual(network.intersection, r([50, 100]));
+    assert.deepStrictEqual(network.gaps, r([201, 299]));
+    assert.deepStrictEqual(network.lost, []);
+});
+
+test('ledgers nobody holds any more are lost until someone reports them', () => {
+    const tracker = new CoverageTracker();
+    tracker.check([server('full', r([1, 1000])), server('recent', r([900, 1000]))]);
+    assert.deepStrictEqual(tracker.check([server('full', r([1, 1000]), { isAwol: true }), server('recent', r([900, 1010]))])[0].lost,
+        r([1, 899]));
+    assert.deepStrictEqual(tracker.check([server('recent', r([900, 1020]))])[0].lost, r([1, 899]));
+    assert.deepStrictEqual(tracker.check([server('full', r([1, 1030])), server('recent', r([900, 1030]))])[0].lost, []);
+});
+
+test('online_delete rotation and holes are told apart', () => {
+    const tracker = new CoverageTracker();
+    tracker.check([server('aa', r([100, 200])), server('bb', r([150, 200]))]);
+    // aa deletes from its old end: not lost
+    assert.deepStrictEqual(tracker.check([server('aa', r([120, 210])), server('bb', r([150, 210]))])[0].lost, []);
+    // aa drops ledgers from the middle that nobody else has
+    assert.deepStrictEqual(tracker.check([server('aa', r([120, 129], [140, 220])), server('bb', r([150, 220]))])[0].lost,
+        r([130, 139]));
+});
+
+test('the lost alert resolves when the network has no live servers left', () => {
+    const registry = new ServerRegistry(new Config());
+    const full = server('full', r([1, 1000]));
+    const recent = server('recent', r([900, 1000]));
+    registry.servers.set('full', full);
+    registry.servers.set('recent', recent);
+    registry.checkCoverage(0);
+
+    full.isAwol = true;
+    registry.checkCoverage(1000);
+    const alert = registry.activeAlerts.get(`network ${NETWORK}|coverage|lost`);
+    assert.strictEqual(alert.message, 'No live server holds ledgers 1-899 (899 ledgers lost)');
+
+    recent.isAwol = true;
+    registry.checkCoverage(2000);
+    assert.strictEqual(alert.state, 'resolved');
+    assert.strictEqual(registry.activeAlerts.size, 0);
+});
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const dgram = require('dgram');
+const { once } = require('events');
+const { test } = require('node:test');
+const { DEFAULT_PORT, formatListenSpec, openListeners, parseListenSpec } = require('../lib/listen');
+
+// The parts of an endpoint that say where it binds
+function where(spec) {
+    const { host, port, type, protocol, ipv6Only } = parseListenSpec(spec);
+    return { host, port, type, protocol, ipv6Only };
+}
+
+test('listen addresses in every form', () => {
+    assert.deepStrictEqual(where('12346'), { host: '::', port: 12346, type: 'udp6', protocol: 'udp', ipv6Only: false });
+    assert.deepStrictEqual(where('0.0.0.0:12346'), { host: '0.0.0.0', port: 12346, type: 'udp4', protocol: 'udp', ipv6Only: false });
+    assert.deepStrictEqual(where('[::]:12346/v6only'), { host: '::', port: 12346, type: 'udp6', protocol: 'udp', ipv6Only: true });
+    assert.deepStrictEqual(where('[2001:db8::1]'), {
+        host: '2001:db8::1', port: DEFAULT_PORT, type: 'udp6', protocol: 'udp', ipv6Only: false
+    });
+    assert.deepStrictEqual(where(':12346'), { host: '0.0.0.0', port: 12346, type: 'udp4', protocol: 'udp', ipv6Only: false });
+    assert.deepStrictEqual(where('tcp://127.0.0.1:12347'), {
+        host: '127.0.0.1', port: 12347, type: 'udp4', protocol: 'tcp', ipv6Only: false
+    });
+    assert.strictEqual(parseListenSpec(' udp://10.0.0.1:9 ').spec, ' udp://10.0.0.1:9 ');
+});
+
+test('malformed listen addresses are refused', () => {
+    assert.throws(() => parseListenSpec('2001:db8::1:12346'), /must be written as \[addr\]:port/);
+    assert.throws(() => parseListenSpec('0.0.0.0:65536'), /Invalid port/);
+    assert.throws(() => parseListenSpec('0.0.0.0:http'), /Invalid port/);
+    assert.throws(() => parseListenSpec('0.0.0.0:12346/v6only'), /\/v6only needs an IPv6 address/);
+});
+
+test('listen addresses format back to what parses the same', () => {
+    for (const spec of ['12346', '0.0.0.0:12346', '[::]:12346/v6only', '[2001:db8::1]', 'tcp://[::]:12347']) {
+        assert.deepStrictEqual(where(formatListenSpec(parseListenSpec(spec))), where(spec));
+    }
+    assert.strictEqual(formatListenSpec(parseListenSpec('12346')), '[::]:12346');
+});
+
+test('a port in use on [::] is an error, not a fallback to IPv4', async () => {
+    const blocker = dgram.createSocket('udp4');
+    blocker.bind(0, '0.0.0.0');
+    await once(blocker, 'listening');
+    const { port } = blocker.address();
+    try {
+        await assert.rejects(openListeners([`[::]:${port}`], () => {}, () => {}), (err) => {
+            assert.strictEqual(err.code, 'EADDRINUSE');
+            assert.strictEqual(err.message, `Failed to listen on [::]:${port}: EADDRINUSE (port already in use)`);
+            return true;
+        });
+    } finally {
+        blocker.close();
+    }
+});
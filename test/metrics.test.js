@@ -0,0 +1,87 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { Config } = require('../lib/config');
+const { renderMetrics } = require('../lib/metrics');
+const { ServerRegistry } = require('../lib/model');
+const { parsePacket } = require('../lib/parser');
+const { FleetSimulator } = require('../lib/simulator');
+
+const simulator = new FleetSimulator({ count: 2 }, { host: '127.0.0.1', port: 9, type: 'udp4' }, () => {});
+simulator.socket.close();
+
+// A registry that received one datagram from each simulated server
+function createRegistry() {
+    const registry = new ServerRegistry(new Config());
+    const at = simulator.startedAt + 60000;
+    simulator.servers.forEach((server, index) => {
+        registry.ingest(Object.assign(parsePacket(server.packet(at, 21337, 1000000, {}), at), {
+            rinfo: { address: '192.0.2.7', port: 51235 + index, family: 'IPv4', receivedAt: at },
+            auth: null
+        }));
+    });
+    return registry;
+}
+
+// The metric names of the samples of one node
+function familiesOf(text, nodeId) {
+    return [...new Set(text.split('\n')
+        .filter(line => line.includes(`node="${nodeId}"`))
+        .map(line => line.slice(0, line.search(/[{ ]/))))];
+}
+
+test('rejections are exported by reason, not by source', () => {
+    const registry = new ServerRegistry(new Config());
+    for (let i = 0; i < 50; i++) registry.recordRejection({ address: `198.51.100.${i}` }, 'bad_magic');
+    registry.recordRejection({ address: '198.51.100.1' }, 'too_short');
+    const lines = renderMetrics([], registry.rejectionTotals).split('\n')
+        .filter(line => line.startsWith('xdgm_rejected_packets_total'));
+    assert.deepStrictEqual(lines, [
+        'xdgm_rejected_packets_total{reason="bad_magic"} 50',
+        'xdgm_rejected_packets_total{reason="too_short"} 1'
+    ]);
+});
+
+test('every family is introduced by one HELP and one TYPE line', () => {
+    const text = renderMetrics(createRegistry().snapshots(), new Map());
+    const lines = text.trimEnd().split('\n');
+    const help = lines.filter(line => line.startsWith('# HELP xdgm_up '));
+    const type = lines.filter(line => line.startsWith('# TYPE '));
+    assert.deepStrictEqual(help, ['# HELP xdgm_up Whether the node sent a datagram within its timeout']);
+    assert.ok(type.includes('# TYPE xdgm_up gauge'));
+    assert.ok(type.includes('# TYPE xdgm_state_transitions_total counter'));
+    assert.strictEqual(new Set(type).size, type.length);
+
+    // Both nodes share the family under a single TYPE line
+    const index = lines.indexOf('# TYPE xdgm_up gauge');
+    assert.strictEqual(lines[index - 1], help[0]);
+    assert.ok(lines[index + 1].startsWith('xdgm_up{') && lines[index + 2].startsWith('xdgm_up{'));
+});
+
+test('label values are escaped and the source carries no port', () => {
+    const [node] = createRegistry().snapshots();
+    node.name = 'rack "a"\\b\nc';
+    const line = renderMetrics([node], new Map()).split('\n').find(text => text.startsWith('xdgm_up{'));
+    assert.ok(line.includes('name="rack \\"a\\"\\\\b\\nc"'), line);
+    assert.ok(line.includes('source="192.0.2.7"'), line);
+});
+
+test('an AWOL node only exports up and its last-seen time', () => {
+    const [fresh, awol] = createRegistry().snapshots();
+    awol.stale = true;
+    const text = renderMetrics([fresh, awol], new Map());
+    assert.deepStrictEqual(familiesOf(text, awol.nodeId),
+        ['xdgm_up', 'xdgm_last_seen_timestamp_seconds', 'xdgm_datagram_age_seconds']);
+    assert.ok(text.split('\n').some(line => line.startsWith(`xdgm_up{node="${awol.nodeId}"`) && line.endsWith(' 0')));
+    assert.ok(familiesOf(text, fresh.nodeId).includes('xdgm_ledger_seq'));
+});
+
+test('a departed node is no longer exported', () => {
+    const registry = createRegistry();
+    const [departing, staying] = registry.list();
+    staying.lastUpdate = Date.now() + 2 * 3600 * 1000;
+    registry.check(Date.now() + 2 * 3600 * 1000);
+    assert.deepStrictEqual(registry.departed.map(entry => entry.nodeId), [departing.nodeId]);
+    const text = renderMetrics(registry.snapshots(), new Map());
+    assert.deepStrictEqual(familiesOf(text, departing.nodeId), []);
+    assert.match(text, /^xdgm_servers 1$/m);
+});
@@ -0,0 +1,170 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { Config, DEFAULT_CONFIG } = require('../lib/config');
+const { ServerRegistry } = require('../lib/model');
+const { parsePacket } = require('../lib/parser');
+const { FleetSimulator } = require('../lib/simulator');
+const { computeLayout, countPages } = require('../lib/views');
+
+// Three simulated servers: sim-0 and sim-1 on network 21337, sim-2 on 21338
+const simulator = new FleetSimulator({ count: 3 }, { host: '127.0.0.1', port: 9, type: 'udp4' }, () => {});
+simulator.socket.close();
+const [HUB, EDGE, TESTNET] = simulator.servers;
+const NOW = simulator.startedAt + 60000;
+
+// A registry for a config and node registry written to a fresh directory
+function createRegistry(configText = '', nodesText = '') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xdgm-model-'));
+    const file = path.join(dir, 'config.yaml');
+    fs.writeFileSync(file, `nodeRegistry: nodes.yaml\n${configText}`);
+    fs.writeFileSync(path.join(dir, 'nodes.yaml'), nodesText || '{}\n');
+    return new ServerRegistry(new Config(file));
+}
+
+// Ingest a datagram of the simulated server, as if it arrived `at`
+function receive(registry, server, at = NOW, ledgerSeq = 1000000) {
+    const networkId = server === TESTNET ? 21338 : 21337;
+    const packet = parsePacket(server.packet(at, networkId, ledgerSeq, {}), at);
+    return registry.ingest(Object.assign(packet, {
+        rinfo: { address: '192.0.2.7', port: 51235, family: 'IPv4', receivedAt: at },
+        auth: null
+    }));
+}
+
+const NODES = `
+${HUB.nodePublicKey}:
+  name: hub-eu-2
+  group: hubs
+  tags: { role: hub, datacenter: fra1 }
+${EDGE.nodePublicKey}:
+  name: edge-1
+`;
+
+test('servers carry the name, group and tags of the node registry', () => {
+    const registry = createRegistry('', NODES);
+    const hub = receive(registry, HUB);
+    assert.strictEqual(hub.name, 'hub-eu-2');
+    assert.strictEqual(hub.group, 'hubs');
+    assert.deepStrictEqual(hub.tags, { role: 'hub', datacenter: 'fra1' });
+    assert.strictEqual(hub.displayName, 'hub-eu-2');
+    assert.deepStrictEqual([hub.summary().name, hub.summary().group], ['hub-eu-2', 'hubs']);
+    assert.strictEqual(registry.addAlert('Disk full', hub.nodeId).serverName, 'hub-eu-2');
+
+    const unknown = receive(registry, TESTNET);
+    assert.deepStrictEqual([unknown.name, unknown.group, unknown.tags], [null, null, {}]);
+    assert.strictEqual(unknown.displayName, unknown.nodeId);
+});
+
+test('a registry group picks the settings of the config group', () => {
+    const registry = createRegistry('serverTimeout: 3000\ngroups:\n  hubs:\n    serverTimeout: 9000\n', NODES);
+    assert.strictEqual(registry.settingsFor(receive(registry, HUB)).serverTimeout, 9000);
+    assert.strictEqual(registry.settingsFor(receive(registry, EDGE)).serverTimeout, 3000);
+});
+
+test('a reload renames, regroups and resettles known servers', () => {
+    const registry = createRegistry('groups:\n  edges:\n    serverTimeout: 7000\n', NODES);
+    const edge = receive(registry, EDGE);
+    assert.strictEqual(registry.settingsFor(edge).serverTimeout, 2000);
+
+    fs.writeFileSync(path.join(path.dirname(registry.config.file), 'nodes.yaml'),
+        `${EDGE.nodePublicKey}:\n  name: edge-fra-1\n  group: edges\n  tags: { owner: infra }\n`);
+    registry.config.reload();
+    registry.refreshNodeInfo();
+    assert.deepStrictEqual([edge.name, edge.group, edge.tags], ['edge-fra-1', 'edges', { owner: 'infra' }]);
+    assert.strictEqual(registry.settingsFor(edge).serverTimeout, 7000);
+    // Gone from the registry: back to the node ID
+    assert.strictEqual(receive(registry, HUB).name, null);
+});
+
+test('a reordered older datagram does not roll the shown ledger back', () => {
+    const registry = createRegistry();
+    receive(registry, HUB, NOW, 1000005);
+    const hub = receive(registry, HUB, NOW - 4000, 1000004);
+    assert.strictEqual(hub.header.ledger_seq, 1000005);
+    assert.strictEqual(hub.header.timestamp, NOW * 1000);
+    assert.strictEqual(hub.arrivals.samples.length, 2);
+
+    // Restarted and still catching up: older ledger, newer timestamp
+    receive(registry, HUB, NOW + 4000, 1000001);
+    assert.strictEqual(hub.header.ledger_seq, 1000001);
+});
+
+test('a server AWOL for departAfter departs', () => {
+    const registry = createRegistry('serverTimeout: 2000\ndepartAfter: 60000\n');
+    const departed = [];
+    registry.on('departed', state => departed.push(state.nodeId));
+    const hub = receive(registry, HUB);
+    const edge = receive(registry, EDGE);
+
+    registry.check(hub.lastUpdate + 30000);
+    assert.ok(hub.isAwol);
+    assert.strictEqual(registry.servers.size, 2);
+    assert.deepStrictEqual(departed, []);
+
+    registry.check(hub.lastUpdate + 70000);
+    assert.deepStrictEqual(departed, [hub.nodeId, edge.nodeId]);
+    assert.strictEqual(registry.servers.size, 0);
+    // Most recent first
+    assert.deepStrictEqual(registry.departed.map(entry => entry.nodeId), [edge.nodeId, hub.nodeId]);
+    assert.deepStrictEqual(registry.departed.map(entry => entry.status), ['departed', 'departed']);
+    assert.strictEqual(registry.departed[1].departedAt, hub.lastUpdate + 70000);
+    // The AWOL alert makes way for the departed one
+    assert.strictEqual(registry.activeAlerts.get(`${hub.nodeId}|awol|awol`), undefined);
+    assert.strictEqual(registry.activeAlerts.get(`${hub.nodeId}|departed|departed`).state, 'firing');
+
+    // Heard from again: back in the grid
+    const back = receive(registry, HUB);
+    assert.notStrictEqual(back, hub);
+    assert.deepStrictEqual(registry.departed.map(entry => entry.nodeId), [edge.nodeId]);
+    assert.strictEqual(registry.activeAlerts.get(`${hub.nodeId}|departed|departed`), undefined);
+});
+
+test('rule alerts resolve when the server goes AWOL or departs', () => {
+    const registry = createRegistry('serverTimeout: 2000\ndepartAfter: 60000\n');
+    const awol = [];
+    registry.on('awol', state => awol.push(state.nodeId));
+    const hub = receive(registry, HUB);
+    const rule = registry.addAlert('Rule few-peers (peer_count=3)', hub.nodeId, { type: 'rule', condition: 'few-peers' });
+    const disk = registry.addAlert('Disk full', hub.nodeId);
+
+    registry.check(hub.lastUpdate + 30000);
+    registry.check(hub.lastUpdate + 40000);
+    assert.deepStrictEqual(awol, [hub.nodeId]);
+    assert.strictEqual(rule.state, 'resolved');
+    assert.strictEqual(disk.state, 'firing');
+
+    const again = registry.addAlert('Rule few-peers (peer_count=3)', hub.nodeId, { type: 'rule', condition: 'few-peers' });
+    registry.check(hub.lastUpdate + 70000);
+    assert.strictEqual(again.state, 'resolved');
+});
+
+test('departAfter 0 keeps AWOL servers, and groups can set their own', () => {
+    const registry = createRegistry('departAfter: 0\ngroups:\n  hubs:\n    departAfter: 60000\n', NODES);
+    const hub = receive(registry, HUB);
+    const edge = receive(registry, EDGE);
+    registry.check(edge.lastUpdate + 24 * 3600000);
+    assert.deepStrictEqual(registry.list(), [edge]);
+    assert.ok(edge.isAwol);
+    assert.deepStrictEqual(registry.departed.map(entry => entry.name), [hub.name]);
+});
+
+test('the pages shrink as servers depart', () => {
+    const fleet = new FleetSimulator({ count: 20 }, { host: '127.0.0.1', port: 9, type: 'udp4' }, () => {});
+    fleet.socket.close();
+    const registry = createRegistry('departAfter: 60000\n');
+    const states = fleet.servers.map(server => receive(registry, server));
+    // Compact cards on a laptop screen, 8 to a page
+    const layout = computeLayout(80, 24, registry.servers.size, DEFAULT_CONFIG.display);
+    assert.strictEqual(countPages(registry.servers.size, layout), 3);
+
+    // All but six keep reporting
+    const now = Math.max(...states.map(state => state.lastUpdate)) + 60001;
+    states.slice(6).forEach((state) => { state.lastUpdate = now; });
+    registry.check(now);
+    assert.strictEqual(registry.servers.size, 14);
+    assert.strictEqual(registry.departed.length, 6);
+    assert.strictEqual(countPages(registry.servers.size, computeLayout(80, 24, registry.servers.size, DEFAULT_CONFIG.display)), 2);
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { ObjectTrendTracker, comparePeers } = require('../lib/objects');
+const { parsePacket } = require('../lib/parser');
+const { FleetSimulator, parseScenario } = require('../lib/simulator');
+
+const MINUTE = 60000;
+
+// One sample a minute over an hour, count(i) giving each count
+function track(count, uptime = i => 1000 + i * 60) {
+    const tracker = new ObjectTrendTracker();
+    for (let i = 0; i <= 60; i++) {
+        tracker.record(i * MINUTE, uptime(i), [{ name: 'SHAMapInnerNode', count: count(i) }]);
+    }
+    return tracker.trends()[0];
+}
+
+test('a steady climb is a leak', () => {
+    const trend = track(i => 10000 + i * 100);
+    assert.strictEqual(trend.change, 6000);
+    assert.strictEqual(trend.percent, 60);
+    assert.ok(Math.abs(trend.perHour - 6000) < 1e-6);
+    assert.strictEqual(trend.growing, true);
+});
+
+test('a count that swings with load or levels off is not', () => {
+    assert.strictEqual(track(i => 10000 + (i % 2 ? 500 : 0) + i * 10).growing, false);
+    assert.strictEqual(track(i => 10000 + Math.min(i, 20) * 100).growing, false);
+});
+
+test('a restart starts the trend over', () => {
+    const trend = track(i => 10000 + i * 100, i => (i < 40 ? 1000 + i * 60 : (i - 40) * 60));
+    assert.strictEqual(trend.samples, 21);
+    assert.strictEqual(trend.growing, false);
+});
+
+test('peers are the servers on the same version', () => {
+    const entry = (nodeKey, version, percent) => ({
+        state: { nodeKey, header: { version_string: version } },
+        trends: [{ name: 'SHAMapInnerNode', percent }]
+    });
+    const result = comparePeers([
+        entry('a', '1.0', 40), entry('b', '1.0', 10), entry('c', '1.0', 0), entry('d', '2.0', 90)
+    ]);
+    assert.deepStrictEqual(result.get('a').get('SHAMapInnerNode'), { peers: 2, peerPercent: 5, ratio: 8 });
+    assert.strictEqual(result.get('c').get('SHAMapInnerNode').ratio, 0);
+    assert.strictEqual(result.get('d').size, 0);
+});
+
+test('the simulated leak is flagged with the default settings', () => {
+    const simulator = new FleetSimulator({ count: 2, scenarios: [parseScenario('leak')] },
+        { host: '127.0.0.1', port: 9, type: 'udp4' }, () => {});
+    simulator.socket.close();
+    const trackers = simulator.servers.map(() => new ObjectTrendTracker());
+    const growing = new Map();
+    // One datagram every 10 s for 110 minutes, as the simulator would send
+    for (let elapsed = 0; elapsed <= 110 * MINUTE; elapsed += 10000) {
+        const now = simulator.startedAt + elapsed;
+        simulator.servers.forEach((server, i) => {
+            const { header, objectCounts } = parsePacket(server.packet(now, 21337, 1000000, simulator.effectsFor(server, elapsed)), now);
+            trackers[i].record(now, header.uptime, objectCounts);
+        });
+        if (elapsed % (10 * MINUTE) === 0) {
+            growing.set(elapsed / MINUTE, trackers.map(tracker => tracker.trends().filter(trend => trend.growing).map(trend => trend.name)));
+        }
+    }
+    assert.deepStrictEqual(growing.get(20), [[], []]);
+    assert.deepStrictEqual(growing.get(60), [['SHAMapInnerNode'], []]);
+    // Leveled off after 40 minutes of leaking: counts stay, growth stops
+    assert.deepStrictEqual(growing.get(110), [[], []]);
+    const leaked = trackers[0].trends().find(trend => trend.name === 'SHAMapInnerNode');
+    assert.strictEqual(leaked.change, 0);
+});
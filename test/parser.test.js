@@ -0,0 +1,134 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { encodePacket } = require('../lib/encoder');
+const { PacketError } = require('../lib/errors');
+const { DEBUG_COUNTER_FIELDS, HEADER_FIELDS, HEADER_SIZES, createLayouts } = require('../lib/layout');
+const { parsePacket } = require('../lib/parser');
+const { FleetSimulator } = require('../lib/simulator');
+
+// Golden packets: fixtures/<name>.hex holds the datagram, <name>.json what it
+// decodes to (ping aside, which depends on the arrival time)
+const GOLDEN = ['v1-full', 'v1-minimal'];
+
+function readGolden(name) {
+    const file = path.join(__dirname, 'fixtures', name);
+    return {
+        bytes: Buffer.from(fs.readFileSync(`${file}.hex`, 'utf8').replace(/\s+/g, ''), 'hex'),
+        expected: JSON.parse(fs.readFileSync(`${file}.json`, 'utf8'))
+    };
+}
+
+function assertRejected(buffer, reason) {
+    assert.throws(() => parsePacket(buffer), err => err instanceof PacketError && err.reason === reason);
+}
+
+for (const name of GOLDEN) {
+    test(`${name} decodes to its fixture`, () => {
+        const { bytes, expected } = readGolden(name);
+        const receivedAt = expected.header.timestamp / 1000 + 25;
+        const packet = parsePacket(bytes, receivedAt);
+        assert.deepStrictEqual(packet, Object.assign({}, expected, {
+            header: Object.assign({}, expected.header, { ping: 25 })
+        }));
+    });
+
+    test(`${name} encodes back to the same bytes`, () => {
+        const { bytes, expected } = readGolden(name);
+        assert.ok(encodePacket(expected).equals(bytes));
+        assert.ok(encodePacket(parsePacket(bytes)).equals(bytes));
+    });
+}
+
+test('simulated packets survive a round trip', () => {
+    const simulator = new FleetSimulator({ count: 3 }, { host: '127.0.0.1', port: 9, type: 'udp4' }, () => {});
+    simulator.socket.close();
+    simulator.servers.forEach((server, i) => {
+        const bytes = server.packet(Date.now(), 21337, 1000000, { forked: i === 1, desync: i === 2, diskFill: 0.5 });
+        assert.ok(encodePacket(parsePacket(bytes)).equals(bytes));
+    });
+});
+
+test('the simulator refuses a tcp:// target', () => {
+    assert.throws(() => new FleetSimulator({}, { host: '127.0.0.1', port: 9, type: 'udp4', protocol: 'tcp' }, () => {}),
+        /sends UDP datagrams/);
+});
+
+test('object count records with an empty name or cut short are skipped', () => {
+    const { bytes, expected } = readGolden('v1-full');
+    const padded = Buffer.concat([bytes, Buffer.alloc(64), Buffer.alloc(30, 0x41)]);
+    assert.deepStrictEqual(parsePacket(padded).objectCounts, expected.objectCounts);
+});
+
+test('malformed packets are rejected with a reason', () => {
+    const { bytes } = readGolden('v1-full');
+    assertRejected(bytes.subarray(0, 7), 'too_short');
+    assertRejected(bytes.subarray(0, 700), 'too_short');
+
+    const badMagic = Buffer.from(bytes);
+    badMagic.writeUInt32LE(0xdeadbeef, 0);
+    assertRejected(badMagic, 'bad_magic');
+
+    const badVersion = Buffer.from(bytes);
+    badVersion.writeUInt32LE(99, 4);
+    assertRejected(badVersion, 'bad_version');
+
+    const badRanges = Buffer.from(bytes);
+    badRanges.writeUInt32LE(1000, 28);
+    assertRejected(badRanges, 'bad_range_count');
+});
+
+// A made-up v2 with a longer header, one more field, and the ledger range
+// count moved to the end
+function v2Layouts() {
+    const rangeCount = HEADER_FIELDS.find(field => field.name === 'ledger_range_count');
+    return createLayouts({
+        headerSizes: Object.assign({}, HEADER_SIZES, { 2: 716 }),
+        headerFields: HEADER_FIELDS.map(field => (field === rangeCount ? Object.assign({}, field, { until: 1 }) : field)).concat([
+            { name: 'ledger_range_count', offset: 708, type: 'u32', since: 2 },
+            { name: 'validator_count', offset: 712, type: 'u32', since: 2 }
+        ]),
+        debugCounterFields: DEBUG_COUNTER_FIELDS
+    });
+}
+
+test('the version picks the layout', () => {
+    const layouts = v2Layouts();
+    const { expected } = readGolden('v1-full');
+    const v1 = encodePacket(expected, layouts);
+    const v2 = encodePacket(Object.assign({}, expected, {
+        header: Object.assign({}, expected.header, { version: 2, validator_count: 35 })
+    }), layouts);
+    assert.strictEqual(v2.length, v1.length + 8);
+    assert.strictEqual(v2.readUInt32LE(28), 0);
+    assert.strictEqual(v2.readUInt32LE(708), expected.ranges.length);
+
+    const decodedV1 = parsePacket(v1, Date.now(), layouts);
+    const decodedV2 = parsePacket(v2, Date.now(), layouts);
+    assert.strictEqual(decodedV1.header.validator_count, undefined);
+    assert.strictEqual(decodedV2.header.validator_count, 35);
+    assert.deepStrictEqual(decodedV2.ranges, expected.ranges);
+    assert.deepStrictEqual(decodedV2.objectCounts, expected.objectCounts);
+
+    // The monitor's own layouts know no v2
+    assertRejected(v2, 'bad_version');
+});
+
+test('the ledger range count is validated where the version has it', () => {
+    const layouts = v2Layouts();
+    const { expected } = readGolden('v1-full');
+    const v2 = encodePacket(Object.assign({}, expected, {
+        header: Object.assign({}, expected.header, { version: 2 })
+    }), layouts);
+    v2.writeUInt32LE(1000, 708);
+    assert.throws(() => parsePacket(v2, Date.now(), layouts), err => err.reason === 'bad_range_count');
+});
+
+test('a layout without a ledger range count is refused', () => {
+    assert.throws(() => createLayouts({
+        headerSizes: { 1: 708 },
+        headerFields: HEADER_FIELDS.filter(field => field.name !== 'ledger_range_count'),
+        debugCounterFields: DEBUG_COUNTER_FIELDS
+    }), /ledger_range_count/);
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { PacketError } = require('../lib/errors');
+const { RELAY_MAGIC, parsePeers, unwrapDatagram, unwrapping, wrapDatagram } = require('../lib/relay');
+
+const DATAGRAM = Buffer.from('4d474458010000000000', 'hex');
+const ORIGIN = { address: '192.0.2.7', port: 51235, family: 'IPv4', t: 1700000000000, via: ['edge-1'] };
+
+// Runs msg from `address` through an unwrapping handler for the peers;
+// returns what the handler or onInvalid got
+function receive(msg, address, peers) {
+    const seen = {};
+    const handler = unwrapping((inner, rinfo) => Object.assign(seen, { msg: inner, rinfo }),
+        (rinfo, err) => Object.assign(seen, { err }), parsePeers(peers));
+    handler(msg, { address, port: 40122, family: 'IPv4', receivedAt: 1700000000500 });
+    return seen;
+}
+
+test('an envelope round trips', () => {
+    const envelope = wrapDatagram(DATAGRAM, ORIGIN);
+    assert.strictEqual(envelope.readUInt32LE(0), RELAY_MAGIC);
+    const { msg, origin } = unwrapDatagram(envelope);
+    assert.ok(msg.equals(DATAGRAM));
+    assert.deepStrictEqual(origin, ORIGIN);
+    assert.strictEqual(unwrapDatagram(DATAGRAM), null);
+});
+
+test('envelopes from a relay peer stand for the original source', () => {
+    const { msg, rinfo } = receive(wrapDatagram(DATAGRAM, ORIGIN), '10.0.0.5', ['10.0.0.0/24']);
+    assert.ok(msg.equals(DATAGRAM));
+    assert.deepStrictEqual(rinfo, {
+        address: '192.0.2.7',
+        port: 51235,
+        family: 'IPv4',
+        receivedAt: 1700000000000,
+        via: ['edge-1'],
+        relay: { address: '10.0.0.5', port: 40122 }
+    });
+    assert.strictEqual(receive(wrapDatagram(DATAGRAM, ORIGIN), '::ffff:10.0.0.5', ['10.0.0.5']).rinfo.address, '192.0.2.7');
+});
+
+test('envelopes from anyone else are rejected', () => {
+    const { err, msg } = receive(wrapDatagram(DATAGRAM, ORIGIN), '10.0.1.5', ['10.0.0.0/24']);
+    assert.strictEqual(msg, undefined);
+    assert.ok(err instanceof PacketError);
+    assert.strictEqual(err.reason, 'relay_not_peer');
+    assert.strictEqual(receive(wrapDatagram(DATAGRAM, ORIGIN), '10.0.0.5', []).err.reason, 'relay_not_peer');
+});
+
+test('plain datagrams pass through from anyone', () => {
+    const { msg, rinfo } = receive(DATAGRAM, '203.0.113.9', []);
+    assert.ok(msg.equals(DATAGRAM));
+    assert.strictEqual(rinfo.address, '203.0.113.9');
+});
+
+test('malformed envelopes are rejected', () => {
+    const envelope = wrapDatagram(DATAGRAM, ORIGIN);
+    assert.strictEqual(receive(envelope.subarray(0, 20), '10.0.0.5', ['10.0.0.5']).err.reason, 'bad_envelope');
+    const garbled = Buffer.from(envelope);
+    garbled.write('}', 6);
+    assert.strictEqual(receive(garbled, '10.0.0.5', ['10.0.0.5']).err.reason, 'bad_envelope');
+    const sourceless = wrapDatagram(DATAGRAM, { via: ['edge-1'] });
+    assert.strictEqual(receive(sourceless, '10.0.0.5', ['10.0.0.5']).err.reason, 'bad_envelope');
+});
+
+test('relay peers are addresses or CIDR blocks', () => {
+    const peers = parsePeers(['10.0.0.5', 'fd00::/8']);
+    assert.ok(peers.check('10.0.0.5', 'ipv4'));
+    assert.ok(peers.check('fd12::1', 'ipv6'));
+    assert.ok(!peers.check('10.0.0.6', 'ipv4'));
+    assert.throws(() => parsePeers(['relay.example.com']), /invalid relay peer/);
+    assert.throws(() => parsePeers(['10.0.0.0/x']), /invalid relay peer/);
+});
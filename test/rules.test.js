@@ -0,0 +1,109 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { RuleEngine, compileRule, parseDuration, parseExpression } = require('../lib/rules');
+
+// A server as the rules see it
+function server(nodeKey, header, extra = {}) {
+    return Object.assign({ nodeKey, header, debugCounters: null }, extra);
+}
+
+function createEngine(definitions, groups = {}) {
+    return new RuleEngine({
+        rules: definitions.map(compileRule),
+        forNode: () => ({ realertInterval: 300000 }),
+        groupOf: nodeKey => groups[nodeKey] || null
+    });
+}
+
+// Names of the rules firing and resolving on one evaluation
+function names({ firing, resolved }) {
+    return { firing: firing.map(({ rule }) => rule.name), resolved: resolved.map(({ rule }) => rule.name) };
+}
+
+test('durations take ms, s, m, h and d', () => {
+    assert.strictEqual(parseDuration('250'), 250);
+    assert.strictEqual(parseDuration('250ms'), 250);
+    assert.strictEqual(parseDuration('1.5s'), 1500);
+    assert.strictEqual(parseDuration(' 5m '), 300000);
+    assert.strictEqual(parseDuration('2h'), 7200000);
+    assert.strictEqual(parseDuration('1d'), 86400000);
+    assert.strictEqual(parseDuration(42), 42);
+    for (const bad of ['', '5 minutes', '-1s', 'm', '1.s']) {
+        assert.throws(() => parseDuration(bad), /invalid duration/);
+    }
+});
+
+test('operators bind by precedence and parentheses', () => {
+    assert.deepStrictEqual(parseExpression('1 + 2 * 3'), {
+        type: 'binary',
+        op: '+',
+        left: { type: 'number', value: 1 },
+        right: { type: 'binary', op: '*', left: { type: 'number', value: 2 }, right: { type: 'number', value: 3 } }
+    });
+    assert.strictEqual(parseExpression('(1 + 2) * 3').op, '*');
+    assert.strictEqual(parseExpression('peer_count < 10 || ping > 500 && !not_synced').op, '||');
+    assert.deepStrictEqual(parseExpression('-ping'), { type: 'unary', op: '-', operand: { type: 'metric', name: 'ping' } });
+    assert.deepStrictEqual(parseExpression('1.5e3'), { type: 'number', value: 1500 });
+});
+
+test('malformed expressions are refused with the reason', () => {
+    assert.throws(() => parseExpression('peer_count <'), /unexpected end of expression/);
+    assert.throws(() => parseExpression('(peer_count < 10'), /missing \)/);
+    assert.throws(() => parseExpression('peer_count < 10)'), /unexpected '\)'/);
+    assert.throws(() => parseExpression('peers < 10'), /unknown metric 'peers'/);
+    assert.throws(() => parseExpression('peer_count % 2'), /unexpected '%' at position 12/);
+    assert.throws(() => parseExpression('peer_count 10'), /unexpected '10'/);
+});
+
+test('rules compile from strings and objects', () => {
+    const rule = compileRule('peer_count < 10 && ping > 100 for 60s => critical');
+    assert.strictEqual(rule.expr, 'peer_count < 10 && ping > 100');
+    assert.strictEqual(rule.duration, 60000);
+    assert.strictEqual(rule.severity, 'critical');
+    assert.deepStrictEqual(rule.metrics, ['peer_count', 'ping']);
+    assert.strictEqual(rule.name, 'peer_count < 10 && ping > 100 for 60s');
+
+    const named = compileRule({ name: 'load', expr: 'load_per_core > 1', groups: ['rpc'] });
+    assert.strictEqual(named.name, 'load');
+    assert.strictEqual(named.severity, 'warning');
+    assert.deepStrictEqual(named.groups, ['rpc']);
+
+    assert.throws(() => compileRule('peer_count < 10'), /cannot parse rule/);
+    assert.throws(() => compileRule('peer_count < 10 => urgent'), /unknown severity 'urgent'/);
+    assert.throws(() => compileRule({ severity: 'critical' }), /rule needs an expr/);
+    assert.throws(() => compileRule('peers < 10 => warning'), /rule 'peers < 10': unknown metric/);
+});
+
+test('a rule fires once it held for its duration, and resolves', () => {
+    const engine = createEngine(['peer_count < 10 for 60s => critical']);
+    const low = server('aa', { peer_count: 5 });
+    assert.deepStrictEqual(names(engine.evaluate(low, 0)), { firing: [], resolved: [] });
+    assert.deepStrictEqual(names(engine.evaluate(low, 59999)), { firing: [], resolved: [] });
+    assert.deepStrictEqual(names(engine.evaluate(low, 60000)).firing, ['peer_count < 10 for 60s']);
+    // Not again until realertInterval has passed
+    assert.deepStrictEqual(names(engine.evaluate(low, 120000)).firing, []);
+    assert.deepStrictEqual(names(engine.evaluate(low, 360001)).firing, ['peer_count < 10 for 60s']);
+    assert.deepStrictEqual(names(engine.evaluate(server('aa', { peer_count: 20 }), 361000)).resolved, ['peer_count < 10 for 60s']);
+});
+
+test('a rule that stops holding starts its duration over', () => {
+    const engine = createEngine(['peer_count < 10 for 60s => critical']);
+    engine.evaluate(server('aa', { peer_count: 5 }), 0);
+    assert.deepStrictEqual(names(engine.evaluate(server('aa', { peer_count: 20 }), 30000)).resolved, []);
+    engine.evaluate(server('aa', { peer_count: 5 }), 40000);
+    assert.deepStrictEqual(names(engine.evaluate(server('aa', { peer_count: 5 }), 70000)).firing, []);
+    assert.strictEqual(names(engine.evaluate(server('aa', { peer_count: 5 }), 100000)).firing.length, 1);
+});
+
+test('missing metrics never match, and scoped rules apply to their servers and groups', () => {
+    const engine = createEngine([
+        'nodeFetchCount > 0 => warning',
+        { name: 'rpc only', expr: 'peer_count < 10', groups: ['rpc'] },
+        { name: 'bb only', expr: 'peer_count < 10', servers: ['bb'] }
+    ], { cc: 'rpc' });
+    assert.deepStrictEqual(names(engine.evaluate(server('aa', { peer_count: 5 }), 0)).firing, []);
+    assert.deepStrictEqual(names(engine.evaluate(server('bb', { peer_count: 5 }), 0)).firing, ['bb only']);
+    assert.deepStrictEqual(names(engine.evaluate(server('cc', { peer_count: 5 }, {
+        debugCounters: { nodeFetchCount: 3 }
+    }), 0)).firing, ['nodeFetchCount > 0', 'rpc only']);
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { SnapshotStore, queryRecords } = require('../lib/storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DAY_START = Date.UTC(2024, 0, 10);
+
+async function collect(records) {
+    const result = [];
+    for await (const record of records) result.push(record);
+    return result;
+}
+
+test('old day files are downsampled and expired', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xdgm-storage-'));
+    const store = new SnapshotStore({
+        dir,
+        resolution: 1000,
+        retention: 30 * DAY,
+        downsample: { after: 7 * DAY, resolution: 600000 }
+    });
+    // A day of snapshots every 10 s for two nodes, an alert, and a torn line
+    for (let t = DAY_START; t < DAY_START + DAY; t += 10000) {
+        for (const key of ['aa', 'bb']) store.write({ t, type: 'snapshot', node: `n-${key}`, key, header: { ledger_seq: t } });
+    }
+    store.write({ t: DAY_START + 5000, type: 'alert', node: 'n-aa', alertType: 'awol', change: 'fired' });
+    store.write({ t: DAY_START - 40 * DAY, type: 'snapshot', node: 'n-aa', key: 'aa' });
+    store.close();
+    fs.appendFileSync(path.join(dir, 'xdgm-2024-01-10.ndjson'), '{"t":');
+
+    await store.maintain(DAY_START + 10 * DAY);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['xdgm-2024-01-10.downsampled.ndjson']);
+
+    const records = await collect(queryRecords(dir, 'n-aa', DAY_START, DAY_START + DAY));
+    const snapshots = records.filter(record => record.type === 'snapshot');
+    assert.strictEqual(snapshots.length, 24 * 6);
+    assert.ok(snapshots.every(record => (record.t - DAY_START) % 600000 === 0));
+    assert.strictEqual(records.filter(record => record.type === 'alert').length, 1);
+});
+
+test('snapshots keep the arrival time of the datagram and the node name', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xdgm-storage-'));
+    const store = new SnapshotStore({ dir, resolution: 60000 });
+    // As replayed from a capture: received a day ago, ingested now
+    const state = {
+        nodeId: 'n-aa',
+        nodeKey: 'aa',
+        name: 'hub-1',
+        rinfo: { address: '192.0.2.7', port: 51235, receivedAt: DAY_START + 1000 },
+        lastUpdate: Date.now(),
+        header: { ledger_seq: 1 }
+    };
+    store.recordSnapshot(state);
+    store.recordSnapshot(Object.assign({}, state, { rinfo: Object.assign({}, state.rinfo, { receivedAt: DAY_START + 30000 }) }));
+    store.recordSnapshot(Object.assign({}, state, { rinfo: Object.assign({}, state.rinfo, { receivedAt: DAY_START + 61000 }) }));
+    store.close();
+
+    const records = await collect(queryRecords(dir, 'n-aa', DAY_START, DAY_START + DAY));
+    assert.deepStrictEqual(records.map(record => [record.t, record.name]), [[DAY_START + 1000, 'hub-1'], [DAY_START + 61000, 'hub-1']]);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['xdgm-2024-01-10.ndjson']);
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { ArrivalTracker } = require('../lib/timing');
+
+// A datagram every second from a server whose clock is 200 ms behind, taking
+// 30 ms on the way; i is its sequence number
+function arrival(i, transit = 30) {
+    const sentAt = 1000000 + i * 1000;
+    return [sentAt + 200 + transit, sentAt, 100 + i];
+}
+
+test('offset, cadence and loss', () => {
+    const tracker = new ArrivalTracker();
+    assert.strictEqual(tracker.stats(), null);
+    for (const i of [0, 1, 2, 4, 5, 6, 7, 8, 9]) tracker.record(...arrival(i, i === 5 ? 80 : 30));
+    const stats = tracker.stats();
+    assert.strictEqual(stats.offset, 230);
+    assert.strictEqual(stats.cadence, 1000);
+    assert.strictEqual(stats.expected, 10);
+    assert.strictEqual(stats.missed, 1);
+    assert.strictEqual(stats.loss, 10);
+    assert.strictEqual(stats.delay, 230);
+    assert.ok(stats.jitter > 0);
+});
+
+test('late datagrams are slotted in by send time', () => {
+    const tracker = new ArrivalTracker();
+    for (const i of [0, 1, 3, 4, 2, 5, 6]) tracker.record(...arrival(i, i === 2 ? 1500 : 30));
+    assert.deepStrictEqual(tracker.samples.map(sample => sample.sentAt), [0, 1, 2, 3, 4, 5, 6].map(i => arrival(i)[1]));
+    assert.strictEqual(tracker.stats().missed, 0);
+    assert.strictEqual(tracker.stats().delay, 230);
+});
+
+test('a second copy through a relay is dropped', () => {
+    const tracker = new ArrivalTracker();
+    for (let i = 0; i < 6; i++) {
+        tracker.record(...arrival(i));
+        tracker.record(...arrival(i, 90));
+    }
+    assert.strictEqual(tracker.stats().samples, 6);
+    assert.strictEqual(tracker.stats().offset, 230);
+});
+
+test('a datagram older than the window is dropped', () => {
+    const tracker = new ArrivalTracker(5);
+    for (let i = 1; i <= 6; i++) tracker.record(...arrival(i));
+    tracker.record(...arrival(0));
+    assert.strictEqual(tracker.samples[0].sentAt, arrival(2)[1]);
+    assert.strictEqual(tracker.samples.length, 5);
+});
+
+test('a restart or a clock step back starts over', () => {
+    const restarted = new ArrivalTracker();
+    for (let i = 0; i < 6; i++) restarted.record(...arrival(i));
+    const [receivedAt, sentAt] = arrival(6);
+    restarted.record(receivedAt, sentAt, 3);
+    assert.strictEqual(restarted.samples.length, 1);
+
+    const stepped = new ArrivalTracker();
+    for (let i = 0; i < 6; i++) stepped.record(...arrival(i));
+    stepped.record(arrival(6)[0], arrival(6)[1] - 3600000, 106);
+    assert.strictEqual(stepped.samples.length, 1);
+    assert.strictEqual(stepped.jitter, 0);
+});
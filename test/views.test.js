@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { DEFAULT_CONFIG } = require('../lib/config');
+const { TABLE_COLUMNS, computeLayout, groupStates, sortStates } = require('../lib/views');
+
+const DISPLAY = DEFAULT_CONFIG.display;
+
+// A server as the views see it
+function server(name, group, networkId, ledgerSeq) {
+    return { nodeId: `n9${name}`, name, group, header: { network_id: networkId, ledger_seq: ledgerSeq } };
+}
+
+const SERVERS = [
+    server('rpc-1', 'rpc', 21337, 105),
+    server('hub-1', 'hubs', 21337, 100),
+    server('lone', null, 21338, 7),
+    server('rpc-2', 'rpc', 21338, 6),
+    server('hub-2', 'hubs', 21337, 104)
+];
+
+function column(title) {
+    return TABLE_COLUMNS.find(col => col.title === title);
+}
+
+function names(states) {
+    return states.map(state => state.name);
+}
+
+test('cards get the most detail that fits every server on one page', () => {
+    assert.deepStrictEqual(computeLayout(200, 60, 6, DISPLAY), { cols: 6, rows: 3, width: 33, height: 18, size: 'expanded' });
+    assert.deepStrictEqual(computeLayout(80, 24, 4, DISPLAY), { cols: 2, rows: 2, width: 40, height: 12, size: 'normal' });
+    assert.deepStrictEqual(computeLayout(80, 24, 6, DISPLAY), { cols: 2, rows: 4, width: 40, height: 5, size: 'compact' });
+    // More than even compact cards fit: compact, paged
+    assert.deepStrictEqual(computeLayout(80, 24, 20, DISPLAY), { cols: 2, rows: 4, width: 40, height: 5, size: 'compact' });
+});
+
+test('the columns follow the minimum card width', () => {
+    assert.strictEqual(computeLayout(89, 60, 1, DISPLAY).cols, 2);
+    assert.strictEqual(computeLayout(90, 60, 1, DISPLAY).cols, 3);
+    assert.strictEqual(computeLayout(90, 60, 1, Object.assign({}, DISPLAY, { minCardWidth: 45 })).cols, 2);
+    // Narrower than one card, or shorter than one: still one of each
+    assert.deepStrictEqual(computeLayout(25, 3, 1, DISPLAY), { cols: 1, rows: 1, width: 25, height: 18, size: 'expanded' });
+});
+
+test('a fixed card size is kept at any screen size', () => {
+    const display = Object.assign({}, DISPLAY, { cardSize: 'normal' });
+    assert.deepStrictEqual(computeLayout(80, 24, 20, display), { cols: 2, rows: 2, width: 40, height: 12, size: 'normal' });
+    assert.strictEqual(computeLayout(300, 100, 1, display).size, 'normal');
+});
+
+test('the grid reflows when the screen is resized', () => {
+    const sizes = [[80, 24], [240, 60], [120, 30], [80, 24]].map(([width, height]) => computeLayout(width, height, 6, DISPLAY));
+    assert.deepStrictEqual(sizes.map(({ cols, size }) => [cols, size]), [[2, 'compact'], [8, 'expanded'], [4, 'normal'], [2, 'compact']]);
+});
+
+test('cards group by group or network, groups in title order', () => {
+    const byGroup = groupStates(SERVERS, 'group');
+    assert.deepStrictEqual([...byGroup.keys()], ['hubs', 'rpc', 'Ungrouped']);
+    assert.deepStrictEqual(names(byGroup.get('rpc')), ['rpc-1', 'rpc-2']);
+    assert.deepStrictEqual(names(byGroup.get('Ungrouped')), ['lone']);
+
+    const byNetwork = groupStates(SERVERS, 'network');
+    assert.deepStrictEqual([...byNetwork.keys()], ['Network 21337', 'Network 21338']);
+    assert.deepStrictEqual(names(byNetwork.get('Network 21338')), ['lone', 'rpc-2']);
+});
+
+test('the table lists the groups in turn, each sorted by the column', () => {
+    const ledger = column('Ledger');
+    assert.deepStrictEqual(names(sortStates([...SERVERS], ledger)), ['rpc-2', 'lone', 'hub-1', 'hub-2', 'rpc-1']);
+    assert.deepStrictEqual(names(sortStates([...SERVERS], ledger, true, 'group')), ['hub-2', 'hub-1', 'rpc-1', 'rpc-2', 'lone']);
+    assert.deepStrictEqual(names(sortStates([...SERVERS], column('Name'), false, 'network')),
+        ['hub-1', 'hub-2', 'rpc-1', 'lone', 'rpc-2']);
+});
+
+test('percentages of a zero total render as - and sort last', () => {
+    const disk = column('Disk');
+    const reporting = { name: 'reporting', header: { system_disk_used: 25, system_disk_total: 100 } };
+    const empty = { name: 'empty', header: { system_disk_used: 0, system_disk_total: 0 } };
+    assert.strictEqual(disk.format(disk.value(reporting)), '25.0%');
+    assert.strictEqual(disk.format(disk.value(empty)), '-');
+    assert.deepStrictEqual(names(sortStates([empty, reporting], disk)), ['reporting', 'empty']);
+    assert.strictEqual(column('Memory').format(column('Memory').value({ header: {} })), '-');
+});